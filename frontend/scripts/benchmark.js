@@ -0,0 +1,79 @@
+// Benchmark: ms per simulation tick with and without the spatial index
+// Usage: node scripts/benchmark.js [crowd sizes...]   (default 200 500 1000)
+
+import { SimulationEngine } from '../src/utils/simulationEngine.js'
+
+const SEED = 'benchmark'
+const WARMUP_LIMIT = 600000 // ms of simulated time allowed to fill the store
+const MEASURED_TICKS = 100
+
+// A 2000x1200 px hall with 8 rows of 6 shelves, doors on the south wall and a
+// bank of checkouts, big enough to hold a thousand shoppers
+const buildLayout = () => {
+  const products = []
+  const categories = ['Produce', 'Dairy', 'Bakery', 'Meat', 'Frozen', 'Snacks', 'Beverages', 'Pantry']
+  for (let row = 0; row < 8; row++) {
+    for (let col = 0; col < 6; col++) {
+      const label = `${categories[row]} ${col + 1}`
+      products.push({ x: 150 + col * 290, y: 100 + row * 110, width: 200, height: 40, label, name: label })
+    }
+  }
+
+  const checkouts = []
+  for (let i = 0; i < 10; i++) {
+    checkouts.push({ x: 300 + i * 140, y: 1020, width: 60, height: 30 })
+  }
+
+  return {
+    walls: [
+      { start: { x: 50, y: 50 }, end: { x: 2050, y: 50 } },
+      { start: { x: 2050, y: 50 }, end: { x: 2050, y: 1250 } },
+      { start: { x: 2050, y: 1250 }, end: { x: 50, y: 1250 } },
+      { start: { x: 50, y: 1250 }, end: { x: 50, y: 50 } }
+    ],
+    products,
+    checkouts,
+    entrances: [{ x: 150, y: 1250 }, { x: 1050, y: 1250 }],
+    exits: [{ x: 600, y: 1250 }, { x: 1950, y: 1250 }]
+  }
+}
+
+const run = async (crowdSize, spatialIndex) => {
+  const engine = new SimulationEngine(buildLayout(), null, null, {
+    seed: SEED,
+    decisions: { provider: 'rules' },
+    spatialIndex,
+    maxCustomers: crowdSize,
+    arrivals: { type: 'fixed', interval: 20 }
+  })
+
+  while (engine.customers.length < crowdSize && engine.time < WARMUP_LIMIT) {
+    await engine.tick()
+  }
+
+  const start = performance.now()
+  for (let i = 0; i < MEASURED_TICKS; i++) {
+    await engine.tick()
+  }
+  const elapsed = performance.now() - start
+
+  return { msPerTick: elapsed / MEASURED_TICKS, inStore: engine.customers.length }
+}
+
+const sizes = process.argv.slice(2).map(Number).filter(size => size > 0)
+const rows = []
+
+for (const size of sizes.length > 0 ? sizes : [200, 500, 1000]) {
+  const scan = await run(size, false)
+  const indexed = await run(size, true)
+  rows.push({
+    customers: indexed.inStore,
+    'scan (ms/tick)': scan.msPerTick.toFixed(2),
+    'spatial index (ms/tick)': indexed.msPerTick.toFixed(2),
+    speedup: `${(scan.msPerTick / indexed.msPerTick).toFixed(1)}x`,
+    // Whether a tick fits in one 60 fps animation frame
+    'fits a frame': indexed.msPerTick < 1000 / 60 ? 'yes' : 'no'
+  })
+}
+
+console.table(rows)
@@ -2,6 +2,7 @@ import { useState, useEffect } from 'react'
 import Editor from './components/Editor'
 import Simulation from './components/Simulation'
 import Dashboard from './components/Dashboard'
+import { SIGN_FACINGS } from './utils/signage.js'
 import './App.css'
 
 function App() {
@@ -37,6 +38,7 @@ function App() {
       exits: [],
       products: [],
       checkouts: [],
+      signs: [],
       ...rawLayout // Keep other props
     }
 
@@ -63,6 +65,9 @@ function App() {
         })
       } else if (el.type === 'checkout') {
         processed.checkouts.push(el)
+      } else if (el.type === 'sign') {
+        // The editor stores which way a sign faces by name; the engine wants degrees
+        processed.signs.push({ ...el, facing: SIGN_FACINGS[el.facing] ?? null })
       }
     })
     return processed
@@ -77,6 +82,11 @@ function App() {
     setCurrentView('dashboard')
   }
 
+  // A scenario saved from the simulation view travels with the layout
+  const handleScenarioChange = (scenario) => {
+    setLayout({ ...layout, scenario })
+  }
+
   const handleBackToEditor = () => {
     setCurrentView('editor')
   }
@@ -112,7 +122,7 @@ function App() {
       <main className="app-main">
         {currentView === 'editor' && (
           <Editor
-            layout={layout || { elements: [] }}
+            initialLayout={layout || { elements: [] }}
             onLayoutChange={setLayout}
             onStartSimulation={handleStartSimulation}
           />
@@ -121,6 +131,7 @@ function App() {
           <Simulation
             layout={processLayout(layout)}
             onOptimizationComplete={handleOptimizationComplete}
+            onScenarioChange={handleScenarioChange}
             onBack={handleBackToEditor}
           />
         )}
@@ -0,0 +1,45 @@
+import { arrivalRateAt, getPeakRate } from '../utils/arrivals.js'
+import './ArrivalCurve.css'
+
+const WIDTH = 240
+const HEIGHT = 90
+const PADDING = 20
+const HOUR = 60 * 60 * 1000
+
+// Step chart of customers per hour over the profile, with a marker at the current time
+export default function ArrivalCurve({ config, time = 0 }) {
+  if (!config) return null
+
+  const startHour = config.type === 'profile' ? (config.startHour || 0) : 0
+  const hours = config.type === 'profile' && config.endHour !== undefined
+    ? config.endHour - startHour
+    : 1
+  const peak = Math.max(getPeakRate(config), 1)
+
+  const toX = (hour) => PADDING + (hour / hours) * (WIDTH - PADDING * 2)
+  const toY = (rate) => HEIGHT - PADDING - (rate / peak) * (HEIGHT - PADDING * 2)
+
+  // Sample every 5 simulated minutes; rates are piecewise constant so this traces the steps
+  const points = []
+  for (let minute = 0; minute <= hours * 60; minute += 5) {
+    const rate = arrivalRateAt(config, minute * 60000)
+    points.push(`${toX(minute / 60)},${toY(rate)}`)
+  }
+
+  const currentHour = Math.min(time / HOUR, hours)
+
+  return (
+    <div className="arrival-curve">
+      <svg width={WIDTH} height={HEIGHT}>
+        <line x1={PADDING} y1={HEIGHT - PADDING} x2={WIDTH - PADDING} y2={HEIGHT - PADDING} className="axis" />
+        <polyline points={points.join(' ')} className="rate-line" />
+        <line x1={toX(currentHour)} y1={PADDING / 2} x2={toX(currentHour)} y2={HEIGHT - PADDING} className="now-line" />
+        <text x={PADDING} y={HEIGHT - 4} className="axis-label">{startHour}:00</text>
+        <text x={WIDTH - PADDING} y={HEIGHT - 4} textAnchor="end" className="axis-label">
+          {startHour + hours}:00
+        </text>
+        <text x={PADDING} y={PADDING / 2 + 4} className="axis-label">{Math.round(peak)}/h</text>
+      </svg>
+    </div>
+  )
+}
@@ -1,10 +1,17 @@
-import React, { useRef, useEffect } from 'react';
+import React, { useRef, useEffect, useState } from 'react';
+import { getCheckoutRect } from '../utils/navigation.js';
+import { HEAT_MAP_MODES, heatMapCells, heatMapScale } from '../utils/heatMap.js';
+import { customerRecordsToCSV } from '../utils/customerRecords.js';
+import { ABANDON_REASONS } from '../utils/abandonment.js';
+import { OPTIMIZER_OBJECTIVES } from '../utils/geneticOptimizer.js';
+import { resolveScenario } from '../utils/scenario.js';
+import { resolveScale, metresToUnits } from '../utils/units.js';
 
 const CANVAS_WIDTH = 800;
 const CANVAS_HEIGHT = 600;
 
 export default function Dashboard({ results, onBack }) {
-  const { originalLayout, optimizedLayout, originalMetrics, optimizedMetrics } = results || {}
+  const { originalLayout, optimizedLayout, originalMetrics, optimizedMetrics, seed, evaluationSeed, originalTrace, optimizedTrace, originalCustomers, optimizedCustomers, objective, scenario } = results || {}
   
   const handleUseOptimized = () => {
     // Convert optimized layout back to editor format and save
@@ -19,17 +26,21 @@ export default function Dashboard({ results, onBack }) {
   }
   const originalCanvasRef = useRef(null);
   const optimizedCanvasRef = useRef(null);
+  const [heatMapMode, setHeatMapMode] = useState('occupancy');
+  const layoutScale = resolveScale(originalLayout);
 
   useEffect(() => {
+    // Both layouts share one color scale so their heat maps compare directly
+    const scale = heatMapScale(heatMapMode, originalMetrics?.heatMap, optimizedMetrics?.heatMap);
     if (originalCanvasRef.current && originalLayout) {
-      drawLayout(originalCanvasRef.current, originalLayout, originalMetrics);
+      drawLayout(originalCanvasRef.current, originalLayout, originalMetrics, scale);
     }
     if (optimizedCanvasRef.current && optimizedLayout) {
-      drawLayout(optimizedCanvasRef.current, optimizedLayout, optimizedMetrics);
+      drawLayout(optimizedCanvasRef.current, optimizedLayout, optimizedMetrics, scale);
     }
-  }, [originalLayout, optimizedLayout, originalMetrics, optimizedMetrics]);
+  }, [originalLayout, optimizedLayout, originalMetrics, optimizedMetrics, heatMapMode]);
 
-  const drawLayout = (canvas, layout, metrics) => {
+  const drawLayout = (canvas, layout, metrics, scale) => {
     if (!canvas || !layout) return;
     const ctx = canvas.getContext('2d');
     
@@ -37,74 +48,68 @@ export default function Dashboard({ results, onBack }) {
     ctx.clearRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
     
     // Draw heat map if metrics available
-    if (metrics && metrics.congestionMap) {
-      drawHeatMap(ctx, metrics.congestionMap);
+    if (metrics && metrics.heatMap && heatMapMode) {
+      drawHeatMap(ctx, metrics.heatMap, scale);
     }
     
-    // Draw layout elements
-    layout.elements.forEach((element) => {
-      if (element.type === 'wall') {
-        ctx.strokeStyle = '#000000';
-        ctx.lineWidth = 2;
-        if (element.points && element.points.length >= 2) {
-          ctx.beginPath();
-          ctx.moveTo(element.points[0].x, element.points[0].y);
-          for (let i = 1; i < element.points.length; i++) {
-            ctx.lineTo(element.points[i].x, element.points[i].y);
-          }
-          ctx.stroke();
-        }
-      } else if (element.type === 'entrance') {
-        ctx.fillStyle = '#00cc00';
-        ctx.beginPath();
-        ctx.arc(element.x, element.y, 15, 0, Math.PI * 2);
-        ctx.fill();
-        ctx.fillStyle = '#ffffff';
-        ctx.font = '12px Arial';
-        ctx.textAlign = 'center';
-        ctx.fillText('IN', element.x, element.y + 4);
-      } else if (element.type === 'exit') {
-        ctx.fillStyle = '#cc0000';
-        ctx.beginPath();
-        ctx.arc(element.x, element.y, 15, 0, Math.PI * 2);
-        ctx.fill();
-        ctx.fillStyle = '#ffffff';
-        ctx.font = '12px Arial';
-        ctx.textAlign = 'center';
-        ctx.fillText('OUT', element.x, element.y + 4);
-      } else if (element.type === 'checkout') {
-        ctx.fillStyle = '#0066cc';
-        ctx.fillRect(element.x, element.y, element.width, element.height);
-        ctx.fillStyle = '#ffffff';
-        ctx.font = '12px Arial';
-        ctx.textAlign = 'center';
-        ctx.fillText('Checkout', element.x + element.width / 2, element.y + element.height / 2 + 4);
-      } else if (element.type === 'product') {
-        ctx.fillStyle = 'rgba(255, 200, 0, 0.3)';
-        ctx.fillRect(element.x, element.y, element.width, element.height);
-        ctx.strokeStyle = '#ffaa00';
-        ctx.lineWidth = 2;
-        ctx.strokeRect(element.x, element.y, element.width, element.height);
-        ctx.fillStyle = '#000000';
-        ctx.font = '14px Arial';
-        ctx.textAlign = 'center';
-        ctx.fillText(element.name, element.x + element.width / 2, element.y + element.height / 2 + 5);
-      }
+    // Draw layout elements. Results carry the simulation format (walls,
+    // products, checkouts), which is what the optimizer actually changes.
+    ctx.strokeStyle = '#000000';
+    ctx.lineWidth = 2;
+    (layout.walls || []).forEach((wall) => {
+      ctx.beginPath();
+      ctx.moveTo(wall.start.x, wall.start.y);
+      ctx.lineTo(wall.end.x, wall.end.y);
+      ctx.stroke();
+    });
+
+    (layout.products || []).forEach((product) => {
+      ctx.fillStyle = 'rgba(255, 200, 0, 0.3)';
+      ctx.fillRect(product.x, product.y, product.width, product.height);
+      ctx.strokeStyle = product.tall ? '#e65100' : '#ffaa00';
+      ctx.lineWidth = product.tall ? 4 : 2;
+      ctx.strokeRect(product.x, product.y, product.width, product.height);
+      ctx.fillStyle = '#000000';
+      ctx.font = '14px Arial';
+      ctx.textAlign = 'center';
+      ctx.fillText(product.label, product.x + product.width / 2, product.y + product.height / 2 + 5);
     });
+
+    (layout.checkouts || []).forEach((checkout, index) => {
+      const rect = getCheckoutRect(checkout);
+      ctx.fillStyle = checkout.express ? '#00acc1' : '#0066cc';
+      ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+      ctx.fillStyle = '#ffffff';
+      ctx.font = '12px Arial';
+      ctx.textAlign = 'center';
+      ctx.fillText(`Lane ${index + 1}`, rect.x + rect.width / 2, rect.y + rect.height / 2 + 4);
+    });
+
+    if (layout.entrance) {
+      ctx.fillStyle = '#00cc00';
+      ctx.beginPath();
+      ctx.arc(layout.entrance.x, layout.entrance.y, 15, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.fillStyle = '#ffffff';
+      ctx.font = '12px Arial';
+      ctx.textAlign = 'center';
+      ctx.fillText('IN', layout.entrance.x, layout.entrance.y + 4);
+    }
+
+    if (layout.exit) {
+      ctx.fillStyle = '#cc0000';
+      ctx.beginPath();
+      ctx.arc(layout.exit.x, layout.exit.y, 15, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.fillStyle = '#ffffff';
+      ctx.font = '12px Arial';
+      ctx.textAlign = 'center';
+      ctx.fillText('OUT', layout.exit.x, layout.exit.y + 4);
+    }
   };
 
-  const drawHeatMap = (ctx, congestionMap) => {
-    if (!congestionMap || !(congestionMap instanceof Map)) return;
-    
-    const gridSize = 20;
-    const maxCongestion = Math.max(...Array.from(congestionMap.values()), 1);
-    
-    congestionMap.forEach((count, key) => {
-      const [gridX, gridY] = key.split(',').map(Number);
-      const x = gridX * gridSize;
-      const y = gridY * gridSize;
-      
-      const intensity = count / maxCongestion;
+  const drawHeatMap = (ctx, heatMap, scale) => {
+    heatMapCells(heatMap, heatMapMode, scale).forEach(({ x, y, size, intensity }) => {
       const alpha = Math.min(intensity * 0.7, 0.7);
       
       if (intensity > 0.3) {
@@ -115,7 +120,7 @@ export default function Dashboard({ results, onBack }) {
         ctx.fillStyle = `rgba(0, 255, 0, ${alpha})`;
       }
       
-      ctx.fillRect(x, y, gridSize, gridSize);
+      ctx.fillRect(x, y, size, size);
     });
   };
 
@@ -125,7 +130,8 @@ export default function Dashboard({ results, onBack }) {
   };
 
   const exportLayout = (layout, filename) => {
-    const json = JSON.stringify(layout, null, 2);
+    // Record the seeds and scenario so the run that produced this layout can be replayed
+    const json = JSON.stringify({ ...layout, seed, evaluationSeed, scenario: scenario && resolveScenario(scenario) }, null, 2);
     const blob = new Blob([json], { type: 'application/json' });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
@@ -135,6 +141,28 @@ export default function Dashboard({ results, onBack }) {
     URL.revokeObjectURL(url);
   };
 
+  // Traces of the final evaluation run, for the Simulation view's Load Trace
+  const exportTrace = (trace, filename) => {
+    const blob = new Blob([JSON.stringify(trace)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  // Per-customer tables of the final evaluation runs, for analysis elsewhere
+  const exportCustomers = (rows, filename) => {
+    const blob = new Blob([customerRecordsToCSV(rows)], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
   const exportAsImage = (canvas, filename) => {
     if (!canvas) return;
     const url = canvas.toDataURL('image/png');
@@ -164,10 +192,47 @@ export default function Dashboard({ results, onBack }) {
     originalMetrics?.bottleneckCount || 0,
     optimizedMetrics?.bottleneckCount || 0
   );
+  const queueWaitImprovement = calculateImprovement(
+    originalMetrics?.avgQueueWait || 0,
+    optimizedMetrics?.avgQueueWait || 0
+  );
+  const lostSalesImprovement = calculateImprovement(
+    originalMetrics?.lostSales || 0,
+    optimizedMetrics?.lostSales || 0
+  );
+  const abandonmentImprovement = calculateImprovement(
+    originalMetrics?.abandonmentRate || 0,
+    optimizedMetrics?.abandonmentRate || 0
+  );
+  // Higher is better for sales, so this one is an increase rather than a reduction
+  const basketImprovement = originalMetrics?.avgBasketValue
+    ? (((optimizedMetrics?.avgBasketValue || 0) - originalMetrics.avgBasketValue) / originalMetrics.avgBasketValue * 100).toFixed(1)
+    : 0;
 
   return (
     <div className="dashboard">
       <h2>Optimization Results</h2>
+      <p className="run-seed">
+        Seed: <code>{seed}</code> (evaluation seed <code>{evaluationSeed}</code>)
+        {OPTIMIZER_OBJECTIVES[objective] && <>, objective: {OPTIMIZER_OBJECTIVES[objective].name}</>}
+        {scenario && <>, scenario: {resolveScenario(scenario).name}</>}
+      </p>
+      <p className="heat-map-mode">
+        Heat map:{' '}
+        <select value={heatMapMode} onChange={(e) => setHeatMapMode(e.target.value)}>
+          <option value="">Off</option>
+          {Object.entries(HEAT_MAP_MODES).map(([key, mode]) => (
+            <option key={key} value={key}>{mode.name}</option>
+          ))}
+        </select>
+        {HEAT_MAP_MODES[heatMapMode] && (
+          <span>
+            {' '}{HEAT_MAP_MODES[heatMapMode].description}; red at{' '}
+            {heatMapScale(heatMapMode, originalMetrics?.heatMap, optimizedMetrics?.heatMap)}
+            {HEAT_MAP_MODES[heatMapMode].unit}
+          </span>
+        )}
+      </p>
       
       <div className="comparison-container">
         <div className="layout-comparison">
@@ -186,6 +251,16 @@ export default function Dashboard({ results, onBack }) {
               <button onClick={() => exportAsImage(originalCanvasRef.current, 'original-layout.png')}>
                 Export Image
               </button>
+              {originalTrace && (
+                <button onClick={() => exportTrace(originalTrace, 'original-trace.json')}>
+                  Export Trace
+                </button>
+              )}
+              {originalCustomers && (
+                <button onClick={() => exportCustomers(originalCustomers, 'original-customers.csv')}>
+                  Export CSV
+                </button>
+              )}
             </div>
           </div>
           
@@ -204,6 +279,16 @@ export default function Dashboard({ results, onBack }) {
               <button onClick={() => exportAsImage(optimizedCanvasRef.current, 'optimized-layout.png')}>
                 Export Image
               </button>
+              {optimizedTrace && (
+                <button onClick={() => exportTrace(optimizedTrace, 'optimized-trace.json')}>
+                  Export Trace
+                </button>
+              )}
+              {optimizedCustomers && (
+                <button onClick={() => exportCustomers(optimizedCustomers, 'optimized-customers.csv')}>
+                  Export CSV
+                </button>
+              )}
             </div>
           </div>
         </div>
@@ -236,6 +321,46 @@ export default function Dashboard({ results, onBack }) {
                   {timeImprovement > 0 ? '+' : ''}{timeImprovement}%
                 </td>
               </tr>
+              {[
+                ['Shopping Time p50', 'shoppingTimeStats', 'p50', 's'],
+                ['Shopping Time p90', 'shoppingTimeStats', 'p90', 's'],
+                ['Shopping Time p99', 'shoppingTimeStats', 'p99', 's'],
+                ['Avg Distance Walked', 'distanceStats', 'mean', ` ${layoutScale.unit}`, metres => Math.round(metresToUnits(metres, layoutScale))],
+                ['Avg Time Blocked', 'blockedTimeStats', 'mean', 's'],
+                ['Checkout Wait p90', 'queueTimeStats', 'p90', 's']
+              ].map(([label, key, stat, unit, show = value => value]) => {
+                const original = originalMetrics?.[key]?.[stat] || 0;
+                const optimized = optimizedMetrics?.[key]?.[stat] || 0;
+                const improvement = calculateImprovement(original, optimized);
+                return (
+                  <tr key={label}>
+                    <td>{label}</td>
+                    <td>{show(original)}{unit}</td>
+                    <td>{show(optimized)}{unit}</td>
+                    <td className={improvement > 0 ? 'improvement' : ''}>
+                      {improvement > 0 ? '+' : ''}{improvement}%
+                    </td>
+                  </tr>
+                );
+              })}
+              <tr>
+                <td>Throughput</td>
+                <td>{originalMetrics?.throughput || 0}/h</td>
+                <td>{optimizedMetrics?.throughput || 0}/h</td>
+                <td></td>
+              </tr>
+              <tr>
+                <td>Did Not Finish</td>
+                <td>{originalMetrics?.unfinishedRate || 0}%</td>
+                <td>{optimizedMetrics?.unfinishedRate || 0}%</td>
+                <td></td>
+              </tr>
+              <tr>
+                <td>List Items Collected</td>
+                <td>{originalMetrics?.itemCompletion || 0}%</td>
+                <td>{optimizedMetrics?.itemCompletion || 0}%</td>
+                <td></td>
+              </tr>
               <tr>
                 <td>Bottleneck Count</td>
                 <td>{originalMetrics?.bottleneckCount || 0}</td>
@@ -244,10 +369,214 @@ export default function Dashboard({ results, onBack }) {
                   {bottleneckImprovement > 0 ? '+' : ''}{bottleneckImprovement}%
                 </td>
               </tr>
+              <tr>
+                <td>Avg Checkout Wait</td>
+                <td>{(originalMetrics?.avgQueueWait || 0).toFixed(1)}s</td>
+                <td>{(optimizedMetrics?.avgQueueWait || 0).toFixed(1)}s</td>
+                <td className={queueWaitImprovement > 0 ? 'improvement' : ''}>
+                  {queueWaitImprovement > 0 ? '+' : ''}{queueWaitImprovement}%
+                </td>
+              </tr>
+              <tr>
+                <td>Avg Queue Length</td>
+                <td>{(originalMetrics?.avgQueueLength || 0).toFixed(1)}</td>
+                <td>{(optimizedMetrics?.avgQueueLength || 0).toFixed(1)}</td>
+                <td></td>
+              </tr>
+              <tr>
+                <td>Max Queue Length</td>
+                <td>{originalMetrics?.maxQueueLength || 0}</td>
+                <td>{optimizedMetrics?.maxQueueLength || 0}</td>
+                <td></td>
+              </tr>
+              <tr>
+                <td>Lane Utilization</td>
+                <td>{originalMetrics?.laneUtilization || 0}%</td>
+                <td>{optimizedMetrics?.laneUtilization || 0}%</td>
+                <td></td>
+              </tr>
+              <tr>
+                <td>Avg Basket Value</td>
+                <td>${(originalMetrics?.avgBasketValue || 0).toFixed(2)}</td>
+                <td>${(optimizedMetrics?.avgBasketValue || 0).toFixed(2)}</td>
+                <td className={basketImprovement > 0 ? 'improvement' : ''}>
+                  {basketImprovement > 0 ? '+' : ''}{basketImprovement}%
+                </td>
+              </tr>
+              <tr>
+                <td>Impulse Sales</td>
+                <td>${(originalMetrics?.impulseRevenue || 0).toFixed(2)}</td>
+                <td>${(optimizedMetrics?.impulseRevenue || 0).toFixed(2)}</td>
+                <td></td>
+              </tr>
+              <tr>
+                <td>Walked Out</td>
+                <td>{originalMetrics?.abandonmentRate || 0}%</td>
+                <td>{optimizedMetrics?.abandonmentRate || 0}%</td>
+                <td className={abandonmentImprovement > 0 ? 'improvement' : ''}>
+                  {abandonmentImprovement > 0 ? '+' : ''}{abandonmentImprovement}%
+                </td>
+              </tr>
+              <tr>
+                <td>Items Given Up</td>
+                <td>{originalMetrics?.failedItems || 0}</td>
+                <td>{optimizedMetrics?.failedItems || 0}</td>
+                <td></td>
+              </tr>
+              <tr>
+                <td>Lost Sales</td>
+                <td>${(originalMetrics?.lostSales || 0).toFixed(2)}</td>
+                <td>${(optimizedMetrics?.lostSales || 0).toFixed(2)}</td>
+                <td className={lostSalesImprovement > 0 ? 'improvement' : ''}>
+                  {lostSalesImprovement > 0 ? '+' : ''}{lostSalesImprovement}%
+                </td>
+              </tr>
+              {originalMetrics?.stockLevels && (
+                <>
+                  <tr>
+                    <td>Stockouts</td>
+                    <td>{originalMetrics.stockouts}</td>
+                    <td>{optimizedMetrics?.stockouts || 0}</td>
+                    <td></td>
+                  </tr>
+                  <tr>
+                    <td>Restocks</td>
+                    <td>{originalMetrics.restocks}</td>
+                    <td>{optimizedMetrics?.restocks || 0}</td>
+                    <td></td>
+                  </tr>
+                  <tr>
+                    <td>Found Empty Shelf</td>
+                    <td>{originalMetrics.emptyShelfVisits}</td>
+                    <td>{optimizedMetrics?.emptyShelfVisits || 0}</td>
+                    <td></td>
+                  </tr>
+                  <tr>
+                    <td>Asked for Directions</td>
+                    <td>{originalMetrics.questionsAnswered}</td>
+                    <td>{optimizedMetrics?.questionsAnswered || 0}</td>
+                    <td></td>
+                  </tr>
+                </>
+              )}
             </tbody>
           </table>
         </div>
         
+        <div className="metrics-comparison">
+          <h3>Checkout Lanes</h3>
+          <table>
+            <thead>
+              <tr>
+                <th>Lane</th>
+                <th>Served (orig / opt)</th>
+                <th>Avg Wait (orig / opt)</th>
+                <th>Utilization (orig / opt)</th>
+              </tr>
+            </thead>
+            <tbody>
+              {(originalMetrics?.checkoutLanes || []).map((lane, index) => {
+                const optimizedLane = optimizedMetrics?.checkoutLanes?.[index];
+                return (
+                  <tr key={index}>
+                    <td>{index + 1}{lane.express ? ` (express ≤${lane.itemLimit})` : ''}</td>
+                    <td>{lane.served} / {optimizedLane?.served ?? '-'}</td>
+                    <td>{lane.avgWait.toFixed(1)}s / {optimizedLane ? `${optimizedLane.avgWait.toFixed(1)}s` : '-'}</td>
+                    <td>
+                      {Math.round(lane.utilization * 100)}% / {optimizedLane ? `${Math.round(optimizedLane.utilization * 100)}%` : '-'}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="metrics-comparison">
+          <h3>Section Sales</h3>
+          <table>
+            <thead>
+              <tr>
+                <th>Section</th>
+                <th>Visitors (orig / opt)</th>
+                <th>Avg Exposure (orig / opt)</th>
+                <th>Impulse Conversion (orig / opt)</th>
+                <th>Revenue (orig / opt)</th>
+              </tr>
+            </thead>
+            <tbody>
+              {(originalMetrics?.sectionSales || []).map((section) => {
+                const optimizedSection = optimizedMetrics?.sectionSales?.find(entry => entry.label === section.label);
+                return (
+                  <tr key={section.label}>
+                    <td>{section.label}</td>
+                    <td>{section.visitors} / {optimizedSection?.visitors ?? '-'}</td>
+                    <td>{section.avgExposure.toFixed(1)}s / {optimizedSection ? `${optimizedSection.avgExposure.toFixed(1)}s` : '-'}</td>
+                    <td>{section.conversionRate}% / {optimizedSection ? `${optimizedSection.conversionRate}%` : '-'}</td>
+                    <td>${section.revenue.toFixed(2)} / {optimizedSection ? `$${optimizedSection.revenue.toFixed(2)}` : '-'}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+
+        {originalMetrics?.signs?.length > 0 && (
+          <div className="metrics-comparison">
+            <h3>Signs</h3>
+            <table>
+              <thead>
+                <tr>
+                  <th>Sign</th>
+                  <th>Points to</th>
+                  <th>Readers (orig / opt)</th>
+                  <th>Pickups After Reading (orig / opt)</th>
+                </tr>
+              </thead>
+              <tbody>
+                {originalMetrics.signs.map((sign) => {
+                  const optimizedSign = optimizedMetrics?.signs?.[sign.index];
+                  return (
+                    <tr key={sign.index}>
+                      <td>S{sign.index + 1}</td>
+                      <td>{sign.sections.join(', ') || '-'}</td>
+                      <td>{sign.readers} / {optimizedSign?.readers ?? '-'}</td>
+                      <td>{sign.guidedPickups} / {optimizedSign?.guidedPickups ?? '-'}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        <div className="metrics-comparison">
+          <h3>Walk-outs</h3>
+          <table>
+            <thead>
+              <tr>
+                <th>Reason</th>
+                <th>Original</th>
+                <th>Optimized</th>
+              </tr>
+            </thead>
+            <tbody>
+              {Object.entries(ABANDON_REASONS).map(([reason, label]) => (
+                <tr key={reason}>
+                  <td>{label}</td>
+                  <td>{originalMetrics?.abandonmentReasons?.[reason] || 0}</td>
+                  <td>{optimizedMetrics?.abandonmentReasons?.[reason] || 0}</td>
+                </tr>
+              ))}
+              <tr>
+                <td>Most given-up items</td>
+                <td>{(originalMetrics?.mostFailedItems || []).map(item => `${item.name} (${item.count})`).join(', ') || '-'}</td>
+                <td>{(optimizedMetrics?.mostFailedItems || []).map(item => `${item.name} (${item.count})`).join(', ') || '-'}</td>
+              </tr>
+            </tbody>
+          </table>
+        </div>
+
         <div className="dashboard-actions">
           <button onClick={handleUseOptimized} className="primary">
             Use This Layout
@@ -1,17 +1,31 @@
 import React, { useRef, useEffect, useState, useCallback } from 'react';
+import { analyzeAisles } from '../utils/footprints.js';
+import { SIGN_FACINGS, DEFAULT_SIGN_RANGE, READABLE_ANGLE } from '../utils/signage.js';
+import {
+  LENGTH_UNITS,
+  resolveScale,
+  calibrateScale,
+  metresToPixels,
+  pixelsToUnits,
+  unitsToPixels,
+  formatLength,
+  lengthOf
+} from '../utils/units.js';
 
 const CANVAS_WIDTH = 800;
 const CANVAS_HEIGHT = 600;
 
-export default function Editor({ initialLayout, onStartSimulation }) {
+export default function Editor({ initialLayout, onLayoutChange, onStartSimulation }) {
   const canvasRef = useRef(null);
-  const [tool, setTool] = useState('wall'); // wall, entrance, exit, checkout, product
+  const [tool, setTool] = useState('wall'); // wall, entrance, exit, checkout, product, sign, scale
   const [isDrawing, setIsDrawing] = useState(false);
   const [currentWall, setCurrentWall] = useState(null);
   const [selectedElement, setSelectedElement] = useState(null);
   const [productLabel, setProductLabel] = useState('');
   const [showLabelInput, setShowLabelInput] = useState(false);
   const [labelPosition, setLabelPosition] = useState({ x: 0, y: 0 });
+  const [showAisles, setShowAisles] = useState(false);
+  const [referenceLine, setReferenceLine] = useState(null); // { start, end } while measuring the scale
   
   // Initialize layout state
   const [layout, setLayout] = useState(() => {
@@ -34,7 +48,9 @@ export default function Editor({ initialLayout, onStartSimulation }) {
     
     const ctx = canvas.getContext('2d');
     drawCanvas(ctx);
-  }, [layout, selectedElement, currentWall]);
+  }, [layout, selectedElement, currentWall, showAisles, referenceLine, tool]);
+
+  const scale = resolveScale(layout);
 
   const drawCanvas = (ctx) => {
     // Clear canvas
@@ -71,6 +87,9 @@ export default function Editor({ initialLayout, onStartSimulation }) {
             ctx.lineTo(element.points[i].x, element.points[i].y);
           }
           ctx.stroke();
+          if (isSelected) {
+            drawLengthLabel(ctx, element.points);
+          }
         }
       } else if (element.type === 'entrance') {
         ctx.fillStyle = isSelected ? '#00ff00' : '#00cc00';
@@ -91,25 +110,45 @@ export default function Editor({ initialLayout, onStartSimulation }) {
         ctx.textAlign = 'center';
         ctx.fillText('OUT', element.x, element.y + 4);
       } else if (element.type === 'checkout') {
-        ctx.fillStyle = isSelected ? '#0066ff' : '#0066cc';
+        if (element.express) {
+          ctx.fillStyle = isSelected ? '#00bcd4' : '#00acc1';
+        } else {
+          ctx.fillStyle = isSelected ? '#0066ff' : '#0066cc';
+        }
         ctx.fillRect(element.x, element.y, element.width, element.height);
         ctx.fillStyle = '#ffffff';
         ctx.font = '12px Arial';
         ctx.textAlign = 'center';
-        ctx.fillText('Checkout', element.x + element.width / 2, element.y + element.height / 2 + 4);
+        ctx.fillText(
+          element.express ? `Express ≤${element.itemLimit}` : 'Checkout',
+          element.x + element.width / 2,
+          element.y + element.height / 2 + 4
+        );
       } else if (element.type === 'product') {
         ctx.fillStyle = isSelected ? 'rgba(255, 200, 0, 0.5)' : 'rgba(255, 200, 0, 0.3)';
         ctx.fillRect(element.x, element.y, element.width, element.height);
-        ctx.strokeStyle = isSelected ? '#ff8800' : '#ffaa00';
-        ctx.lineWidth = isSelected ? 3 : 2;
+        // Tall shelving blocks customers' view, so it gets a heavier outline
+        if (element.tall) {
+          ctx.strokeStyle = isSelected ? '#ff8800' : '#e65100';
+          ctx.lineWidth = 4;
+        } else {
+          ctx.strokeStyle = isSelected ? '#ff8800' : '#ffaa00';
+          ctx.lineWidth = isSelected ? 3 : 2;
+        }
         ctx.strokeRect(element.x, element.y, element.width, element.height);
         ctx.fillStyle = '#000000';
         ctx.font = '14px Arial';
         ctx.textAlign = 'center';
         ctx.fillText(element.name, element.x + element.width / 2, element.y + element.height / 2 + 5);
+      } else if (element.type === 'sign') {
+        drawSign(ctx, element, isSelected);
       }
     });
     
+    if (showAisles) {
+      drawNarrowAisles(ctx);
+    }
+
     // Draw current wall being drawn
     if (currentWall && currentWall.points.length > 0) {
       ctx.strokeStyle = '#666666';
@@ -120,9 +159,113 @@ export default function Editor({ initialLayout, onStartSimulation }) {
         ctx.lineTo(currentWall.points[i].x, currentWall.points[i].y);
       }
       ctx.stroke();
+      drawLengthLabel(ctx, currentWall.points);
+    }
+
+    // The line the scale was measured on, or is being measured on now
+    const reference = referenceLine || (tool === 'scale' ? layout.scale?.reference : null);
+    if (reference) {
+      drawReferenceLine(ctx, reference);
     }
   };
 
+  // How long a wall is, next to its last point
+  const drawLengthLabel = (ctx, points) => {
+    let length = 0;
+    for (let i = 1; i < points.length; i++) {
+      length += lengthOf(points[i - 1], points[i]);
+    }
+    const end = points[points.length - 1];
+    ctx.fillStyle = '#333333';
+    ctx.font = 'bold 11px Arial';
+    ctx.textAlign = 'left';
+    ctx.fillText(formatLength(length, scale), end.x + 8, end.y - 8);
+  };
+
+  const drawReferenceLine = (ctx, line) => {
+    ctx.strokeStyle = '#1565c0';
+    ctx.lineWidth = 2;
+    ctx.setLineDash([6, 4]);
+    ctx.beginPath();
+    ctx.moveTo(line.start.x, line.start.y);
+    ctx.lineTo(line.end.x, line.end.y);
+    ctx.stroke();
+    ctx.setLineDash([]);
+    ctx.fillStyle = '#1565c0';
+    ctx.font = 'bold 11px Arial';
+    ctx.textAlign = 'center';
+    ctx.fillText(
+      line.length ? `${line.length} ${line.unit}` : formatLength(lengthOf(line.start, line.end), scale),
+      (line.start.x + line.end.x) / 2,
+      (line.start.y + line.end.y) / 2 - 8
+    );
+  };
+
+  // A sign with an arrow the way it faces and the sections it names; selected,
+  // it also shows where it can be read from
+  const drawSign = (ctx, sign, isSelected) => {
+    const facing = SIGN_FACINGS[sign.facing];
+    if (isSelected) {
+      const range = sign.range || metresToPixels(DEFAULT_SIGN_RANGE, scale);
+      ctx.fillStyle = 'rgba(142, 36, 170, 0.08)';
+      ctx.beginPath();
+      if (facing === null || facing === undefined) {
+        ctx.arc(sign.x, sign.y, range, 0, Math.PI * 2);
+      } else {
+        const angle = facing * Math.PI / 180;
+        const half = READABLE_ANGLE / 2 * Math.PI / 180;
+        ctx.moveTo(sign.x, sign.y);
+        ctx.arc(sign.x, sign.y, range, angle - half, angle + half);
+        ctx.closePath();
+      }
+      ctx.fill();
+    }
+
+    ctx.fillStyle = isSelected ? '#ab47bc' : '#8e24aa';
+    ctx.fillRect(sign.x - 12, sign.y - 6, 24, 12);
+    if (facing !== null && facing !== undefined) {
+      const angle = facing * Math.PI / 180;
+      ctx.beginPath();
+      ctx.moveTo(sign.x + Math.cos(angle) * 14, sign.y + Math.sin(angle) * 14);
+      ctx.lineTo(sign.x + Math.cos(angle + 2.5) * 8, sign.y + Math.sin(angle + 2.5) * 8);
+      ctx.lineTo(sign.x + Math.cos(angle - 2.5) * 8, sign.y + Math.sin(angle - 2.5) * 8);
+      ctx.fill();
+    }
+    ctx.fillStyle = '#4a148c';
+    ctx.font = '11px Arial';
+    ctx.textAlign = 'center';
+    ctx.fillText(sign.sections.join(' · '), sign.x, sign.y + 20);
+  };
+
+  // Aisles too narrow for two carts to pass (orange) or for a wheelchair route (red)
+  const drawNarrowAisles = (ctx) => {
+    getNarrowAisles().forEach(aisle => {
+      const color = aisle.issue === 'accessibility' ? '211, 47, 47' : '245, 124, 0';
+      ctx.fillStyle = `rgba(${color}, 0.35)`;
+      ctx.fillRect(aisle.x, aisle.y, aisle.width, aisle.height);
+      ctx.strokeStyle = `rgb(${color})`;
+      ctx.lineWidth = 1;
+      ctx.strokeRect(aisle.x, aisle.y, aisle.width, aisle.height);
+      ctx.fillStyle = `rgb(${color})`;
+      ctx.font = 'bold 11px Arial';
+      ctx.textAlign = 'center';
+      ctx.fillText(
+        formatLength(aisle.aisleWidth, scale),
+        aisle.x + aisle.width / 2,
+        aisle.y + aisle.height / 2 + 4
+      );
+    });
+  };
+
+  // Checked against the counters as drawn rather than the simulation's 40x20 ones
+  const getNarrowAisles = () => {
+    const simulationLayout = convertLayoutForSimulation(layout);
+    return analyzeAisles({
+      ...simulationLayout,
+      checkouts: layout.elements.filter(element => element.type === 'checkout')
+    });
+  };
+
   const getCanvasCoordinates = (e) => {
     const canvas = canvasRef.current;
     const rect = canvas.getBoundingClientRect();
@@ -155,9 +298,66 @@ export default function Editor({ initialLayout, onStartSimulation }) {
     } else if (tool === 'product') {
       setLabelPosition({ x: pos.x, y: pos.y });
       setShowLabelInput(true);
+    } else if (tool === 'sign') {
+      addSign(pos);
+    } else if (tool === 'scale') {
+      setReferenceLine({ start: pos, end: pos });
     }
   };
 
+  // Signs point customers who can read them to the sections they name
+  const addSign = (pos) => {
+    const sectionNames = layout.elements.filter(el => el.type === 'product').map(el => el.name);
+    const sectionsInput = window.prompt('Sections this sign points to (comma-separated):', sectionNames.join(', '));
+    const sections = (sectionsInput || '').split(',').map(name => name.trim()).filter(Boolean);
+    if (sections.length === 0) return;
+
+    const facingInput = window.prompt('Which way does the sign face? (up, down, left, right, or both for a hanging marker)', 'both');
+    const facing = (facingInput || '').trim().toLowerCase();
+    if (!(facing in SIGN_FACINGS)) return;
+
+    const defaultRange = pixelsToUnits(metresToPixels(DEFAULT_SIGN_RANGE, scale), scale);
+    const rangeInput = window.prompt(`Readable from how many ${LENGTH_UNITS[scale.unit].name} away?`, defaultRange.toFixed(1));
+    const range = parseFloat(rangeInput);
+    if (!range || range <= 0) return;
+
+    addElement({ type: 'sign', x: pos.x, y: pos.y, facing, sections, range: unitsToPixels(range, scale) });
+  };
+
+  // The scale comes from a line drawn over something of known length, e.g. a
+  // wall on the floor plan: "12 m" or "40 ft" (no unit keeps the current one)
+  const calibrateFromLine = (line) => {
+    const pixels = lengthOf(line.start, line.end);
+    if (pixels < 10) return;
+
+    const input = window.prompt('How long is this line? (e.g. 10 m or 30 ft)', formatLength(pixels, scale));
+    const match = (input || '').trim().match(/^(\d*\.?\d+)\s*(m|ft)?$/i);
+    if (!match) return;
+    const length = parseFloat(match[1]);
+    if (length <= 0) return;
+    const unit = match[2] ? match[2].toLowerCase() : scale.unit;
+
+    updateScale({
+      ...calibrateScale(pixels, length, unit),
+      reference: { start: line.start, end: line.end, length, unit }
+    });
+  };
+
+  // Showing lengths in the other unit doesn't change the scale itself
+  const changeUnit = (unit) => {
+    updateScale({
+      ...layout.scale,
+      pixelsPerUnit: metresToPixels(LENGTH_UNITS[unit].metres, scale),
+      unit
+    });
+  };
+
+  const updateScale = (newScale) => {
+    const newLayout = { ...layout, scale: newScale };
+    setLayout(newLayout);
+    saveToLocalStorage(newLayout);
+  };
+
   const handleMouseMove = (e) => {
     const pos = getCanvasCoordinates(e);
     
@@ -174,6 +374,8 @@ export default function Editor({ initialLayout, onStartSimulation }) {
           points: [...currentWall.points, { x: pos.x, y: pos.y }]
         });
       }
+    } else if (tool === 'scale' && referenceLine) {
+      setReferenceLine({ ...referenceLine, end: pos });
     }
   };
 
@@ -184,6 +386,9 @@ export default function Editor({ initialLayout, onStartSimulation }) {
         points: currentWall.points
       });
       setCurrentWall(null);
+    } else if (tool === 'scale' && referenceLine) {
+      calibrateFromLine(referenceLine);
+      setReferenceLine(null);
     }
     setIsDrawing(false);
   };
@@ -231,7 +436,7 @@ export default function Editor({ initialLayout, onStartSimulation }) {
             return;
           }
         }
-      } else if (element.type === 'entrance' || element.type === 'exit') {
+      } else if (element.type === 'entrance' || element.type === 'exit' || element.type === 'sign') {
         const dist = Math.sqrt(
           Math.pow(pos.x - element.x, 2) + 
           Math.pow(pos.y - element.y, 2)
@@ -294,6 +499,43 @@ export default function Editor({ initialLayout, onStartSimulation }) {
     }
   };
 
+  // Express lanes only take customers with at most itemLimit items
+  const toggleExpressLane = () => {
+    const element = selectedElement !== null ? layout.elements[selectedElement] : null;
+    if (!element || element.type !== 'checkout') return;
+
+    let updated;
+    if (element.express) {
+      updated = { ...element, express: false };
+      delete updated.itemLimit;
+    } else {
+      const input = window.prompt('Item limit for this express lane:', '10');
+      const itemLimit = parseInt(input, 10);
+      if (!itemLimit || itemLimit < 1) return;
+      updated = { ...element, express: true, itemLimit };
+    }
+
+    const newLayout = {
+      ...layout,
+      elements: layout.elements.map((el, i) => (i === selectedElement ? updated : el))
+    };
+    setLayout(newLayout);
+    saveToLocalStorage(newLayout);
+  };
+
+  // Tall sections are shelving above eye level: customers can't see past them
+  const toggleTallShelving = () => {
+    const element = selectedElement !== null ? layout.elements[selectedElement] : null;
+    if (!element || element.type !== 'product') return;
+
+    const newLayout = {
+      ...layout,
+      elements: layout.elements.map((el, i) => (i === selectedElement ? { ...el, tall: !el.tall } : el))
+    };
+    setLayout(newLayout);
+    saveToLocalStorage(newLayout);
+  };
+
   const clearAll = () => {
     if (window.confirm('Clear all elements?')) {
       const newLayout = { elements: [] };
@@ -339,6 +581,7 @@ export default function Editor({ initialLayout, onStartSimulation }) {
     const walls = [];
     const products = [];
     const checkouts = [];
+    const signs = [];
     let entrance = null;
     let exit = null;
     
@@ -357,12 +600,23 @@ export default function Editor({ initialLayout, onStartSimulation }) {
           y: element.y,
           width: element.width,
           height: element.height,
-          label: element.name || 'Product'
+          label: element.name || 'Product',
+          tall: Boolean(element.tall)
         });
       } else if (element.type === 'checkout') {
         checkouts.push({
           x: element.x + element.width / 2,
-          y: element.y + element.height / 2
+          y: element.y + element.height / 2,
+          express: Boolean(element.express),
+          itemLimit: element.itemLimit
+        });
+      } else if (element.type === 'sign') {
+        signs.push({
+          x: element.x,
+          y: element.y,
+          facing: SIGN_FACINGS[element.facing] ?? null,
+          sections: element.sections,
+          range: element.range
         });
       } else if (element.type === 'entrance') {
         entrance = { x: element.x, y: element.y };
@@ -388,10 +642,12 @@ export default function Editor({ initialLayout, onStartSimulation }) {
       walls,
       products,
       checkouts,
+      signs,
       entrance,
       exit,
       entrances,
-      exits
+      exits,
+      scale: editorLayout.scale
     };
   };
 
@@ -409,6 +665,9 @@ export default function Editor({ initialLayout, onStartSimulation }) {
 
   const saveToLocalStorage = (layoutToSave) => {
     localStorage.setItem('storeLayout', JSON.stringify(layoutToSave));
+    if (onLayoutChange) {
+      onLayoutChange(layoutToSave);
+    }
   };
 
   return (
@@ -444,6 +703,47 @@ export default function Editor({ initialLayout, onStartSimulation }) {
         >
           Add Product Section
         </button>
+        <button
+          className={tool === 'sign' ? 'active' : ''}
+          onClick={() => setTool('sign')}
+        >
+          Add Sign
+        </button>
+        <button
+          className={tool === 'scale' ? 'active' : ''}
+          onClick={() => setTool('scale')}
+          title="Draw a line over something of known length, then enter how long it is"
+        >
+          Set Scale
+        </button>
+        <label title="Drawn length of one unit; set it with Set Scale">
+          {`${scale.pixelsPerUnit.toFixed(1)} px = 1 `}
+          <select value={scale.unit} onChange={(e) => changeUnit(e.target.value)}>
+            {Object.entries(LENGTH_UNITS).map(([unit, { name }]) => (
+              <option key={unit} value={unit} title={name}>{unit}</option>
+            ))}
+          </select>
+        </label>
+        <button
+          onClick={toggleExpressLane}
+          disabled={selectedElement === null || layout.elements[selectedElement]?.type !== 'checkout'}
+        >
+          Toggle Express Lane
+        </button>
+        <button
+          onClick={toggleTallShelving}
+          disabled={selectedElement === null || layout.elements[selectedElement]?.type !== 'product'}
+          title="Tall shelving blocks customers' view of the sections behind it"
+        >
+          Toggle Tall Shelving
+        </button>
+        <button
+          className={showAisles ? 'active' : ''}
+          onClick={() => setShowAisles(!showAisles)}
+          title="Orange: too narrow for two carts to pass. Red: under the 36 in accessible route width."
+        >
+          {showAisles ? `Narrow Aisles (${getNarrowAisles().length})` : 'Check Aisles'}
+        </button>
         <button onClick={deleteSelected} disabled={selectedElement === null}>
           Delete Selected
         </button>
@@ -0,0 +1,240 @@
+import { useEffect, useRef } from 'react'
+import { PERSONAS } from '../utils/personas.js'
+import { STAFF_ROLES } from '../utils/staff.js'
+import { getCheckoutRect } from '../utils/navigation.js'
+import { EGRESS_WIDTH_PER_OCCUPANT, FLOOR_AREA_PER_OCCUPANT } from '../utils/evacuation.js'
+import { LENGTH_UNITS, resolveScale, metresToUnits, squareMetresToUnits } from '../utils/units.js'
+import './EvacuationReport.css'
+
+const PLAN_WIDTH = 640
+
+const formatSeconds = (seconds) => (seconds === null ? '—' : `${seconds.toFixed(1)}s`)
+
+// Fractions of an inch or millimetres, for per-person exit widths
+const formatSmallLength = (metres, scale) => (scale.unit === 'ft'
+  ? `${(metres / (LENGTH_UNITS.ft.metres / 12)).toFixed(1)} in`
+  : `${(metres * 1000).toFixed(1)} mm`)
+
+const describeOccupant = (occupant) => (occupant.staff
+  ? `Staff (${STAFF_ROLES[occupant.who]?.name || occupant.who})`
+  : PERSONAS[occupant.who]?.name || occupant.who)
+
+// The layout with every exit numbered and the people that used it, scaled to the page
+function EvacuationPlan({ layout, exits }) {
+  const canvasRef = useRef(null)
+
+  useEffect(() => {
+    const canvas = canvasRef.current
+    if (!canvas) return
+    const points = (layout.walls || []).flatMap(wall => [wall.start, wall.end])
+    const maxX = Math.max(...points.map(point => point.x), ...exits.map(exit => exit.x)) + 40
+    const maxY = Math.max(...points.map(point => point.y), ...exits.map(exit => exit.y)) + 40
+    const scale = PLAN_WIDTH / maxX
+    canvas.width = PLAN_WIDTH
+    canvas.height = Math.round(maxY * scale)
+
+    const ctx = canvas.getContext('2d')
+    ctx.setTransform(scale, 0, 0, scale, 0, 0)
+    ctx.fillStyle = '#fff'
+    ctx.fillRect(0, 0, maxX, maxY)
+
+    ctx.strokeStyle = '#333'
+    ctx.lineWidth = 3
+    for (const wall of layout.walls || []) {
+      ctx.beginPath()
+      ctx.moveTo(wall.start.x, wall.start.y)
+      ctx.lineTo(wall.end.x, wall.end.y)
+      ctx.stroke()
+    }
+
+    ctx.font = '13px sans-serif'
+    ctx.textAlign = 'center'
+    for (const section of layout.products || []) {
+      ctx.strokeStyle = '#999'
+      ctx.lineWidth = 1
+      ctx.strokeRect(section.x, section.y, section.width, section.height)
+      ctx.fillStyle = '#555'
+      ctx.fillText(section.label || section.name, section.x + section.width / 2, section.y + section.height / 2 + 5)
+    }
+    for (const checkout of layout.checkouts || []) {
+      const rect = getCheckoutRect(checkout)
+      ctx.fillStyle = '#ccc'
+      ctx.fillRect(rect.x, rect.y, rect.width, rect.height)
+    }
+
+    for (const exit of exits) {
+      ctx.fillStyle = '#2e7d32'
+      ctx.beginPath()
+      ctx.arc(exit.x, exit.y, 16, 0, Math.PI * 2)
+      ctx.fill()
+      ctx.fillStyle = '#fff'
+      ctx.font = 'bold 13px sans-serif'
+      ctx.fillText(`E${exit.index + 1}`, exit.x, exit.y + 5)
+      ctx.fillStyle = '#2e7d32'
+      ctx.font = '12px sans-serif'
+      ctx.fillText(`${exit.evacuated} out`, exit.x, exit.y - 22)
+    }
+  }, [layout, exits])
+
+  return <canvas ref={canvasRef} className="evacuation-plan" />
+}
+
+// Printable summary of an evacuation drill, to file with the layout
+export default function EvacuationReport({ report, layout, seed, onClose }) {
+  const { occupancy } = report
+  const scale = resolveScale(layout)
+  const area = LENGTH_UNITS[scale.unit].area
+
+  return (
+    <div className="evacuation-report-backdrop">
+      <div className="evacuation-report">
+        <div className="evacuation-report-actions">
+          <button onClick={() => window.print()}>Print</button>
+          <button onClick={onClose}>Close</button>
+        </div>
+
+        <h2>Evacuation Drill Report</h2>
+        <p className="evacuation-report-meta">
+          Seed {seed} · alarm at {formatSeconds(report.alarmTime)} into the run ·{' '}
+          {report.complete ? 'everyone who could get out is out' : `still running (${formatSeconds(report.elapsed)} since the alarm)`}
+        </p>
+
+        <div className="evacuation-summary">
+          <div>
+            <span className="evacuation-figure">{formatSeconds(report.totalTime)}</span>
+            <label>Total evacuation time</label>
+          </div>
+          <div>
+            <span className="evacuation-figure">{report.evacuated}/{report.occupants}</span>
+            <label>People out</label>
+          </div>
+          <div className={report.trapped.length > 0 ? 'fail' : ''}>
+            <span className="evacuation-figure">{report.trapped.length}</span>
+            <label>No reachable exit</label>
+          </div>
+          <div className={occupancy.designLoadOk && occupancy.peakOk ? 'pass' : 'fail'}>
+            <span className="evacuation-figure">{occupancy.designLoadOk && occupancy.peakOk ? 'PASS' : 'FAIL'}</span>
+            <label>Occupancy vs exit capacity</label>
+          </div>
+        </div>
+
+        <EvacuationPlan layout={layout} exits={report.exits} />
+
+        <h3>Maximum Occupancy</h3>
+        <table>
+          <tbody>
+            <tr>
+              <td>Floor area</td>
+              <td>{Math.round(squareMetresToUnits(occupancy.floorArea, scale))} {area}</td>
+            </tr>
+            <tr>
+              <td>Design occupant load ({Math.round(squareMetresToUnits(FLOOR_AREA_PER_OCCUPANT, scale) * 10) / 10} {area} per person)</td>
+              <td>{occupancy.designLoad}</td>
+            </tr>
+            <tr>
+              <td>Exit capacity ({formatSmallLength(EGRESS_WIDTH_PER_OCCUPANT, scale)} of exit width per person)</td>
+              <td>{occupancy.exitCapacity}</td>
+            </tr>
+            <tr className={occupancy.designLoadOk ? '' : 'fail'}>
+              <td>Design load within exit capacity</td>
+              <td>{occupancy.designLoadOk ? 'Yes' : 'No'}</td>
+            </tr>
+            <tr className={occupancy.peakOk ? '' : 'fail'}>
+              <td>Peak simulated occupancy ({occupancy.peakOccupancy}) within exit capacity</td>
+              <td>{occupancy.peakOk ? 'Yes' : 'No'}</td>
+            </tr>
+            <tr>
+              <td>In the store when the alarm went off</td>
+              <td>{occupancy.atAlarm}</td>
+            </tr>
+          </tbody>
+        </table>
+
+        <h3>Exits</h3>
+        <table>
+          <thead>
+            <tr>
+              <th>Exit</th>
+              <th>Width</th>
+              <th>Capacity</th>
+              <th>Headed here</th>
+              <th>Out</th>
+              <th>First / last out</th>
+              <th>Flow (people/min)</th>
+              <th>Peak flow</th>
+            </tr>
+          </thead>
+          <tbody>
+            {report.exits.map(exit => (
+              <tr key={exit.index}>
+                <td>E{exit.index + 1}</td>
+                <td>{metresToUnits(exit.width, scale).toFixed(scale.unit === 'm' ? 2 : 1)} {scale.unit}</td>
+                <td>{exit.capacity}</td>
+                <td>{exit.assigned}</td>
+                <td>{exit.evacuated}</td>
+                <td>{formatSeconds(exit.firstOut)} / {formatSeconds(exit.lastOut)}</td>
+                <td>{exit.flowRate}</td>
+                <td>{exit.peakFlow}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <h3>Time to Clear by Zone</h3>
+        <table>
+          <thead>
+            <tr>
+              <th>Zone</th>
+              <th>People at alarm</th>
+              <th>Cleared after</th>
+            </tr>
+          </thead>
+          <tbody>
+            {report.zones.map(zone => (
+              <tr key={zone.name} className={zone.cleared ? '' : 'fail'}>
+                <td>{zone.name}</td>
+                <td>{zone.occupants}</td>
+                <td>{zone.cleared ? formatSeconds(zone.timeToClear) : 'Not yet'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <h3>Longest to Get Out</h3>
+        <table>
+          <thead>
+            <tr>
+              <th>Who</th>
+              <th>Started in</th>
+              <th>Exit</th>
+              <th>Route</th>
+              <th>Time</th>
+            </tr>
+          </thead>
+          <tbody>
+            {report.worstOff.map(occupant => (
+              <tr key={occupant.id} className={occupant.inside ? 'fail' : ''}>
+                <td>#{occupant.id} {describeOccupant(occupant)}</td>
+                <td>{occupant.zone}</td>
+                <td>E{occupant.exit + 1}</td>
+                <td>{Math.round(metresToUnits(occupant.distance, scale))} {scale.unit}</td>
+                <td>{formatSeconds(occupant.time)}{occupant.inside ? ' (still inside)' : ''}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        {report.trapped.length > 0 && (
+          <>
+            <h3>No Reachable Exit</h3>
+            <ul className="evacuation-trapped">
+              {report.trapped.map(occupant => (
+                <li key={occupant.id}>#{occupant.id} {describeOccupant(occupant)} in {occupant.zone}</li>
+              ))}
+            </ul>
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
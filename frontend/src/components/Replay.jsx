@@ -0,0 +1,114 @@
+import { useState } from 'react'
+import { TRACE_EVENT_LABELS, traceDuration } from '../utils/traceRecorder.js'
+import { ABANDON_REASONS } from '../utils/abandonment.js'
+import './Replay.css'
+
+const formatTime = (ms) => `${(ms / 1000).toFixed(1)}s`
+
+const describeEvent = (event) => {
+  switch (event.type) {
+    case 'decide': {
+      const choice = event.target ? `${event.decision} → ${event.target}` : event.decision
+      return event.by ? `${choice} (${event.by})` : choice // Older traces don't say who decided
+    }
+    case 'pickup':
+      return `${event.items.join(', ')} at ${event.section}`
+    case 'browse':
+      return event.section
+    case 'impulse':
+      return `${event.item} ($${event.price.toFixed(2)}) at ${event.section}`
+    case 'queue':
+      return `lane ${event.lane + 1}, position ${event.position + 1}`
+    case 'served':
+      return `after ${formatTime(event.wait)} in line`
+    case 'giveUp':
+      return event.items.join(', ')
+    case 'abandon':
+      return ABANDON_REASONS[event.reason] || event.reason
+    case 'stockout':
+    case 'restock':
+      return event.section
+    case 'askStaff':
+      return event.sections.length > 0 ? `sent to ${event.sections.join(', ')}` : 'nothing in stock'
+    case 'readSign':
+      return `S${event.sign + 1}: ${event.sections.join(', ') || 'nothing'}`
+    case 'laneOpen':
+    case 'laneClose':
+      return `lane ${event.lane + 1}`
+    case 'evacuated':
+      return `through exit E${event.exit + 1}`
+    case 'exit':
+      if (event.abandoned) return `walked out after ${formatTime(event.shoppingTime)}`
+      return `after ${formatTime(event.shoppingTime)}, spent $${event.basketValue.toFixed(2)}`
+    default:
+      return ''
+  }
+}
+
+// Transport controls and event list for replaying a recorded trace. The parent
+// owns the playhead (time) and draws the frame.
+export default function Replay({ trace, time, playing, onSeek, onTogglePlay, onClose }) {
+  const [eventType, setEventType] = useState('')
+  const duration = traceDuration(trace)
+  const frameTime = trace.frameTime || 100
+
+  const events = eventType ? trace.events.filter(event => event.type === eventType) : trace.events
+  const nextEvent = events.find(event => event.t > time)
+  const previousEvent = [...events].reverse().find(event => event.t < time)
+
+  // The few events either side of the playhead
+  const currentIndex = events.findIndex(event => event.t > time)
+  const listStart = Math.max(0, (currentIndex === -1 ? events.length : currentIndex) - 6)
+  const nearby = events.slice(listStart, listStart + 12)
+
+  return (
+    <div className="replay">
+      <div className="replay-transport">
+        <button onClick={() => onSeek(Math.max(0, time - frameTime))} title="Step back">◀︎|</button>
+        <button onClick={onTogglePlay}>{playing ? 'Pause' : 'Play'}</button>
+        <button onClick={() => onSeek(Math.min(duration, time + frameTime))} title="Step forward">|▶︎</button>
+        <input
+          type="range"
+          min={0}
+          max={duration}
+          step={frameTime}
+          value={time}
+          onChange={(e) => onSeek(Number(e.target.value))}
+          className="replay-scrubber"
+        />
+        <span className="replay-time">{formatTime(time)} / {formatTime(duration)}</span>
+        <button onClick={onClose}>Close Replay</button>
+      </div>
+
+      <div className="replay-events">
+        <div className="replay-event-nav">
+          <select value={eventType} onChange={(e) => setEventType(e.target.value)}>
+            <option value="">All events</option>
+            {Object.entries(TRACE_EVENT_LABELS).map(([type, label]) => (
+              <option key={type} value={type}>{label}</option>
+            ))}
+          </select>
+          <button onClick={() => previousEvent && onSeek(previousEvent.t)} disabled={!previousEvent}>
+            ← Previous event
+          </button>
+          <button onClick={() => nextEvent && onSeek(nextEvent.t)} disabled={!nextEvent}>
+            Next event →
+          </button>
+        </div>
+        <ul className="replay-event-list">
+          {nearby.map((event, index) => (
+            <li
+              key={listStart + index}
+              className={event.t <= time ? 'past' : ''}
+              onClick={() => onSeek(event.t)}
+            >
+              <span className="replay-event-time">{formatTime(event.t)}</span>
+              <span className="replay-event-type">#{event.customer} {TRACE_EVENT_LABELS[event.type] || event.type}</span>
+              <span>{describeEvent(event)}</span>
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  )
+}
@@ -1,45 +1,113 @@
 import { useState, useEffect, useRef } from 'react'
-import { SimulationEngine } from '../utils/simulationEngine.js'
-import { GeneticOptimizer } from '../utils/geneticOptimizer.js'
+import { generateSeed } from '../utils/random.js'
+import { getCheckoutRect } from '../utils/navigation.js'
+import { LANE_CHOICE_STRATEGIES } from '../utils/checkoutLanes.js'
+import { ARRIVAL_PROFILES, resolveArrivalConfig } from '../utils/arrivals.js'
+import { PERSONAS, PERSONA_MIXES } from '../utils/personas.js'
+import { STAFF_ROLES, STAFFING_PRESETS } from '../utils/staff.js'
+import { SCENARIO_PRESETS, DEFAULT_SCENARIO_PRESET, resolveScenario, parseScenario, layoutScenario } from '../utils/scenario.js'
+import { DECISION_PROVIDERS } from '../utils/decisionProviders.js'
+import { CONGESTION_GRID_SIZE } from '../utils/spatialHash.js'
+import { FOOTPRINTS } from '../utils/footprints.js'
+import { parseTrace, traceDuration, frameIndexAt, decodeFrame } from '../utils/traceRecorder.js'
+import { customerRecordsToCSV } from '../utils/customerRecords.js'
+import { OPTIMIZER_OBJECTIVES, DEFAULT_OBJECTIVE } from '../utils/geneticOptimizer.js'
+import { resolveScale, metresToPixels, metresToUnits } from '../utils/units.js'
+import { HEAT_MAP_MODES, HEAT_MAP_CELL_SIZES, DEFAULT_HEAT_MAP_CELL_SIZE, heatMapCells, heatMapScale } from '../utils/heatMap.js'
+import ArrivalCurve from './ArrivalCurve.jsx'
+import Replay from './Replay.jsx'
+import EvacuationReport from './EvacuationReport.jsx'
 import './Simulation.css'
 
-export default function Simulation({ layout, onOptimizationComplete, onBack }) {
+// Scenarios without a seed get a fresh one here, so the run can be repeated
+const withSeed = (scenario) => ({ ...scenario, seed: scenario.seed ?? String(generateSeed()) })
+
+export default function Simulation({ layout, onOptimizationComplete, onScenarioChange, onBack }) {
   const canvasRef = useRef(null)
   const [isRunning, setIsRunning] = useState(false)
   const [isOptimizing, setIsOptimizing] = useState(false)
   const [speed, setSpeed] = useState(1)
-  const [showHeatMap, setShowHeatMap] = useState(false)
+  // '' (off), 'live' (crowd right now) or a HEAT_MAP_MODES key (whole run so far)
+  const [heatMapMode, setHeatMapMode] = useState('')
+  const [heatMapCellSize, setHeatMapCellSize] = useState(DEFAULT_HEAT_MAP_CELL_SIZE)
+  const [objective, setObjective] = useState(DEFAULT_OBJECTIVE)
   const [simulationData, setSimulationData] = useState(null)
   const [optimizationProgress, setOptimizationProgress] = useState(null)
-  const engineRef = useRef(null)
-  const optimizerRef = useRef(null)
-  const animationFrameRef = useRef(null)
+  // The study every run and the optimizer use (see scenario.js). It starts as
+  // the one saved with the layout, if any; scenarioSource is the preset key,
+  // 'layout', or 'custom' once edited here or loaded from a file.
+  const savedScenario = layoutScenario(layout)
+  const [scenario, setScenario] = useState(() => withSeed(savedScenario || resolveScenario(DEFAULT_SCENARIO_PRESET)))
+  const [scenarioSource, setScenarioSource] = useState(savedScenario ? 'layout' : DEFAULT_SCENARIO_PRESET)
+  const [isFinished, setIsFinished] = useState(false)
+  // Evacuation drill: seconds into the run to sound the alarm ('' for none)
+  const [alarmAt, setAlarmAt] = useState('')
+  const [showEvacuationReport, setShowEvacuationReport] = useState(false)
+  // Narrows metrics and the heat map to one persona; '' means everyone
+  const [personaFilter, setPersonaFilter] = useState('')
+  // The engine and the optimizer each live in a Web Worker; this view only
+  // sends commands and draws the snapshots that come back
+  const simulationWorkerRef = useRef(null)
+  const optimizerWorkerRef = useRef(null)
+  const [isOptimizerPaused, setIsOptimizerPaused] = useState(false)
+  // Live runs record a trace unless turned off; a loaded trace puts the view in replay mode
+  const [recordTrace, setRecordTrace] = useState(true)
+  const [replayTrace, setReplayTrace] = useState(null)
+  const [replayTime, setReplayTime] = useState(0)
+  const [replayPlaying, setReplayPlaying] = useState(false)
+  const traceInputRef = useRef(null)
+  const scenarioInputRef = useRef(null)
 
   const apiKey = import.meta.env.VITE_OPENROUTER_API_KEY
+  const seed = scenario.seed
+  const arrivals = resolveArrivalConfig(scenario.arrivals)
+  // Servers (or a chain of them) take a temperature and timeout; single ones a model and endpoint too
+  const decisionProvider = DECISION_PROVIDERS[scenario.decisions.provider] || DECISION_PROVIDERS.rules
 
   useEffect(() => {
     return () => {
-      if (engineRef.current) {
-        engineRef.current.stop()
-      }
-      if (optimizerRef.current) {
-        optimizerRef.current.stop()
-      }
-      if (animationFrameRef.current) {
-        cancelAnimationFrame(animationFrameRef.current)
-      }
+      simulationWorkerRef.current?.terminate()
+      optimizerWorkerRef.current?.terminate()
     }
   }, [])
 
+  // In replay mode the canvas shows the trace's layout and the frame under the playhead
+  const shownLayout = replayTrace ? replayTrace.layout : layout
+  const scale = resolveScale(shownLayout)
+  const replayFrame = replayTrace ? decodeFrame(replayTrace, frameIndexAt(replayTrace, replayTime)) : null
+  const shownData = replayTrace ? replayFrame : simulationData
+  const shownHeatMap = replayTrace ? replayTrace.metrics?.heatMap : simulationData?.metrics.heatMap
+
   useEffect(() => {
-    if (simulationData) {
+    if (shownData) {
       drawSimulation()
     }
-  }, [simulationData, showHeatMap])
+  }, [simulationData, heatMapMode, replayTrace, replayTime])
+
+  // Replay playback runs on the main thread; it only decodes recorded frames
+  useEffect(() => {
+    if (!replayPlaying || !replayTrace) return
+
+    const duration = traceDuration(replayTrace)
+    let frame = null
+    let last = performance.now()
+    const advance = (now) => {
+      const elapsed = Math.min(now - last, 250)
+      last = now
+      setReplayTime(time => {
+        const next = Math.min(time + elapsed * speed, duration)
+        if (next >= duration) setReplayPlaying(false)
+        return next
+      })
+      frame = requestAnimationFrame(advance)
+    }
+    frame = requestAnimationFrame(advance)
+    return () => cancelAnimationFrame(frame)
+  }, [replayPlaying, replayTrace, speed])
 
   const drawSimulation = () => {
     const canvas = canvasRef.current
-    if (!canvas || !simulationData) return
+    if (!canvas || !shownData) return
 
     const ctx = canvas.getContext('2d')
     ctx.clearRect(0, 0, canvas.width, canvas.height)
@@ -47,30 +115,48 @@ export default function Simulation({ layout, onOptimizationComplete, onBack }) {
     // Draw layout
     drawLayout(ctx)
 
-    // Draw heat map if enabled
-    if (showHeatMap && simulationData.congestionMap) {
-      drawHeatMap(ctx, simulationData.congestionMap)
+    // Shelf stock is only known live; traces keep positions only
+    if (!replayTrace && shownData.metrics?.stockLevels) {
+      drawStockLevels(ctx, shownData.metrics.stockLevels)
+    }
+
+    // Draw heat map if enabled; a replay has only the run's final heat map
+    if (heatMapMode === 'live') {
+      const congestionMap = replayTrace ? countCustomersPerCell(shownData.customers) : shownData.congestionMap
+      if (congestionMap) drawHeatMap(ctx, congestionMap)
+    } else if (heatMapMode) {
+      drawAccumulatedHeatMap(ctx, shownHeatMap)
     }
 
     // Draw customers
-    simulationData.customers.forEach(customer => {
+    shownData.customers.forEach(customer => {
       drawCustomer(ctx, customer)
     })
 
-    // Continue animation
-    animationFrameRef.current = requestAnimationFrame(() => {
-      if (simulationData) {
-        drawSimulation()
-      }
+    // Parked carts and staff
+    const carts = shownData.carts || []
+    carts.forEach(cart => drawCart(ctx, cart))
+    const staff = shownData.staff || []
+    staff.forEach(member => drawStaff(ctx, member))
+  }
+
+  // Traces keep positions only, so the replay heat map is counted per frame
+  const countCustomersPerCell = (customers) => {
+    const gridSize = metresToPixels(CONGESTION_GRID_SIZE, scale)
+    const counts = new Map()
+    customers.forEach(customer => {
+      const key = `${Math.floor(customer.x / gridSize)},${Math.floor(customer.y / gridSize)}`
+      counts.set(key, (counts.get(key) || 0) + 1)
     })
+    return counts
   }
 
   const drawLayout = (ctx) => {
     // Draw walls
-    if (layout.walls && layout.walls.length > 0) {
+    if (shownLayout.walls && shownLayout.walls.length > 0) {
       ctx.strokeStyle = '#333'
       ctx.lineWidth = 2
-      layout.walls.forEach(wall => {
+      shownLayout.walls.forEach(wall => {
         ctx.beginPath()
         // Handle both formats: {start: {x,y}, end: {x,y}} or {x1, y1, x2, y2}
         const x1 = wall.start ? wall.start.x : wall.x1
@@ -83,13 +169,13 @@ export default function Simulation({ layout, onOptimizationComplete, onBack }) {
       })
     }
 
-    // Draw product sections
-    if (layout.products && layout.products.length > 0) {
-      layout.products.forEach(section => {
+    // Draw product sections; tall shelving (blocks the view) gets a heavier outline
+    if (shownLayout.products && shownLayout.products.length > 0) {
+      shownLayout.products.forEach(section => {
         ctx.fillStyle = 'rgba(255, 243, 224, 0.5)'
         ctx.fillRect(section.x, section.y, section.width, section.height)
-        ctx.strokeStyle = '#ff9800'
-        ctx.lineWidth = 2
+        ctx.strokeStyle = section.tall ? '#e65100' : '#ff9800'
+        ctx.lineWidth = section.tall ? 4 : 2
         ctx.strokeRect(section.x, section.y, section.width, section.height)
         
         ctx.fillStyle = '#333'
@@ -104,47 +190,64 @@ export default function Simulation({ layout, onOptimizationComplete, onBack }) {
     }
 
     // Draw entrance
-    if (layout.entrance) {
+    if (shownLayout.entrance) {
       ctx.fillStyle = '#4caf50'
       ctx.beginPath()
-      ctx.arc(layout.entrance.x, layout.entrance.y, 15, 0, Math.PI * 2)
+      ctx.arc(shownLayout.entrance.x, shownLayout.entrance.y, 15, 0, Math.PI * 2)
       ctx.fill()
       ctx.fillStyle = '#fff'
       ctx.font = '12px sans-serif'
       ctx.textAlign = 'center'
-      ctx.fillText('IN', layout.entrance.x, layout.entrance.y + 4)
+      ctx.fillText('IN', shownLayout.entrance.x, shownLayout.entrance.y + 4)
     }
 
     // Draw exit
-    if (layout.exit) {
+    if (shownLayout.exit) {
       ctx.fillStyle = '#f44336'
       ctx.beginPath()
-      ctx.arc(layout.exit.x, layout.exit.y, 15, 0, Math.PI * 2)
+      ctx.arc(shownLayout.exit.x, shownLayout.exit.y, 15, 0, Math.PI * 2)
       ctx.fill()
       ctx.fillStyle = '#fff'
       ctx.font = '12px sans-serif'
       ctx.textAlign = 'center'
-      ctx.fillText('OUT', layout.exit.x, layout.exit.y + 4)
+      ctx.fillText('OUT', shownLayout.exit.x, shownLayout.exit.y + 4)
     }
 
     // Draw checkouts
-    if (layout.checkouts && layout.checkouts.length > 0) {
-      layout.checkouts.forEach(checkout => {
-        ctx.fillStyle = '#2196f3'
-        ctx.fillRect(checkout.x - 20, checkout.y - 10, 40, 20)
-        ctx.strokeStyle = '#1976d2'
+    if (shownLayout.checkouts && shownLayout.checkouts.length > 0) {
+      shownLayout.checkouts.forEach(checkout => {
+        const rect = getCheckoutRect(checkout)
+        ctx.fillStyle = checkout.express ? '#00acc1' : '#2196f3'
+        ctx.fillRect(rect.x, rect.y, rect.width, rect.height)
+        ctx.strokeStyle = checkout.express ? '#00838f' : '#1976d2'
         ctx.lineWidth = 2
-        ctx.strokeRect(checkout.x - 20, checkout.y - 10, 40, 20)
+        ctx.strokeRect(rect.x, rect.y, rect.width, rect.height)
         ctx.fillStyle = '#fff'
         ctx.font = '10px sans-serif'
         ctx.textAlign = 'center'
-        ctx.fillText('Checkout', checkout.x, checkout.y + 4)
+        ctx.fillText(
+          checkout.express ? `Express ≤${checkout.itemLimit || 10}` : 'Checkout',
+          rect.x + rect.width / 2,
+          rect.y + rect.height / 2 + 4
+        )
+      })
+    }
+
+    // Draw signs, numbered like in the results
+    if (shownLayout.signs && shownLayout.signs.length > 0) {
+      shownLayout.signs.forEach((sign, index) => {
+        ctx.fillStyle = '#8e24aa'
+        ctx.fillRect(sign.x - 12, sign.y - 6, 24, 12)
+        ctx.fillStyle = '#fff'
+        ctx.font = '9px sans-serif'
+        ctx.textAlign = 'center'
+        ctx.fillText(`S${index + 1}`, sign.x, sign.y + 3)
       })
     }
   }
 
   const drawHeatMap = (ctx, congestionMap) => {
-    const gridSize = 20
+    const gridSize = shownData.congestionGridSize || metresToPixels(CONGESTION_GRID_SIZE, scale)
     congestionMap.forEach((count, key) => {
       const [x, y] = key.split(',').map(Number)
       const intensity = Math.min(count / 5, 1) // Normalize to 0-1
@@ -155,14 +258,61 @@ export default function Simulation({ layout, onOptimizationComplete, onBack }) {
       const b = 0
       
       ctx.fillStyle = `rgba(${r}, ${g}, ${b}, 0.4)`
-      ctx.fillRect(x, y, gridSize, gridSize)
+      ctx.fillRect(x * gridSize, y * gridSize, gridSize, gridSize)
+    })
+  }
+
+  const drawAccumulatedHeatMap = (ctx, heatMap) => {
+    heatMapCells(heatMap, heatMapMode).forEach(cell => {
+      const r = Math.floor(cell.intensity * 255)
+      const g = Math.floor((1 - cell.intensity) * 255)
+      ctx.fillStyle = `rgba(${r}, ${g}, 0, 0.4)`
+      ctx.fillRect(cell.x, cell.y, cell.size, cell.size)
+    })
+  }
+
+  // A bar under each section: full width when stocked, red when empty
+  const drawStockLevels = (ctx, stockLevels) => {
+    stockLevels.forEach(level => {
+      const section = shownLayout.products.find(product => product.label === level.label)
+      if (!section) return
+      const share = level.capacity > 0 ? level.units / level.capacity : 0
+      ctx.fillStyle = '#ddd'
+      ctx.fillRect(section.x, section.y + section.height - 4, section.width, 4)
+      ctx.fillStyle = share === 0 ? '#f44336' : share <= 0.3 ? '#ff9800' : '#4caf50'
+      ctx.fillRect(section.x, section.y + section.height - 4, share === 0 ? section.width : section.width * share, 4)
     })
   }
 
+  const drawCart = (ctx, cart) => {
+    ctx.fillStyle = '#795548'
+    ctx.fillRect(cart.x - 8, cart.y - 6, 16, 12)
+  }
+
+  // Staff are squares in their role's color
+  const drawStaff = (ctx, member) => {
+    ctx.fillStyle = STAFF_ROLES[member.role]?.color || '#333'
+    ctx.fillRect(member.x - 5, member.y - 5, 10, 10)
+    ctx.strokeStyle = '#fff'
+    ctx.lineWidth = 1
+    ctx.strokeRect(member.x - 5, member.y - 5, 10, 10)
+  }
+
   const drawCustomer = (ctx, customer) => {
-    // Color based on status
+    // Carts, strollers and wheelchairs show as a shaded circle of the room they take
+    const footprint = FOOTPRINTS[customer.footprint]
+    if (footprint && footprint.radius > FOOTPRINTS.basket.radius) {
+      ctx.fillStyle = 'rgba(0, 0, 0, 0.15)'
+      ctx.beginPath()
+      ctx.arc(customer.x, customer.y, metresToPixels(footprint.radius, scale), 0, Math.PI * 2)
+      ctx.fill()
+    }
+
+    // Fill shows status, outline shows persona
     let color = '#ffeb3b' // yellow - shopping
-    if (customer.status === 'checkout') {
+    if (customer.evacuating) {
+      color = '#e53935' // red
+    } else if (customer.status === 'checkout') {
       color = '#ff9800' // orange
     } else if (customer.status === 'exiting') {
       color = '#4caf50' // green
@@ -172,115 +322,245 @@ export default function Simulation({ layout, onOptimizationComplete, onBack }) {
     ctx.beginPath()
     ctx.arc(customer.x, customer.y, 5, 0, Math.PI * 2)
     ctx.fill()
-    ctx.strokeStyle = '#333'
-    ctx.lineWidth = 1
+    ctx.strokeStyle = PERSONAS[customer.persona]?.color || '#333'
+    ctx.lineWidth = 2
     ctx.stroke()
   }
 
-  const handleStart = () => {
-    if (engineRef.current) {
-      engineRef.current.stop()
+  const createSimulationWorker = () => {
+    const worker = new Worker(new URL('../workers/simulation.worker.js', import.meta.url), { type: 'module' })
+    worker.onmessage = (event) => {
+      const message = event.data
+      if (message.type === 'snapshot') {
+        setSimulationData(message.snapshot)
+      } else if (message.type === 'trace') {
+        downloadTrace(message.trace)
+      } else if (message.type === 'records') {
+        downloadCSV(customerRecordsToCSV(message.records), `customers-${seed}.csv`)
+      } else if (message.type === 'finished') {
+        setIsRunning(false)
+        setIsFinished(true)
+      } else if (message.type === 'error') {
+        console.error('Simulation failed:', message.message)
+        setIsRunning(false)
+      }
     }
+    return worker
+  }
 
-    const engine = new SimulationEngine(layout, (update) => {
-      setSimulationData(update)
-    }, apiKey)
+  const handleStart = () => {
+    // Resume a paused run, otherwise start a fresh one
+    if (simulationWorkerRef.current) {
+      simulationWorkerRef.current.postMessage({ type: 'resume' })
+    } else {
+      const worker = createSimulationWorker()
+      simulationWorkerRef.current = worker
+      worker.postMessage({ type: 'speed', speed })
+      worker.postMessage({ type: 'filter', persona: personaFilter || null })
+      worker.postMessage({
+        type: 'start',
+        layout,
+        apiKey,
+        options: {
+          scenario,
+          heatMapCellSize,
+          evacuateAt: alarmAt === '' ? null : Number(alarmAt) * 1000,
+          record: recordTrace
+        }
+      })
+    }
 
-    engine.setSpeed(speed)
-    engine.start()
-    engineRef.current = engine
     setIsRunning(true)
   }
 
   const handlePause = () => {
-    if (engineRef.current) {
-      engineRef.current.pause()
-      setIsRunning(false)
-    }
+    simulationWorkerRef.current?.postMessage({ type: 'pause' })
+    setIsRunning(false)
   }
 
   const handleStop = () => {
-    if (engineRef.current) {
-      engineRef.current.stop()
-      setIsRunning(false)
-      setSimulationData(null)
+    simulationWorkerRef.current?.terminate()
+    simulationWorkerRef.current = null
+    setIsRunning(false)
+    setSimulationData(null)
+    setShowEvacuationReport(false)
+    setIsFinished(false)
+  }
+
+  // Edits to individual settings turn the scenario into a custom one
+  const editScenario = (changes) => {
+    setScenario({ ...scenario, ...changes })
+    setScenarioSource('custom')
+  }
+
+  const editScenarioSection = (section, changes) => {
+    editScenario({ [section]: { ...scenario[section], ...changes } })
+  }
+
+  const handleScenarioSelect = (source) => {
+    if (source === 'custom') return
+    setScenario(withSeed(source === 'layout' ? savedScenario : resolveScenario(source)))
+    setScenarioSource(source)
+  }
+
+  const handleSaveScenario = () => {
+    onScenarioChange(scenario)
+    setScenarioSource('layout')
+  }
+
+  const handleExportScenario = () => {
+    const blob = new Blob([JSON.stringify(scenario, null, 2)], { type: 'application/json' })
+    const url = URL.createObjectURL(blob)
+    const a = document.createElement('a')
+    a.href = url
+    a.download = `scenario-${scenario.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}.json`
+    a.click()
+    URL.revokeObjectURL(url)
+  }
+
+  const handleImportScenario = (e) => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+
+    const reader = new FileReader()
+    reader.onload = () => {
+      try {
+        setScenario(withSeed(parseScenario(reader.result)))
+        setScenarioSource('custom')
+      } catch (error) {
+        alert(`Could not load scenario: ${error.message}`)
+      }
     }
+    reader.readAsText(file)
+  }
+
+  const downloadTrace = (trace) => {
+    const blob = new Blob([JSON.stringify(trace)], { type: 'application/json' })
+    const url = URL.createObjectURL(blob)
+    const a = document.createElement('a')
+    a.href = url
+    a.download = `trace-${trace.seed}.json`
+    a.click()
+    URL.revokeObjectURL(url)
+  }
+
+  const downloadCSV = (csv, filename) => {
+    const blob = new Blob([csv], { type: 'text/csv' })
+    const url = URL.createObjectURL(blob)
+    const a = document.createElement('a')
+    a.href = url
+    a.download = filename
+    a.click()
+    URL.revokeObjectURL(url)
+  }
+
+  // The worker answers with a 'trace' message
+  const handleSaveTrace = () => {
+    simulationWorkerRef.current?.postMessage({ type: 'trace' })
+  }
+
+  const handleLoadTrace = (e) => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+
+    const reader = new FileReader()
+    reader.onload = () => {
+      try {
+        const trace = parseTrace(reader.result)
+        handleStop()
+        setReplayTrace(trace)
+        setReplayTime(0)
+        setReplayPlaying(false)
+      } catch (error) {
+        alert(`Could not load trace: ${error.message}`)
+      }
+    }
+    reader.readAsText(file)
+  }
+
+  const handleCloseReplay = () => {
+    setReplayTrace(null)
+    setReplayPlaying(false)
+    setReplayTime(0)
+  }
+
+  const handleToggleReplay = () => {
+    // Play from the start again once the end is reached
+    if (!replayPlaying && replayTime >= traceDuration(replayTrace)) setReplayTime(0)
+    setReplayPlaying(!replayPlaying)
+  }
+
+  const handlePersonaFilterChange = (persona) => {
+    setPersonaFilter(persona)
+    simulationWorkerRef.current?.postMessage({ type: 'filter', persona: persona || null })
   }
 
   const handleSpeedChange = (newSpeed) => {
     setSpeed(newSpeed)
-    if (engineRef.current) {
-      engineRef.current.setSpeed(newSpeed)
-    }
+    simulationWorkerRef.current?.postMessage({ type: 'speed', speed: newSpeed })
   }
 
-  const handleRunOptimization = async () => {
+  const handleRunOptimization = () => {
     setIsOptimizing(true)
+    setIsOptimizerPaused(false)
     setOptimizationProgress({ generation: 0, bestFitness: -Infinity })
 
-    const optimizer = new GeneticOptimizer(layout, apiKey, (progress) => {
-      setOptimizationProgress(progress)
-      // Draw best layout if available
-      if (progress.bestLayout) {
-        // Update visualization with best layout
-      }
-    })
-
-    optimizerRef.current = optimizer
-
-    try {
-      const results = await optimizer.optimize()
-      
-      // Run simulation on original layout for comparison
-      const originalMetrics = await runEvaluationSimulation(layout)
-      
-      // Run simulation on optimized layout
-      const optimizedMetrics = await runEvaluationSimulation(results.bestLayout)
-
-      onOptimizationComplete({
-        originalLayout: layout,
-        optimizedLayout: results.bestLayout,
-        originalMetrics,
-        optimizedMetrics,
-        bestFitness: results.bestFitness,
-        generation: results.generation
-      })
-    } catch (error) {
-      console.error('Optimization failed:', error)
-      alert('Optimization failed. Check console for details.')
-    } finally {
+    const finish = () => {
+      worker.terminate()
+      optimizerWorkerRef.current = null
       setIsOptimizing(false)
-      optimizerRef.current = null
     }
-  }
-
-  const runEvaluationSimulation = (layoutToTest) => {
-    return new Promise((resolve) => {
-      const maxTime = 300 // 5 minutes
-      let metrics = null
 
-      const engine = new SimulationEngine(layoutToTest, (update) => {
-        if (update.time >= maxTime || update.metrics.completedCustomers >= 30) {
-          engine.stop()
-          metrics = update.metrics
-          resolve(metrics)
-        }
-      }, apiKey)
+    const worker = new Worker(new URL('../workers/optimizer.worker.js', import.meta.url), { type: 'module' })
+    worker.onmessage = (event) => {
+      const message = event.data
+      if (message.type === 'progress') {
+        setOptimizationProgress(message.progress)
+      } else if (message.type === 'result') {
+        finish()
+        const results = message.result
+        onOptimizationComplete({
+          originalLayout: layout,
+          optimizedLayout: results.optimizedLayout,
+          originalMetrics: results.originalMetrics,
+          optimizedMetrics: results.optimizedMetrics,
+          bestFitness: results.fitness,
+          generation: results.generations,
+          objective: results.objective,
+          seed: results.seed,
+          evaluationSeed: results.evaluationSeed,
+          scenario: results.scenario,
+          originalTrace: results.originalTrace,
+          optimizedTrace: results.optimizedTrace,
+          originalCustomers: results.originalCustomers,
+          optimizedCustomers: results.optimizedCustomers
+        })
+      } else if (message.type === 'stopped') {
+        finish()
+      } else if (message.type === 'error') {
+        finish()
+        console.error('Optimization failed:', message.message)
+        alert('Optimization failed. Check console for details.')
+      }
+    }
+    optimizerWorkerRef.current = worker
 
-      engine.start()
+    // Leave a core for the page itself
+    const workers = Math.min(8, Math.max(1, (navigator.hardwareConcurrency || 2) - 1))
+    worker.postMessage({ type: 'start', layout, apiKey, options: { seed, scenario, heatMapCellSize, objective, workers } })
+  }
 
-      // Safety timeout
-      setTimeout(() => {
-        engine.stop()
-        if (!metrics) {
-          metrics = engine.metrics
-          resolve(metrics)
-        }
-      }, maxTime * 1000 + 10000)
-    })
+  const handleOptimizerPause = () => {
+    optimizerWorkerRef.current?.postMessage({ type: isOptimizerPaused ? 'resume' : 'pause' })
+    setIsOptimizerPaused(!isOptimizerPaused)
   }
 
-  const metrics = simulationData?.metrics || {
+  const formatStats = (stats) => stats ? `${stats.p50} / ${stats.p90} / ${stats.p99}` : '0 / 0 / 0'
+
+  // A replay shows the recorded run's final metrics
+  const metrics = (replayTrace ? replayTrace.metrics : simulationData?.metrics) || {
     avgCongestion: 0,
     bottleneckCount: 0,
     avgShoppingTime: 0,
@@ -295,7 +575,7 @@ export default function Simulation({ layout, onOptimizationComplete, onBack }) {
         <div className="controls-group">
           <button
             onClick={isRunning ? handlePause : handleStart}
-            disabled={isOptimizing}
+            disabled={isOptimizing || replayTrace !== null || isFinished}
             className={isRunning ? 'pause-btn' : 'start-btn'}
           >
             {isRunning ? 'Pause' : 'Start'}
@@ -317,20 +597,279 @@ export default function Simulation({ layout, onOptimizationComplete, onBack }) {
             <option value={10}>10x</option>
           </select>
         </div>
+        <div className="controls-group">
+          <label>Scenario:</label>
+          <select
+            value={scenarioSource}
+            onChange={(e) => handleScenarioSelect(e.target.value)}
+            disabled={isRunning || isOptimizing || simulationData !== null}
+          >
+            {Object.entries(SCENARIO_PRESETS).map(([key, preset]) => (
+              <option key={key} value={key}>{preset.name}</option>
+            ))}
+            {savedScenario && <option value="layout">Saved with layout ({savedScenario.name})</option>}
+            {scenarioSource === 'custom' && <option value="custom">{scenario.name} (edited)</option>}
+          </select>
+          <button onClick={handleSaveScenario} disabled={scenarioSource === 'layout'} title="Store this scenario in the layout so everyone who opens it runs the same study">
+            Save with Layout
+          </button>
+          <button onClick={handleExportScenario}>Export</button>
+          <button onClick={() => scenarioInputRef.current?.click()} disabled={isRunning || isOptimizing || simulationData !== null}>
+            Import
+          </button>
+          <input
+            ref={scenarioInputRef}
+            type="file"
+            accept=".json,application/json"
+            onChange={handleImportScenario}
+            style={{ display: 'none' }}
+          />
+        </div>
+        <div className="controls-group">
+          <label>Seed:</label>
+          <input
+            type="text"
+            value={seed}
+            onChange={(e) => editScenario({ seed: e.target.value })}
+            disabled={isRunning || isOptimizing || simulationData !== null}
+            className="seed-input"
+          />
+          <button
+            onClick={() => editScenario({ seed: String(generateSeed()) })}
+            disabled={isRunning || isOptimizing || simulationData !== null}
+          >
+            New
+          </button>
+        </div>
+        <div className="controls-group">
+          <label>Duration (s):</label>
+          <input
+            type="number"
+            min={1}
+            value={scenario.duration.time}
+            onChange={(e) => editScenarioSection('duration', { time: Number(e.target.value) })}
+            disabled={isRunning || isOptimizing || simulationData !== null}
+            className="alarm-input"
+          />
+          <label>End after:</label>
+          <input
+            type="number"
+            min={1}
+            value={scenario.duration.customers ?? ''}
+            onChange={(e) => editScenarioSection('duration', { customers: e.target.value === '' ? null : Number(e.target.value) })}
+            disabled={isRunning || isOptimizing || simulationData !== null}
+            placeholder="any"
+            className="alarm-input"
+            title="End the run once this many customers have finished"
+          />
+        </div>
+        <div className="controls-group">
+          <label>Arrivals:</label>
+          <select
+            value={typeof scenario.arrivals === 'string' ? scenario.arrivals : 'scenario'}
+            onChange={(e) => editScenario({ arrivals: e.target.value })}
+            disabled={isRunning || isOptimizing || simulationData !== null}
+          >
+            {typeof scenario.arrivals !== 'string' && <option value="scenario">Scenario profile</option>}
+            {Object.entries(ARRIVAL_PROFILES).map(([key, profile]) => (
+              <option key={key} value={key}>{profile.name}</option>
+            ))}
+          </select>
+        </div>
+        <div className="controls-group">
+          <label>Shoppers:</label>
+          <select
+            value={typeof scenario.customers.mix === 'string' ? scenario.customers.mix : 'scenario'}
+            onChange={(e) => editScenarioSection('customers', { mix: e.target.value })}
+            disabled={isRunning || isOptimizing || simulationData !== null}
+          >
+            {typeof scenario.customers.mix !== 'string' && <option value="scenario">Scenario mix</option>}
+            {Object.entries(PERSONA_MIXES).map(([key, preset]) => (
+              <option key={key} value={key}>{preset.name}</option>
+            ))}
+          </select>
+        </div>
+        <div className="controls-group">
+          <label>Lane Choice:</label>
+          <select
+            value={scenario.checkout.laneChoice}
+            onChange={(e) => editScenarioSection('checkout', { laneChoice: e.target.value })}
+            disabled={isRunning || isOptimizing || simulationData !== null}
+          >
+            {LANE_CHOICE_STRATEGIES.map(strategy => (
+              <option key={strategy} value={strategy}>{strategy}</option>
+            ))}
+          </select>
+        </div>
+        <div className="controls-group">
+          <label>Staff:</label>
+          <select
+            value={typeof scenario.checkout.staffing === 'string' ? scenario.checkout.staffing : 'scenario'}
+            onChange={(e) => editScenarioSection('checkout', { staffing: e.target.value })}
+            disabled={isRunning || isOptimizing || simulationData !== null}
+          >
+            {typeof scenario.checkout.staffing !== 'string' && <option value="scenario">Scenario staffing</option>}
+            {Object.entries(STAFFING_PRESETS).map(([key, preset]) => (
+              <option key={key} value={key}>{preset.name}</option>
+            ))}
+          </select>
+        </div>
+        <div className="controls-group">
+          <label>Decisions:</label>
+          <select
+            value={scenario.decisions.provider}
+            onChange={(e) => editScenarioSection('decisions', { provider: e.target.value, model: null, endpoint: null })}
+            disabled={isRunning || isOptimizing || simulationData !== null}
+            title="Who answers customers' decisions; the rules decide whenever a provider doesn't"
+          >
+            {Object.entries(DECISION_PROVIDERS).map(([key, provider]) => (
+              <option key={key} value={key}>{provider.name}</option>
+            ))}
+          </select>
+          {decisionProvider.endpoint && (
+            <>
+              <input
+                type="text"
+                value={scenario.decisions.model ?? ''}
+                onChange={(e) => editScenarioSection('decisions', { model: e.target.value || null })}
+                disabled={isRunning || isOptimizing || simulationData !== null}
+                placeholder={decisionProvider.model}
+                className="model-input"
+                title="Model"
+              />
+              <input
+                type="text"
+                value={scenario.decisions.endpoint ?? ''}
+                onChange={(e) => editScenarioSection('decisions', { endpoint: e.target.value || null })}
+                disabled={isRunning || isOptimizing || simulationData !== null}
+                placeholder={decisionProvider.endpoint}
+                className="endpoint-input"
+                title="Endpoint"
+              />
+            </>
+          )}
+          {(decisionProvider.endpoint || decisionProvider.chain) && (
+            <>
+              <label>Temperature:</label>
+              <input
+                type="number"
+                min={0}
+                max={2}
+                step={0.1}
+                value={scenario.decisions.temperature ?? ''}
+                onChange={(e) => editScenarioSection('decisions', { temperature: e.target.value === '' ? null : Number(e.target.value) })}
+                disabled={isRunning || isOptimizing || simulationData !== null}
+                placeholder="server"
+                className="alarm-input"
+              />
+              <label>Timeout (s):</label>
+              <input
+                type="number"
+                min={1}
+                value={scenario.decisions.timeout / 1000}
+                onChange={(e) => editScenarioSection('decisions', { timeout: Number(e.target.value) * 1000 })}
+                disabled={isRunning || isOptimizing || simulationData !== null}
+                className="alarm-input"
+                title="A request still unanswered after this long goes to the rules"
+              />
+              <label>Batch:</label>
+              <input
+                type="number"
+                min={1}
+                value={scenario.decisions.batchSize}
+                onChange={(e) => editScenarioSection('decisions', { batchSize: Number(e.target.value) })}
+                disabled={isRunning || isOptimizing || simulationData !== null}
+                className="alarm-input"
+                title="Most customers due a decision in the same step that share one prompt; 1 asks for each on their own"
+              />
+            </>
+          )}
+        </div>
+        <div className="controls-group">
+          <label>Alarm at (s):</label>
+          <input
+            type="number"
+            min={0}
+            value={alarmAt}
+            onChange={(e) => setAlarmAt(e.target.value)}
+            disabled={isRunning || isOptimizing || simulationData !== null}
+            placeholder="none"
+            className="alarm-input"
+            title="Sound the evacuation alarm this far into the run"
+          />
+          <button
+            onClick={() => simulationWorkerRef.current?.postMessage({ type: 'evacuate' })}
+            disabled={simulationData === null || replayTrace !== null || Boolean(metrics.evacuation)}
+            className="evacuate-btn"
+          >
+            Evacuate Now
+          </button>
+        </div>
+        <div className="controls-group">
+          <label>Heat Map:</label>
+          <select value={heatMapMode} onChange={(e) => setHeatMapMode(e.target.value)}>
+            <option value="">Off</option>
+            <option value="live">Crowd now</option>
+            {Object.entries(HEAT_MAP_MODES).map(([key, mode]) => (
+              <option key={key} value={key} title={mode.description}>{mode.name}</option>
+            ))}
+          </select>
+          <select
+            value={heatMapCellSize}
+            onChange={(e) => setHeatMapCellSize(Number(e.target.value))}
+            disabled={isRunning || isOptimizing || simulationData !== null}
+            title="Heat map grid; congestion and bottlenecks are measured on it"
+          >
+            {HEAT_MAP_CELL_SIZES.map(size => (
+              <option key={size} value={size}>{metresToUnits(size, scale).toFixed(1)} {scale.unit}</option>
+            ))}
+          </select>
+        </div>
         <div className="controls-group">
           <label>
             <input
               type="checkbox"
-              checked={showHeatMap}
-              onChange={(e) => setShowHeatMap(e.target.checked)}
+              checked={recordTrace}
+              onChange={(e) => setRecordTrace(e.target.checked)}
+              disabled={isRunning || simulationData !== null}
             />
-            Heat Map
+            Record Trace
           </label>
+          <button onClick={handleSaveTrace} disabled={!recordTrace || simulationData === null}>
+            Save Trace
+          </button>
+          <button onClick={() => traceInputRef.current?.click()} disabled={isOptimizing}>
+            Load Trace
+          </button>
+          <button
+            onClick={() => simulationWorkerRef.current?.postMessage({ type: 'records' })}
+            disabled={simulationData === null}
+            title="One row per customer: times, distance, waits and items"
+          >
+            Export CSV
+          </button>
+          <input
+            ref={traceInputRef}
+            type="file"
+            accept=".json,application/json"
+            onChange={handleLoadTrace}
+            style={{ display: 'none' }}
+          />
         </div>
         <div className="controls-group">
+          <label>Objective:</label>
+          <select
+            value={objective}
+            onChange={(e) => setObjective(e.target.value)}
+            disabled={isOptimizing}
+          >
+            {Object.entries(OPTIMIZER_OBJECTIVES).map(([key, preset]) => (
+              <option key={key} value={key}>{preset.name}</option>
+            ))}
+          </select>
           <button
             onClick={handleRunOptimization}
-            disabled={isOptimizing || isRunning}
+            disabled={isOptimizing || isRunning || replayTrace !== null}
             className="optimize-btn"
           >
             {isOptimizing ? 'Optimizing...' : 'Run Optimization'}
@@ -351,20 +890,56 @@ export default function Simulation({ layout, onOptimizationComplete, onBack }) {
               <h3>Optimizing Layout...</h3>
               <p>Generation: {optimizationProgress.generation}</p>
               <p>Best Fitness: {optimizationProgress.bestFitness.toFixed(2)}</p>
-              <button onClick={() => optimizerRef.current?.stop()}>Stop</button>
+              {isOptimizerPaused && <p>Pausing after the current generation</p>}
+              <button onClick={handleOptimizerPause}>
+                {isOptimizerPaused ? 'Resume' : 'Pause'}
+              </button>
+              <button onClick={() => optimizerWorkerRef.current?.postMessage({ type: 'stop' })}>Stop</button>
             </div>
           )}
+          {replayTrace && (
+            <Replay
+              trace={replayTrace}
+              time={replayTime}
+              playing={replayPlaying}
+              onSeek={setReplayTime}
+              onTogglePlay={handleToggleReplay}
+              onClose={handleCloseReplay}
+            />
+          )}
         </div>
 
         <div className="simulation-metrics">
-          <h3>Real-time Metrics</h3>
+          <h3>{replayTrace ? 'Replay (final metrics)' : 'Real-time Metrics'}</h3>
+          <div className="metric">
+            <label>Show:</label>
+            <select value={personaFilter} onChange={(e) => handlePersonaFilterChange(e.target.value)}>
+              <option value="">All shoppers</option>
+              {Object.entries(PERSONAS).map(([key, persona]) => (
+                <option key={key} value={key}>{persona.name}</option>
+              ))}
+            </select>
+          </div>
+          <ArrivalCurve config={replayTrace?.settings.arrivals || arrivals} time={shownData?.time || 0} />
           <div className="metric">
             <label>Simulation Time:</label>
-            <span>{simulationData?.time.toFixed(1) || 0}s</span>
+            <span>{((shownData?.time || 0) / 1000).toFixed(1)}s</span>
+          </div>
+          <div className="metric">
+            <label>Store Clock:</label>
+            <span>{metrics.clockTime || '--:--'}</span>
+          </div>
+          <div className="metric">
+            <label>Arrival Rate:</label>
+            <span>{metrics.arrivalRate ?? 0}/h</span>
+          </div>
+          <div className="metric">
+            <label>Turned Away:</label>
+            <span>{metrics.turnedAway || 0}</span>
           </div>
           <div className="metric">
             <label>Customers in Store:</label>
-            <span>{simulationData?.customers.length || 0}</span>
+            <span>{replayFrame ? replayFrame.customers.length : metrics.currentCustomers || 0}</span>
           </div>
           <div className="metric">
             <label>Avg Congestion:</label>
@@ -374,16 +949,186 @@ export default function Simulation({ layout, onOptimizationComplete, onBack }) {
             <label>Bottlenecks:</label>
             <span>{metrics.bottleneckCount}</span>
           </div>
+          {HEAT_MAP_MODES[heatMapMode] && (
+            <div className="metric">
+              <label>{HEAT_MAP_MODES[heatMapMode].name} (red):</label>
+              <span>{heatMapScale(heatMapMode, shownHeatMap)}{HEAT_MAP_MODES[heatMapMode].unit}</span>
+            </div>
+          )}
           <div className="metric">
             <label>Avg Shopping Time:</label>
             <span>{metrics.avgShoppingTime.toFixed(1)}s</span>
           </div>
+          <div className="metric">
+            <label>Shopping Time p50/p90/p99:</label>
+            <span>{formatStats(metrics.shoppingTimeStats)}s</span>
+          </div>
+          <div className="metric">
+            <label>Avg Distance Walked:</label>
+            <span>{Math.round(metresToUnits(metrics.distanceStats?.mean || 0, scale))} {scale.unit}</span>
+          </div>
+          <div className="metric">
+            <label>Blocked by Crowd p50/p90:</label>
+            <span>
+              {metrics.blockedTimeStats?.p50 || 0} / {metrics.blockedTimeStats?.p90 || 0}s
+            </span>
+          </div>
+          <div className="metric">
+            <label>Throughput:</label>
+            <span>{metrics.throughput || 0}/h</span>
+          </div>
+          <div className="metric">
+            <label>Not Finished:</label>
+            <span>{metrics.unfinishedRate || 0}%</span>
+          </div>
+          <div className="metric">
+            <label>List Items Collected:</label>
+            <span>{metrics.itemCompletion || 0}%</span>
+          </div>
+          <div className="metric">
+            <label>Walked Out:</label>
+            <span>{metrics.abandonedCustomers || 0} ({metrics.abandonmentRate || 0}%)</span>
+          </div>
+          <div className="metric">
+            <label>Items Given Up:</label>
+            <span>{metrics.failedItems || 0}</span>
+          </div>
+          <div className="metric">
+            <label>Lost Sales:</label>
+            <span>${(metrics.lostSales || 0).toFixed(2)}</span>
+          </div>
+          <div className="metric">
+            <label>Avg Queue Wait:</label>
+            <span>{(metrics.avgQueueWait || 0).toFixed(1)}s</span>
+          </div>
+          <div className="metric">
+            <label>In Line Now:</label>
+            <span>
+              {(metrics.checkoutLanes || []).map(lane => lane.queueLength).join(' / ') || 0}
+            </span>
+          </div>
+          <div className="metric">
+            <label>Lane Utilization:</label>
+            <span>{metrics.laneUtilization || 0}%</span>
+          </div>
+          {metrics.evacuation && (
+            <>
+              <div className="metric">
+                <label>Evacuated:</label>
+                <span>{metrics.evacuation.evacuated}/{metrics.evacuation.occupants}</span>
+              </div>
+              <div className="metric">
+                <label>Evacuation Time:</label>
+                <span>
+                  {metrics.evacuation.complete
+                    ? `${metrics.evacuation.totalTime.toFixed(1)}s`
+                    : `${metrics.evacuation.elapsed.toFixed(1)}s so far`}
+                </span>
+              </div>
+              <div className="metric">
+                <label>No Reachable Exit:</label>
+                <span>{metrics.evacuation.trapped.length}</span>
+              </div>
+              <div className="metric">
+                <label>Exit Capacity:</label>
+                <span>
+                  {metrics.evacuation.occupancy.exitCapacity} ({metrics.evacuation.occupancy.designLoadOk && metrics.evacuation.occupancy.peakOk ? 'OK' : 'too small'})
+                </span>
+              </div>
+              <button onClick={() => setShowEvacuationReport(true)} className="evacuation-report-btn">
+                Evacuation Report
+              </button>
+            </>
+          )}
+          {metrics.stockLevels && (
+            <>
+              <div className="metric">
+                <label>Staff on Floor:</label>
+                <span>
+                  {Object.entries(STAFF_ROLES).map(([role, info]) => `${metrics.staffOnFloor?.[role] || 0} ${info.name.toLowerCase()}`).join(', ')}
+                </span>
+              </div>
+              <div className="metric">
+                <label>Open Lanes:</label>
+                <span>{metrics.openLanes || 0}/{(metrics.checkoutLanes || []).length}</span>
+              </div>
+              <div className="metric">
+                <label>Stockouts / Restocks:</label>
+                <span>{metrics.stockouts || 0} / {metrics.restocks || 0}</span>
+              </div>
+              <div className="metric">
+                <label>Found Empty Shelf:</label>
+                <span>{metrics.emptyShelfVisits || 0}</span>
+              </div>
+              <div className="metric">
+                <label>Asked for Directions:</label>
+                <span>{metrics.questionsAnswered || 0}</span>
+              </div>
+            </>
+          )}
+          {metrics.signs?.length > 0 && (
+            <div className="metric">
+              <label>Signs Read / Led to Pickups:</label>
+              <span>
+                {metrics.signs.reduce((sum, sign) => sum + sign.readers, 0)} / {metrics.signs.reduce((sum, sign) => sum + sign.guidedPickups, 0)}
+              </span>
+            </div>
+          )}
+          <div className="metric">
+            <label>Sales:</label>
+            <span>${(metrics.totalRevenue || 0).toFixed(2)}</span>
+          </div>
+          <div className="metric">
+            <label>Impulse Buys:</label>
+            <span>{metrics.impulsePurchases || 0} (${(metrics.impulseRevenue || 0).toFixed(2)})</span>
+          </div>
+          <div className="metric">
+            <label>Avg Basket:</label>
+            <span>${(metrics.avgBasketValue || 0).toFixed(2)}</span>
+          </div>
+          <div className="metric">
+            <label>Seed:</label>
+            <span>{replayTrace ? replayTrace.seed : simulationData?.metrics.seed ?? seed}</span>
+          </div>
           <div className="metric">
             <label>Completed:</label>
             <span>{metrics.completedCustomers}/{metrics.totalCustomers}</span>
           </div>
+          {Object.keys(metrics.decisionsBy || {}).length > 0 && (
+            <div className="metric">
+              <label>Decided by:</label>
+              <span>
+                {Object.entries(metrics.decisionsBy)
+                  .map(([provider, count]) => `${provider === 'rules' ? 'Rules' : DECISION_PROVIDERS[provider]?.name || provider} ${count}`)
+                  .join(', ')}
+              </span>
+            </div>
+          )}
+          <div className="persona-breakdown">
+            {(metrics.personaBreakdown || []).map(entry => (
+              <div key={entry.persona} className="persona-row">
+                <span
+                  className="persona-swatch"
+                  style={{ borderColor: PERSONAS[entry.persona].color }}
+                />
+                <span className="persona-name">{PERSONAS[entry.persona].name}</span>
+                <span>
+                  {entry.completedCustomers}/{entry.totalCustomers} · {entry.avgShoppingTime}s · ${entry.avgBasketValue.toFixed(2)}
+                </span>
+              </div>
+            ))}
+          </div>
         </div>
       </div>
+
+      {showEvacuationReport && metrics.evacuation && (
+        <EvacuationReport
+          report={metrics.evacuation}
+          layout={shownLayout}
+          seed={replayTrace ? replayTrace.seed : simulationData?.metrics.seed ?? seed}
+          onClose={() => setShowEvacuationReport(false)}
+        />
+      )}
     </div>
   )
 }
@@ -0,0 +1,65 @@
+// Abandonment: customers who give up on list items, refuse or walk out of a
+// checkout line, or leave a crowded store, and the sales that costs
+
+// Someone is in a crowd with at least this many other people within CROWD_RADIUS m
+export const CROWD_COUNT = 4
+export const CROWD_RADIUS = 0.9
+
+// People already in line hold on longer than the wait that would have put them off joining
+export const RENEGE_FACTOR = 1.5
+
+export const ABANDON_REASONS = {
+  balk: 'Line too long to join',
+  renege: 'Left the line',
+  crowd: 'Too crowded',
+  nothingFound: 'Found nothing on the list',
+  noCashier: 'No checkout open'
+}
+
+export class AbandonmentTracker {
+  constructor(catalog) {
+    this.catalog = catalog
+    this.byReason = Object.fromEntries(Object.keys(ABANDON_REASONS).map(reason => [reason, 0]))
+    this.abandoned = 0
+    this.failedItems = new Map() // Item name -> times given up on
+    this.failedItemSales = 0 // Dollars of list items nobody found
+    this.abandonedSales = 0 // Dollars of baskets put back and lists left unbought
+  }
+
+  // Items the customer stopped looking for
+  recordFailedItems(items) {
+    for (const name of items) {
+      this.failedItems.set(name, (this.failedItems.get(name) || 0) + 1)
+      this.failedItemSales += this.catalog.getItem(name)?.price || 0
+    }
+  }
+
+  // A walk-out: the basket goes back on the shelves and what was still on the
+  // list is never bought either
+  recordAbandonment(reason, basket, unboughtItems) {
+    this.abandoned++
+    this.byReason[reason]++
+    this.abandonedSales += basket.reduce((sum, purchase) => sum + purchase.price, 0)
+    for (const name of unboughtItems) {
+      this.abandonedSales += this.catalog.getItem(name)?.price || 0
+    }
+  }
+
+  // arrivals: everyone who has come into the store so far
+  getMetrics(arrivals) {
+    const round = (value) => Math.round(value * 100) / 100
+    return {
+      abandonedCustomers: this.abandoned,
+      abandonmentRate: arrivals > 0 ? Math.round(this.abandoned / arrivals * 1000) / 10 : 0, // %
+      abandonmentReasons: { ...this.byReason },
+      failedItems: Array.from(this.failedItems.values()).reduce((sum, count) => sum + count, 0),
+      mostFailedItems: Array.from(this.failedItems.entries())
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 5)
+        .map(([name, count]) => ({ name, count })),
+      lostSales: round(this.failedItemSales + this.abandonedSales), // dollars
+      lostSalesFailedItems: round(this.failedItemSales),
+      lostSalesAbandoned: round(this.abandonedSales)
+    }
+  }
+}
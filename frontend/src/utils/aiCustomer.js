@@ -1,90 +1,182 @@
-// AI Customer decision making using OpenRouter API or Ollama
+// AI Customer decision making through a decision provider (see decisionProviders.js)
+
+import { PERSONAS } from './personas.js'
+import { DEFAULT_SCALE, LENGTH_UNITS, metresToUnits } from './units.js'
+import { resolveDecisionSettings, asksForDecisions, askDecisionProvider } from './decisionProviders.js'
+
+// Provider answers are cached to save calls, keyed on everything the provider
+// is told about a shopper: who they are and their situation as prompted. Only
+// the answer is kept; it's read against the sections of the customer asking.
+const getCacheKey = (settings, persona, situation) => JSON.stringify([
+  settings.provider, settings.model, settings.endpoint, settings.temperature,
+  persona ? persona.prompt : null,
+  situation
+])
+
+// options.random is the simulation's seeded generator; it drives every random
+// choice in the fallback so rule-based runs are reproducible.
+// options.cache is a Map of answers to reuse; the engine keeps one per run so
+// runs don't share answers. Without it every decision asks the provider.
+// options.decisions picks the provider and its settings (scenario.decisions);
+// options.apiKey overrides the key from the Vite environment (e.g. in Node or a worker).
+// Section distances are in m; the prompt gives them in options.scale's unit.
+// Decisions a provider answered say which one in decidedBy.
+export const makeAIDecision = async (customer, visibleSections, shoppingList, collected, options = {}) => {
+  const random = options.random || Math.random
+  const scale = options.scale || DEFAULT_SCALE
+  const persona = PERSONAS[customer.persona]
+  const settings = resolveDecisionSettings(options.decisions)
+  const apiKey = options.apiKey || import.meta.env?.VITE_OPENROUTER_API_KEY
+
+  if (!asksForDecisions(settings.provider)) {
+    return makeFallbackDecision(visibleSections, shoppingList, collected, random, persona)
+  }
 
-const OPENROUTER_API = 'https://openrouter.ai/api/v1/chat/completions'
-const OLLAMA_API = 'http://localhost:11434/api/generate'
+  const situation = describeSituation(visibleSections, shoppingList, collected, scale)
+  const cacheKey = getCacheKey(settings, persona, situation)
+  let answer = options.cache?.get(cacheKey) // { go, provider }
+  if (!answer) {
+    const prompt = `${persona ? persona.prompt + ' ' : ''}You are shopping in a store. ${situation} Where do you go next? Respond with ONLY the section name, 'explore' to look around parts of the store you haven't seen, 'checkout', or 'exit'. Be realistic - you might avoid crowded areas or browse items not on your list.`
+    const reply = await askDecisionProvider(prompt, settings, { apiKey, visibleSections })
+    if (reply) {
+      answer = { go: reply.reply, provider: reply.provider }
+      options.cache?.set(cacheKey, answer)
+    }
+  }
 
-// Cache for similar decisions to reduce API calls
-const decisionCache = new Map()
+  if (answer) {
+    return { ...parseDecision(answer.go, visibleSections, shoppingList, collected, random, persona), decidedBy: answer.provider }
+  }
 
-const getCacheKey = (visibleSections, shoppingList, collected) => {
-  return JSON.stringify({
-    sections: visibleSections.map(s => s.name).sort(),
-    list: shoppingList.sort(),
-    collected: collected.sort()
-  })
+  // Nobody answered: make a reasonable rule-based decision
+  return makeFallbackDecision(visibleSections, shoppingList, collected, random, persona)
 }
 
-export const makeAIDecision = async (customer, visibleSections, shoppingList, collected) => {
-  // Check cache first
-  const cacheKey = getCacheKey(visibleSections, shoppingList, collected)
-  if (decisionCache.has(cacheKey)) {
-    return decisionCache.get(cacheKey)
-  }
-
-  // Build prompt
-  const visibleText = visibleSections.map(s => {
-    const distance = Math.round(s.distance)
+// What a customer sees, knows and still needs, for a prompt. Sections known
+// only from signs or memory are listed apart from what the customer can see,
+// without a crowd count they can't know.
+const describeSituation = (visibleSections, shoppingList, collected, scale) => {
+  const away = (metres) => `${Math.round(metresToUnits(metres, scale))} ${LENGTH_UNITS[scale.unit].name} away`
+  const visibleText = visibleSections.filter(s => !s.signed && !s.remembered).map(s => {
     const crowd = s.crowdCount
-    return `${s.name} (${distance} feet away, ${crowd} ${crowd === 1 ? 'person' : 'people'} there)`
+    const stocks = s.items?.length > 0 ? `has ${s.items.join(', ')}, ` : ''
+    return `${s.name} (${stocks}${away(s.distance)}, ${crowd} ${crowd === 1 ? 'person' : 'people'} there)`
+  }).join(', ')
+  const signedText = visibleSections.filter(s => s.signed).map(s => {
+    const stocks = s.items?.length > 0 ? `has ${s.items.join(', ')}, ` : ''
+    return `${s.name} (${stocks}about ${away(s.distance)})`
+  }).join(', ')
+  const rememberedText = visibleSections.filter(s => s.remembered).map(s => {
+    const stocks = s.items?.length > 0 ? ` (has ${s.items.join(', ')})` : ''
+    return `${s.name}${stocks} is ${s.where}`
   }).join(', ')
 
   const needsText = shoppingList.filter(item => !collected.includes(item)).join(', ')
   const hasText = collected.length > 0 ? collected.join(', ') : 'nothing'
 
-  const prompt = `You are shopping in a store. You can see: ${visibleText || 'nothing'}. Your shopping list needs: [${needsText}]. You already have: [${hasText}]. Where do you go next? Respond with ONLY the section name, 'checkout', or 'exit'. Be realistic - you might avoid crowded areas or browse items not on your list.`
+  return `You can see: ${visibleText || 'nothing'}.${signedText ? ` Signs point to: ${signedText}.` : ''}${rememberedText ? ` You remember ${rememberedText}.` : ''} Your shopping list needs: [${needsText}]. You already have: [${hasText}].`
+}
 
-  try {
-    // Try OpenRouter first
-    const apiKey = import.meta.env.VITE_OPENROUTER_API_KEY
-    if (apiKey) {
-      const response = await fetch(OPENROUTER_API, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          model: 'google/gemini-flash-1.5-8b',
-          messages: [{ role: 'user', content: prompt }]
-        })
-      })
+// Decisions for several customers at once: requests are [{ customer,
+// visibleSections, shoppingList, collected }], options as for makeAIDecision.
+// Those without a cached answer go to the provider as one prompt per
+// settings.batchSize of them, asking for a JSON array of { shopper, go }.
+// Resolves with a decision per request, in order; any the reply leaves out or
+// gets wrong fall back to the rules one by one. Answers are worked through in
+// request order whenever the batches come back, so the random draws are too.
+export const makeBatchDecisions = async (requests, options = {}) => {
+  const random = options.random || Math.random
+  const scale = options.scale || DEFAULT_SCALE
+  const settings = resolveDecisionSettings(options.decisions)
+  const apiKey = options.apiKey || import.meta.env?.VITE_OPENROUTER_API_KEY
+  const personaOf = (request) => PERSONAS[request.customer.persona]
+
+  const answers = requests.map(() => null) // { go, provider }, cached or from a batch reply
+  if (asksForDecisions(settings.provider)) {
+    const situations = requests.map(request => describeSituation(request.visibleSections, request.shoppingList, request.collected, scale))
+    const cacheKeys = requests.map((request, index) => getCacheKey(settings, personaOf(request), situations[index]))
+    const pending = []
+    requests.forEach((request, index) => {
+      answers[index] = options.cache?.get(cacheKeys[index]) || null
+      if (!answers[index]) pending.push(index)
+    })
 
-      if (response.ok) {
-        const data = await response.json()
-        const decision = data.choices?.[0]?.message?.content?.trim().toLowerCase() || 'checkout'
-        const result = parseDecision(decision, visibleSections, shoppingList, collected)
-        decisionCache.set(cacheKey, result)
-        return result
-      }
+    const batches = []
+    for (let start = 0; start < pending.length; start += settings.batchSize) {
+      batches.push(pending.slice(start, start + settings.batchSize))
     }
+    await Promise.all(batches.map(async (batch) => {
+      const shoppers = batch.map((index, position) => {
+        const persona = personaOf(requests[index])
+        return `Shopper ${position + 1}: ${persona ? persona.prompt + ' ' : ''}${situations[index]}`
+      })
+      const prompt = `Several shoppers in a store each decide where to go next.\n\n${shoppers.join('\n\n')}\n\nRespond with ONLY a JSON array with one entry per shopper, like [{"shopper": 1, "go": "Dairy"}], where go is a section name, 'explore' to look around parts of the store the shopper hasn't seen, 'checkout', or 'exit'. Be realistic - shoppers might avoid crowded areas or browse items not on their list.`
 
-    // Fallback to Ollama
-    const ollamaResponse = await fetch(OLLAMA_API, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        model: 'llama3.2',
-        prompt: prompt,
-        stream: false
+      const reply = await askDecisionProvider(prompt, settings, {
+        apiKey,
+        batch: batch.map(index => requests[index].visibleSections)
       })
-    })
+      if (!reply) return
+      const shopperAnswers = parseBatchReply(reply.reply, batch.length)
+      batch.forEach((index, position) => {
+        const go = shopperAnswers[position]
+        if (go && namesChoice(go, requests[index].visibleSections)) {
+          answers[index] = { go, provider: reply.provider }
+          options.cache?.set(cacheKeys[index], answers[index])
+        }
+      })
+    }))
+  }
 
-    if (ollamaResponse.ok) {
-      const data = await ollamaResponse.json()
-      const decision = data.response?.trim().toLowerCase() || 'checkout'
-      const result = parseDecision(decision, visibleSections, shoppingList, collected)
-      decisionCache.set(cacheKey, result)
-      return result
+  return requests.map((request, index) => {
+    const persona = personaOf(request)
+    const answer = answers[index]
+    if (!answer) {
+      return makeFallbackDecision(request.visibleSections, request.shoppingList, request.collected, random, persona)
+    }
+    return {
+      ...parseDecision(answer.go, request.visibleSections, request.shoppingList, request.collected, random, persona),
+      decidedBy: answer.provider
     }
-  } catch (error) {
-    console.warn('AI API error, using fallback:', error)
+  })
+}
+
+// The go of each shopper (numbered from 1) in a batch reply, null for any the
+// reply leaves out or gets wrong. Models like to wrap JSON in prose or code
+// fences, so only the outermost array is read. Entries without a shopper
+// number count by their place in the array.
+const parseBatchReply = (reply, count) => {
+  const answers = new Array(count).fill(null)
+  const start = reply.indexOf('[')
+  const end = reply.lastIndexOf(']')
+  if (start === -1 || end < start) return answers
+
+  let entries
+  try {
+    entries = JSON.parse(reply.slice(start, end + 1))
+  } catch {
+    return answers
   }
+  if (!Array.isArray(entries)) return answers
+
+  entries.forEach((entry, position) => {
+    if (!entry || typeof entry !== 'object' || typeof entry.go !== 'string' || !entry.go.trim()) return
+    const index = entry.shopper === undefined ? position : entry.shopper - 1
+    if (!Number.isInteger(index) || index < 0 || index >= count || answers[index] !== null) return
+    answers[index] = entry.go.trim()
+  })
+  return answers
+}
 
-  // Fallback: make a reasonable random decision
-  return makeFallbackDecision(visibleSections, shoppingList, collected)
+// Whether an answer names something the customer can act on: exploring,
+// checkout, the exit, or one of the sections they know about
+const namesChoice = (go, visibleSections) => {
+  const answer = go.toLowerCase()
+  return answer.includes('explore') || answer.includes('checkout') || answer.includes('exit') ||
+    visibleSections.some(section => answer.includes(section.name.toLowerCase()))
 }
 
-const parseDecision = (decision, visibleSections, shoppingList, collected) => {
+const parseDecision = (decision, visibleSections, shoppingList, collected, random, persona) => {
   decision = decision.toLowerCase().trim()
   
   // Check for checkout/exit
@@ -96,42 +188,55 @@ const parseDecision = (decision, visibleSections, shoppingList, collected) => {
   if (decision.includes('exit') && collected.length === shoppingList.length) {
     return { type: 'exit', target: null }
   }
+  if (decision.includes('explore') && !shoppingList.every(item => collected.includes(item))) {
+    return { type: 'explore', target: null }
+  }
 
-  // Try to match a product section
+  // Try to match a product section, by its name or by an item it stocks
   for (const section of visibleSections) {
     const sectionName = section.name.toLowerCase()
-    if (decision.includes(sectionName) || sectionName.includes(decision)) {
-      // Check if this section has items we need
-      const needsItem = shoppingList.some(item => 
-        item.toLowerCase().includes(sectionName) || 
-        sectionName.includes(item.toLowerCase())
-      )
-      if (needsItem && !collected.includes(section.name)) {
+    const namesItem = (section.items || []).some(item => decision.includes(item.toLowerCase()))
+    if (decision.includes(sectionName) || sectionName.includes(decision) || namesItem) {
+      // Only if it stocks something we still need
+      if (section.items?.length > 0) {
         return { type: 'product', target: section }
       }
     }
   }
 
   // If no match, use fallback
-  return makeFallbackDecision(visibleSections, shoppingList, collected)
+  return makeFallbackDecision(visibleSections, shoppingList, collected, random, persona)
 }
 
-const makeFallbackDecision = (visibleSections, shoppingList, collected) => {
+// persona (optional) shapes the rules: crowdAversion weighs how far a crowd
+// pushes a section down the list, impulseRate how often a visible section that
+// isn't on the list wins anyway
+export const makeFallbackDecision = (visibleSections, shoppingList, collected, random = Math.random, persona = null) => {
   // If we have everything, go to checkout
   if (shoppingList.every(item => collected.includes(item))) {
     return { type: 'checkout', target: null }
   }
 
-  // Find sections with items we need
-  const neededSections = visibleSections.filter(section => {
-    const sectionName = section.name.toLowerCase()
-    return shoppingList.some(item => {
-      const itemName = item.toLowerCase()
-      return itemName.includes(sectionName) || sectionName.includes(itemName)
-    }) && !collected.includes(section.name)
-  })
+  // Find sections stocking items we still need (the engine lists them per
+  // section), in sight, remembered or known from staff or signs
+  const neededSections = visibleSections.filter(section => section.items?.length > 0)
+
+  // Impulse stop at something that catches the eye
+  if (persona && random() < persona.impulseRate) {
+    const tempting = visibleSections.filter(section => !(section.items?.length > 0))
+    if (tempting.length > 0) {
+      return { type: 'product', target: tempting[Math.floor(random() * tempting.length)] }
+    }
+  }
 
   if (neededSections.length > 0) {
+    if (persona) {
+      // Each person at a section counts like crowdAversion * 3 m of extra walking
+      const score = (section) => section.distance + persona.crowdAversion * section.crowdCount * 3
+      neededSections.sort((a, b) => score(a) - score(b))
+      return { type: 'product', target: neededSections[0] }
+    }
+
     // Prefer less crowded sections
     neededSections.sort((a, b) => {
       if (a.crowdCount !== b.crowdCount) {
@@ -142,15 +247,7 @@ const makeFallbackDecision = (visibleSections, shoppingList, collected) => {
     return { type: 'product', target: neededSections[0] }
   }
 
-  // If nothing visible matches, go to closest section or checkout
-  if (visibleSections.length > 0) {
-    visibleSections.sort((a, b) => a.distance - b.distance)
-    return { type: 'product', target: visibleSections[0] }
-  }
-
-  return { type: 'checkout', target: null }
-}
-
-export const clearDecisionCache = () => {
-  decisionCache.clear()
+  // Nothing known stocks the rest of the list: go and look for it (the engine
+  // picks where, from what the customer hasn't seen yet)
+  return { type: 'explore', target: null }
 }
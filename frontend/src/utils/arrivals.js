@@ -0,0 +1,183 @@
+// Customer arrival processes: fixed interval, Poisson, and time-of-day rate profiles
+
+const HOUR = 60 * 60 * 1000
+
+// Shares of groups of 1, 2, 3, 4... people arriving together
+const SOLO = [1]
+const MIXED_GROUPS = [0.7, 0.2, 0.07, 0.03]
+
+// Rates are customers per hour; a profile rate holds from its hour until the next entry
+export const ARRIVAL_PROFILES = {
+  quick: {
+    name: 'Quick (one every second)',
+    type: 'fixed',
+    interval: 1000
+  },
+  steady: {
+    name: 'Steady (one every 5s)',
+    type: 'fixed',
+    interval: 5000
+  },
+  poisson: {
+    name: 'Random (Poisson, 720/h)',
+    type: 'poisson',
+    ratePerHour: 720,
+    groupSizes: SOLO
+  },
+  lunchRush: {
+    name: 'Lunch rush (11:00-15:00)',
+    type: 'profile',
+    startHour: 11,
+    endHour: 15,
+    rates: [
+      { hour: 11, rate: 240 },
+      { hour: 11.5, rate: 480 },
+      { hour: 12, rate: 960 },
+      { hour: 13, rate: 600 },
+      { hour: 14, rate: 240 }
+    ],
+    groupSizes: MIXED_GROUPS
+  },
+  afterWork: {
+    name: 'After-work peak (16:00-21:00)',
+    type: 'profile',
+    startHour: 16,
+    endHour: 21,
+    rates: [
+      { hour: 16, rate: 300 },
+      { hour: 17, rate: 780 },
+      { hour: 17.5, rate: 1080 },
+      { hour: 18.5, rate: 720 },
+      { hour: 19.5, rate: 360 },
+      { hour: 20, rate: 180 }
+    ],
+    groupSizes: MIXED_GROUPS
+  },
+  fullDay: {
+    name: 'Full day (8:00-21:00)',
+    type: 'profile',
+    startHour: 8,
+    endHour: 21,
+    rates: [
+      { hour: 8, rate: 120 },
+      { hour: 10, rate: 300 },
+      { hour: 11.5, rate: 720 },
+      { hour: 13.5, rate: 360 },
+      { hour: 16, rate: 480 },
+      { hour: 17, rate: 900 },
+      { hour: 19, rate: 420 },
+      { hour: 20, rate: 150 }
+    ],
+    groupSizes: MIXED_GROUPS
+  }
+}
+
+export const DEFAULT_ARRIVAL_PROFILE = 'steady'
+
+// Accept a profile key or an inline definition (e.g. from layout.arrivals)
+export const resolveArrivalConfig = (config) => {
+  if (!config) return ARRIVAL_PROFILES[DEFAULT_ARRIVAL_PROFILE]
+  if (typeof config === 'string') {
+    return ARRIVAL_PROFILES[config] || ARRIVAL_PROFILES[DEFAULT_ARRIVAL_PROFILE]
+  }
+  if (config.profile && ARRIVAL_PROFILES[config.profile]) {
+    return { ...ARRIVAL_PROFILES[config.profile], ...config }
+  }
+  return config
+}
+
+// Customers per hour at a given simulation time (ms since the run started)
+export const arrivalRateAt = (config, time) => {
+  if (config.type === 'fixed') return HOUR / config.interval
+  if (config.type === 'poisson') return config.ratePerHour
+
+  const hour = (config.startHour || 0) + time / HOUR
+  if (config.endHour !== undefined && hour >= config.endHour) return 0
+
+  let rate = 0
+  for (const entry of config.rates || []) {
+    if (entry.hour <= hour) rate = entry.rate
+  }
+  return rate
+}
+
+export const getPeakRate = (config) => {
+  if (config.type !== 'profile') return arrivalRateAt(config, 0)
+  return Math.max(0, ...(config.rates || []).map(entry => entry.rate))
+}
+
+// Profiles open the store at their start hour; other arrival types start at midnight
+const openingHour = (config) => config.type === 'profile' ? (config.startHour || 0) : 0
+
+// Store clock hour at a simulation time, e.g. 11.7 for 11:42
+export const clockHourAt = (config, time) => openingHour(config) + time / HOUR
+
+// Store clock for a simulation time, e.g. "11:42"
+export const formatClockTime = (config, time) => {
+  const totalMinutes = Math.floor(openingHour(config) * 60 + time / 60000)
+  const hours = Math.floor(totalMinutes / 60) % 24
+  const minutes = totalMinutes % 60
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`
+}
+
+const meanGroupSize = (groupSizes) => {
+  const total = groupSizes.reduce((sum, share) => sum + share, 0)
+  return groupSizes.reduce((sum, share, index) => sum + share * (index + 1), 0) / total
+}
+
+// Generates arrival times as a (non-homogeneous) Poisson process. Rates are in
+// customers per hour; with group arrivals the group rate is scaled down by the
+// mean group size so the customer rate stays as configured.
+export class ArrivalProcess {
+  constructor(config, random) {
+    this.config = resolveArrivalConfig(config)
+    this.random = random
+    this.groupSizes = this.config.groupSizes || SOLO
+    this.meanGroupSize = meanGroupSize(this.groupSizes)
+    this.nextArrival = this.config.type === 'fixed' ? this.config.interval : this.sampleNext(0)
+  }
+
+  rateAt(time) {
+    return arrivalRateAt(this.config, time)
+  }
+
+  // Thinning (Lewis-Shedler): propose at the peak rate, accept with rate(t) / peak
+  sampleNext(after) {
+    const peak = getPeakRate(this.config) / this.meanGroupSize
+    if (peak <= 0) return Infinity
+
+    let time = after
+    const end = this.config.endHour !== undefined
+      ? (this.config.endHour - (this.config.startHour || 0)) * HOUR
+      : Infinity
+    while (time < end) {
+      time += -Math.log(1 - this.random()) / peak * HOUR
+      const rate = this.rateAt(time) / this.meanGroupSize
+      if (this.random() * peak <= rate) return time
+    }
+    return Infinity
+  }
+
+  sampleGroupSize() {
+    const total = this.groupSizes.reduce((sum, share) => sum + share, 0)
+    let pick = this.random() * total
+    for (let i = 0; i < this.groupSizes.length; i++) {
+      pick -= this.groupSizes[i]
+      if (pick <= 0) return i + 1
+    }
+    return this.groupSizes.length
+  }
+
+  // Group sizes of every arrival due up to `time`
+  due(time) {
+    const groups = []
+    while (this.nextArrival <= time) {
+      const arrival = this.nextArrival
+      groups.push(this.config.type === 'fixed' ? 1 : this.sampleGroupSize())
+      this.nextArrival = this.config.type === 'fixed'
+        ? arrival + this.config.interval
+        : this.sampleNext(arrival)
+    }
+    return groups
+  }
+}
@@ -0,0 +1,163 @@
+// Product catalog: items with a category and popularity, mapped to the sections that stock them
+
+// popularity is a relative weight for how often an item lands on a shopping list;
+// price is in dollars.
+// An item is stocked by the sections listed in `sections` (by label), or else by
+// every section whose category or label matches the item's category.
+export const DEFAULT_CATALOG = [
+  { id: 'bananas', name: 'bananas', category: 'Produce', popularity: 9, price: 1.29 },
+  { id: 'apples', name: 'apples', category: 'Produce', popularity: 7, price: 3.49 },
+  { id: 'lettuce', name: 'lettuce', category: 'Produce', popularity: 4, price: 1.99 },
+  { id: 'tomatoes', name: 'tomatoes', category: 'Produce', popularity: 6, price: 2.99 },
+  { id: 'potatoes', name: 'potatoes', category: 'Produce', popularity: 5, price: 4.49 },
+  { id: 'milk', name: 'milk', category: 'Dairy', popularity: 10, price: 3.79 },
+  { id: 'eggs', name: 'eggs', category: 'Dairy', popularity: 9, price: 4.29 },
+  { id: 'cheese', name: 'cheese', category: 'Dairy', popularity: 6, price: 5.49 },
+  { id: 'yogurt', name: 'yogurt', category: 'Dairy', popularity: 5, price: 1.19 },
+  { id: 'butter', name: 'butter', category: 'Dairy', popularity: 4, price: 4.99 },
+  { id: 'bread', name: 'bread', category: 'Bakery', popularity: 9, price: 3.49 },
+  { id: 'bagels', name: 'bagels', category: 'Bakery', popularity: 3, price: 4.29 },
+  { id: 'muffins', name: 'muffins', category: 'Bakery', popularity: 2, price: 5.99 },
+  { id: 'chicken', name: 'chicken breast', category: 'Meat', popularity: 7, price: 8.99 },
+  { id: 'ground-beef', name: 'ground beef', category: 'Meat', popularity: 5, price: 6.99 },
+  { id: 'bacon', name: 'bacon', category: 'Meat', popularity: 4, price: 6.49 },
+  { id: 'salmon', name: 'salmon', category: 'Seafood', popularity: 3, price: 12.99 },
+  { id: 'shrimp', name: 'shrimp', category: 'Seafood', popularity: 2, price: 10.99 },
+  { id: 'sliced-turkey', name: 'sliced turkey', category: 'Deli', popularity: 4, price: 7.49 },
+  { id: 'frozen-pizza', name: 'frozen pizza', category: 'Frozen', popularity: 5, price: 6.99 },
+  { id: 'ice-cream', name: 'ice cream', category: 'Frozen', popularity: 5, price: 5.49 },
+  { id: 'frozen-veg', name: 'frozen vegetables', category: 'Frozen', popularity: 3, price: 2.79 },
+  { id: 'chips', name: 'chips', category: 'Snacks', popularity: 6, price: 4.29 },
+  { id: 'cookies', name: 'cookies', category: 'Snacks', popularity: 4, price: 3.99 },
+  { id: 'crackers', name: 'crackers', category: 'Snacks', popularity: 3, price: 3.49 },
+  { id: 'water', name: 'bottled water', category: 'Beverages', popularity: 6, price: 5.99 },
+  { id: 'soda', name: 'soda', category: 'Beverages', popularity: 5, price: 6.99 },
+  { id: 'coffee', name: 'coffee', category: 'Beverages', popularity: 6, price: 9.99 },
+  { id: 'juice', name: 'orange juice', category: 'Beverages', popularity: 4, price: 4.49 },
+  { id: 'pasta', name: 'pasta', category: 'Pantry', popularity: 5, price: 1.79 },
+  { id: 'rice', name: 'rice', category: 'Pantry', popularity: 5, price: 3.99 },
+  { id: 'cereal', name: 'cereal', category: 'Pantry', popularity: 6, price: 4.79 },
+  { id: 'canned-soup', name: 'canned soup', category: 'Pantry', popularity: 3, price: 2.29 },
+  { id: 'toilet-paper', name: 'toilet paper', category: 'Household', popularity: 5, price: 11.99 },
+  { id: 'detergent', name: 'laundry detergent', category: 'Household', popularity: 3, price: 12.99 },
+  { id: 'paper-towels', name: 'paper towels', category: 'Household', popularity: 3, price: 9.49 },
+  { id: 'shampoo', name: 'shampoo', category: 'Personal Care', popularity: 3, price: 6.99 },
+  { id: 'toothpaste', name: 'toothpaste', category: 'Personal Care', popularity: 3, price: 3.99 }
+]
+
+const DEFAULT_PRICE = 3 // For catalog entries (and generic section items) without a price
+
+// How readily shoppers pick up something unplanned in a category (0-1). A
+// section's own impulseAppeal overrides this.
+export const CATEGORY_APPEAL = {
+  Snacks: 0.7,
+  Bakery: 0.6,
+  Beverages: 0.5,
+  Frozen: 0.4,
+  Deli: 0.4,
+  Produce: 0.3,
+  Dairy: 0.25,
+  'Personal Care': 0.2,
+  Meat: 0.15,
+  Seafood: 0.15,
+  Pantry: 0.15,
+  Household: 0.1
+}
+
+const DEFAULT_APPEAL = 0.2
+
+const normalize = (text) => String(text || '').trim().toLowerCase()
+
+// "Dairy & Eggs" stocks Dairy; a section called "Snack" stocks Snacks
+const sectionMatchesCategory = (section, category) => {
+  const sectionName = normalize(section.category || section.label)
+  const categoryName = normalize(category)
+  if (!sectionName || !categoryName) return false
+  return sectionName === categoryName ||
+    sectionName.includes(categoryName) ||
+    categoryName.includes(sectionName)
+}
+
+export class ProductCatalog {
+  // items: catalog entries (defaults to DEFAULT_CATALOG); sections: layout.products
+  constructor(items, sections) {
+    this.sections = sections || []
+    this.items = []
+    this.itemsBySection = new Map(this.sections.map(section => [section.label, []]))
+
+    for (const item of items || DEFAULT_CATALOG) {
+      const stockedAt = this.sections.filter(section => item.sections
+        ? item.sections.includes(section.label)
+        : sectionMatchesCategory(section, item.category))
+      this.addItem(item, stockedAt)
+    }
+
+    // Sections the catalog doesn't cover still sell something: one generic item
+    // named after the section, which is how lists worked before the catalog
+    for (const section of this.sections) {
+      if (this.itemsBySection.get(section.label).length === 0) {
+        this.addItem({
+          id: `section:${section.label}`,
+          name: section.label,
+          category: section.category || section.label,
+          popularity: 1
+        }, [section])
+      }
+    }
+
+    this.itemsByName = new Map(this.items.map(item => [item.name, item]))
+  }
+
+  // Items no section stocks are left out; nobody could buy them
+  addItem(item, stockedAt) {
+    if (stockedAt.length === 0) return
+    const entry = {
+      ...item,
+      popularity: item.popularity ?? 1,
+      price: item.price ?? DEFAULT_PRICE,
+      sections: stockedAt.map(section => section.label)
+    }
+    this.items.push(entry)
+    for (const section of stockedAt) {
+      this.itemsBySection.get(section.label).push(entry)
+    }
+  }
+
+  // Impulse appeal of a section: its own setting, else the best matching category
+  sectionAppeal(section) {
+    if (section.impulseAppeal !== undefined) return section.impulseAppeal
+    const appeals = Object.entries(CATEGORY_APPEAL)
+      .filter(([category]) => sectionMatchesCategory(section, category))
+      .map(([, appeal]) => appeal)
+    return appeals.length > 0 ? Math.max(...appeals) : DEFAULT_APPEAL
+  }
+
+  // Everything a section stocks
+  stockAt(sectionLabel) {
+    return this.itemsBySection.get(sectionLabel) || []
+  }
+
+  getItem(name) {
+    return this.itemsByName.get(name) || null
+  }
+
+  // Section labels that stock an item
+  sectionsFor(name) {
+    return this.getItem(name)?.sections || []
+  }
+
+  // Names of the given items that a section stocks
+  itemsAt(sectionLabel, names) {
+    const stocked = this.stockAt(sectionLabel)
+    return names.filter(name => stocked.some(item => item.name === name))
+  }
+
+  // Popularity-weighted sample without replacement (Efraimidis-Spirakis keys)
+  drawList(count, random) {
+    return this.items
+      .map(item => ({ item, key: Math.pow(random(), 1 / Math.max(item.popularity, 0.0001)) }))
+      .sort((a, b) => b.key - a.key)
+      .slice(0, Math.min(count, this.items.length))
+      .map(entry => entry.item.name)
+  }
+}
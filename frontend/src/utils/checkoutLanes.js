@@ -0,0 +1,261 @@
+// Checkout lanes: per-lane FIFO queues, lane choice and basket-based service times
+
+import { getCheckoutRect } from './navigation.js'
+import { FOOTPRINTS } from './footprints.js'
+
+export const LANE_CHOICE_STRATEGIES = ['shortest', 'nearest', 'random']
+
+export const DEFAULT_SERVICE_TIME = {
+  base: 4000, // ms to greet, pay and bag regardless of basket size
+  perItem: 1500, // ms per item scanned
+  distribution: 'lognormal', // 'fixed' | 'exponential' | 'lognormal'
+  variability: 0.3 // Spread of the lognormal around the mean
+}
+
+const QUEUE_SPACING = 0.45 // m between customers standing in line; carts and wheelchairs take their length
+const SLOT_STEP = 0.15 // m between the points a line can stand on
+const MAX_QUEUE_LENGTH = 9 // m of floor a line can stretch over
+
+const DIRECTIONS = {
+  up: { x: 0, y: -1 },
+  down: { x: 0, y: 1 },
+  left: { x: -1, y: 0 },
+  right: { x: 1, y: 0 }
+}
+
+// Standard normal sample (Box-Muller) from a uniform generator
+const gaussian = (random) => {
+  const u = Math.max(random(), Number.EPSILON)
+  const v = random()
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v)
+}
+
+export class CheckoutLanes {
+  // options.pixelsPerMetre is the layout's scale (see units.js)
+  constructor(checkouts, navGrid, random, options = {}) {
+    this.navGrid = navGrid
+    this.random = random
+    this.pixelsPerMetre = options.pixelsPerMetre
+    this.laneChoice = options.laneChoice || 'shortest'
+    this.serviceTime = { ...DEFAULT_SERVICE_TIME, ...options.serviceTime }
+    this.lanes = (checkouts || []).map((checkout, index) => this.createLane(checkout, index))
+  }
+
+  createLane(checkout, index) {
+    const rect = getCheckoutRect(checkout)
+    const direction = DIRECTIONS[checkout.queueDirection] || this.findOpenSide(rect)
+    const slots = this.buildQueueSlots(rect, direction)
+
+    return {
+      index,
+      checkout,
+      rect,
+      express: Boolean(checkout.express),
+      itemLimit: checkout.express ? (checkout.itemLimit || 10) : Infinity,
+      direction,
+      open: true, // Taking new customers (staff.js closes lanes without a cashier)
+      staffed: true, // Someone at the counter to serve the line
+      slots, // Points every SLOT_STEP along the line; slots[0] is where the customer being served stands
+      queue: [], // FIFO; queue[0] is at (or walking to) the counter
+      serving: null,
+      serviceRemaining: 0,
+      busyTime: 0,
+      queueTimeIntegral: 0, // Sum of (waiting customers x ms) for the time-average
+      maxQueueLength: 0,
+      served: 0,
+      reneged: 0, // Left the line before reaching the counter
+      started: 0, // Reached the counter; their waits are in totalWait
+      totalWait: 0
+    }
+  }
+
+  // The line forms on whichever side of the counter has the most open floor
+  findOpenSide(rect) {
+    let best = DIRECTIONS.up
+    let bestOpen = -1
+    for (const direction of Object.values(DIRECTIONS)) {
+      const start = this.sideMidpoint(rect, direction)
+      let open = 0
+      const spacing = QUEUE_SPACING * this.pixelsPerMetre
+      for (let i = 0; i < 8; i++) {
+        const x = start.x + direction.x * spacing * i
+        const y = start.y + direction.y * spacing * i
+        if (!this.navGrid.isWalkable(x, y)) break
+        open++
+      }
+      if (open > bestOpen) {
+        bestOpen = open
+        best = direction
+      }
+    }
+    return best
+  }
+
+  sideMidpoint(rect, direction) {
+    const gap = this.navGrid.cellSize * 1.5
+    return {
+      x: rect.x + rect.width / 2 + direction.x * (rect.width / 2 + gap),
+      y: rect.y + rect.height / 2 + direction.y * (rect.height / 2 + gap)
+    }
+  }
+
+  buildQueueSlots(rect, direction) {
+    const start = this.sideMidpoint(rect, direction)
+    const slots = []
+    const step = SLOT_STEP * this.pixelsPerMetre
+    for (let i = 0; i <= Math.round(MAX_QUEUE_LENGTH / SLOT_STEP); i++) {
+      const x = start.x + direction.x * step * i
+      const y = start.y + direction.y * step * i
+      // Lines that run into a shelf bunch up on the nearest free floor
+      const point = this.navGrid.isWalkable(x, y) ? { x, y } : this.navGrid.nearestWalkable(x, y)
+      slots.push(point || { x, y })
+    }
+    return slots
+  }
+
+  // Where the customer at `position` in line stands: behind everyone ahead and
+  // whatever they're pushing
+  getSlot(lane, position) {
+    let offset = 0 // m
+    for (const customer of lane.queue.slice(0, position)) {
+      offset += Math.max(QUEUE_SPACING, FOOTPRINTS[customer.footprint]?.length || 0)
+    }
+    return lane.slots[Math.min(Math.round(offset / SLOT_STEP), lane.slots.length - 1)]
+  }
+
+  // Customers waiting plus the one at the counter
+  laneLoad(lane) {
+    return lane.queue.length
+  }
+
+  // Open lanes that take this many items; any open lane if none of them do
+  eligibleLanes(itemCount) {
+    const open = this.lanes.filter(lane => lane.open)
+    const eligible = open.filter(lane => itemCount <= lane.itemLimit)
+    return eligible.length > 0 ? eligible : open
+  }
+
+  chooseLane(customer, itemCount) {
+    const lanes = this.eligibleLanes(itemCount)
+    if (lanes.length === 0) return null
+
+    const distanceTo = (lane) => Math.hypot(lane.slots[0].x - customer.x, lane.slots[0].y - customer.y)
+
+    if (this.laneChoice === 'random') {
+      return lanes[Math.floor(this.random() * lanes.length)]
+    }
+    if (this.laneChoice === 'nearest') {
+      return [...lanes].sort((a, b) => distanceTo(a) - distanceTo(b))[0]
+    }
+    // Shortest line, nearest lane on ties
+    return [...lanes].sort((a, b) => {
+      if (this.laneLoad(a) !== this.laneLoad(b)) return this.laneLoad(a) - this.laneLoad(b)
+      return distanceTo(a) - distanceTo(b)
+    })[0]
+  }
+
+  // Mean ms until a customer joining now would reach the counter
+  expectedWait(lane) {
+    const meanService = (customer) => this.serviceTime.base + this.serviceTime.perItem * customer.basket.length
+    return lane.queue.reduce((sum, customer) => {
+      return sum + (customer === lane.serving ? Math.max(0, lane.serviceRemaining) : meanService(customer))
+    }, 0)
+  }
+
+  join(customer, lane, time) {
+    lane.queue.push(customer)
+    customer.lane = lane.index
+    customer.queueJoinTime = time
+    lane.maxQueueLength = Math.max(lane.maxQueueLength, lane.queue.length)
+  }
+
+  // Step out of line; whoever is already being served stays
+  leave(customer) {
+    const lane = this.lanes[customer.lane]
+    if (!lane || lane.serving === customer) return false
+    lane.queue = lane.queue.filter(queued => queued !== customer)
+    lane.reneged++
+    customer.lane = null
+    return true
+  }
+
+  sampleServiceTime(itemCount) {
+    const mean = this.serviceTime.base + this.serviceTime.perItem * itemCount
+    if (this.serviceTime.distribution === 'fixed') return mean
+    if (this.serviceTime.distribution === 'exponential') {
+      return -mean * Math.log(1 - this.random())
+    }
+    // Lognormal with the configured mean: exp(mu + sigma * z), mu = ln(mean) - sigma^2 / 2
+    const sigma = this.serviceTime.variability
+    return mean * Math.exp(sigma * gaussian(this.random) - (sigma * sigma) / 2)
+  }
+
+  // Advance every lane by deltaTime. `isAtCounter(customer, slot)` tells us
+  // whether the front customer has physically arrived. Returns the customers
+  // whose service finished this step.
+  update(deltaTime, time, isAtCounter) {
+    const finished = []
+
+    for (const lane of this.lanes) {
+      if (lane.serving) {
+        lane.busyTime += deltaTime
+        lane.serviceRemaining -= deltaTime
+        if (lane.serviceRemaining <= 0) {
+          const customer = lane.serving
+          lane.queue.shift()
+          lane.serving = null
+          lane.served++
+          customer.lane = null
+          finished.push(customer)
+        }
+      }
+
+      if (!lane.serving && lane.staffed && lane.queue.length > 0) {
+        const front = lane.queue[0]
+        if (isAtCounter(front, lane.slots[0])) {
+          const wait = time - front.queueJoinTime
+          front.queueWait = wait
+          lane.totalWait += wait
+          lane.started++
+          lane.serving = front
+          lane.serviceRemaining = this.sampleServiceTime(front.basket.length)
+        }
+      }
+
+      // Everyone behind the counter position is waiting
+      const waiting = lane.queue.length - (lane.serving ? 1 : 0)
+      lane.queueTimeIntegral += waiting * deltaTime
+    }
+
+    return finished
+  }
+
+  getMetrics(elapsed) {
+    const lanes = this.lanes.map(lane => ({
+      index: lane.index,
+      express: lane.express,
+      open: lane.open,
+      itemLimit: lane.express ? lane.itemLimit : null,
+      served: lane.served,
+      reneged: lane.reneged,
+      queueLength: lane.queue.length,
+      maxQueueLength: lane.maxQueueLength,
+      avgQueueLength: elapsed > 0 ? lane.queueTimeIntegral / elapsed : 0,
+      avgWait: lane.started > 0 ? lane.totalWait / lane.started / 1000 : 0, // seconds
+      utilization: elapsed > 0 ? lane.busyTime / elapsed : 0
+    }))
+
+    const started = this.lanes.reduce((sum, lane) => sum + lane.started, 0)
+    const totalWait = this.lanes.reduce((sum, lane) => sum + lane.totalWait, 0)
+
+    return {
+      lanes,
+      avgQueueWait: started > 0 ? totalWait / started / 1000 : 0, // seconds
+      avgQueueLength: lanes.reduce((sum, lane) => sum + lane.avgQueueLength, 0),
+      maxQueueLength: Math.max(0, ...lanes.map(lane => lane.maxQueueLength)),
+      laneUtilization: lanes.length > 0
+        ? lanes.reduce((sum, lane) => sum + lane.utilization, 0) / lanes.length
+        : 0
+    }
+  }
+}
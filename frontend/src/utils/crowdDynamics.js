@@ -0,0 +1,171 @@
+// Social-force pedestrian model (Helbing & Molnar): customers steer toward their
+// next waypoint while being pushed apart by each other and by walls and fixtures
+
+// Units are m and seconds; the model converts them to layout px with the
+// layout's scale (see units.js)
+export const CROWD_DEFAULTS = {
+  radius: 0.15, // Body radius of anyone without their own (customers carry their footprint's, see footprints.js)
+  relaxationTime: 0.5, // s to reach the desired velocity
+  agentStrength: 9, // m/s^2 of repulsion between two people at contact
+  agentRange: 0.15, // m over which that repulsion falls off by e
+  bodyStiffness: 200, // m/s^2 of push-back per m of overlap
+  anisotropy: 0.3, // How much people react to someone behind them (1 = as much as in front)
+  wallStrength: 2.4, // m/s^2 of repulsion from a wall or shelf at contact
+  wallRange: 0.1,
+  wallDistance: 0.45, // Ignore obstacles further away than this
+  neighborRadius: 1.2, // Ignore people further away than this
+  maxSpeedFactor: 1.3, // Pushed customers may briefly exceed their own speed by this much
+  substeps: 2 // Integration steps per simulation tick
+}
+
+// Options measured in m (or m/s^2), which scale with the layout
+const LENGTH_OPTIONS = ['radius', 'agentStrength', 'agentRange', 'wallStrength', 'wallRange', 'wallDistance', 'neighborRadius']
+
+export class SocialForceModel {
+  // Agents' positions, speeds and radii are in layout px
+  constructor(navGrid, { pixelsPerMetre = 1, ...options } = {}) {
+    this.navGrid = navGrid
+    this.options = { ...CROWD_DEFAULTS, ...options }
+    for (const key of LENGTH_OPTIONS) this.options[key] *= pixelsPerMetre
+  }
+
+  // Velocity the customer would like to have: full speed toward the waypoint,
+  // easing off on the final approach so they stop instead of overshooting
+  desiredVelocity(agent) {
+    const target = agent.steerTarget
+    if (!target) return { x: 0, y: 0 }
+
+    const dx = target.x - agent.x
+    const dy = target.y - agent.y
+    const distance = Math.hypot(dx, dy)
+    if (distance < 1) return { x: 0, y: 0 }
+
+    const speed = target.final
+      ? Math.min(agent.speed, distance / this.options.relaxationTime)
+      : agent.speed
+    return { x: (dx / distance) * speed, y: (dy / distance) * speed }
+  }
+
+  // Speed after dt seconds if nobody and nothing were in the way: the yardstick
+  // the heat map measures speed loss against (accelerating isn't a slowdown)
+  freeSpeed(agent, dt) {
+    const { relaxationTime, substeps } = this.options
+    const desired = this.desiredVelocity(agent)
+    const blend = 1 - Math.pow(Math.max(0, 1 - dt / substeps / relaxationTime), substeps)
+    return Math.hypot(
+      agent.vx + (desired.x - agent.vx) * blend,
+      agent.vy + (desired.y - agent.vy) * blend
+    )
+  }
+
+  // Repulsion from other people: exponential social force between the people
+  // themselves, weighted by whether they are ahead, plus a body force once two
+  // footprints (carts, wheelchairs) actually overlap
+  agentForce(agent, neighbors) {
+    const { radius, agentStrength, agentRange, bodyStiffness, anisotropy, neighborRadius } = this.options
+    const heading = Math.hypot(agent.vx, agent.vy)
+    let fx = 0
+    let fy = 0
+
+    for (const other of neighbors) {
+      if (other === agent) continue
+      const dx = agent.x - other.x
+      const dy = agent.y - other.y
+      const distance = Math.hypot(dx, dy)
+      if (distance > neighborRadius) continue
+
+      // Two people on the same spot: separate them along their ids so it's deterministic
+      const nx = distance > 0.001 ? dx / distance : (agent.id < other.id ? -1 : 1)
+      const ny = distance > 0.001 ? dy / distance : 0
+      const reach = (agent.radius || radius) + (other.radius || radius)
+
+      // 1 for someone straight ahead, `anisotropy` for someone straight behind
+      const cosPhi = heading > 0 ? -(nx * agent.vx + ny * agent.vy) / heading : 1
+      const weight = anisotropy + (1 - anisotropy) * (1 + cosPhi) / 2
+
+      let magnitude = agentStrength * Math.exp((2 * radius - distance) / agentRange) * weight
+      if (distance < reach) magnitude += bodyStiffness * (reach - distance)
+      fx += nx * magnitude
+      fy += ny * magnitude
+    }
+
+    return { x: fx, y: fy }
+  }
+
+  wallForce(agent) {
+    const { wallStrength, wallRange, wallDistance } = this.options
+    const radius = agent.radius || this.options.radius
+    let fx = 0
+    let fy = 0
+
+    for (const obstacle of this.navGrid.nearbyObstacles(agent.x, agent.y, wallDistance)) {
+      if (obstacle.distance < 0.001) continue
+      const magnitude = wallStrength * Math.exp((radius - obstacle.distance) / wallRange)
+      fx += ((agent.x - obstacle.x) / obstacle.distance) * magnitude
+      fy += ((agent.y - obstacle.y) / obstacle.distance) * magnitude
+    }
+
+    return { x: fx, y: fy }
+  }
+
+  // Advance every mover by dt seconds. Everyone in `everyone` (including people
+  // standing still at a shelf or in line) pushes on the movers. `neighborsOf`
+  // returns the people near an agent; it defaults to a scan of everyone.
+  // Returns the movers that ran into a wall or fixture and need a new path.
+  step(movers, everyone, dt, neighborsOf = () => everyone) {
+    const { relaxationTime, maxSpeedFactor, substeps } = this.options
+    const h = dt / substeps
+    const blocked = new Set()
+
+    for (let i = 0; i < substeps; i++) {
+      // Forces from the current positions first, then move everyone together
+      const accelerations = movers.map(agent => {
+        const desired = this.desiredVelocity(agent)
+        const social = this.agentForce(agent, neighborsOf(agent))
+        const walls = this.wallForce(agent)
+        return {
+          x: (desired.x - agent.vx) / relaxationTime + social.x + walls.x,
+          y: (desired.y - agent.vy) / relaxationTime + social.y + walls.y
+        }
+      })
+
+      movers.forEach((agent, index) => {
+        agent.vx += accelerations[index].x * h
+        agent.vy += accelerations[index].y * h
+
+        const maxSpeed = agent.speed * maxSpeedFactor
+        const speed = Math.hypot(agent.vx, agent.vy)
+        if (speed > maxSpeed) {
+          agent.vx *= maxSpeed / speed
+          agent.vy *= maxSpeed / speed
+        }
+
+        this.moveWithinFloor(agent, h, blocked)
+      })
+    }
+
+    return [...blocked]
+  }
+
+  // Never step into a wall or fixture: slide along it on one axis if we can,
+  // otherwise stop
+  moveWithinFloor(agent, h, blocked) {
+    const nextX = agent.x + agent.vx * h
+    const nextY = agent.y + agent.vy * h
+
+    if (this.navGrid.isWalkable(nextX, nextY)) {
+      agent.x = nextX
+      agent.y = nextY
+    } else if (this.navGrid.isWalkable(nextX, agent.y)) {
+      agent.x = nextX
+      agent.vy = 0
+    } else if (this.navGrid.isWalkable(agent.x, nextY)) {
+      agent.y = nextY
+      agent.vx = 0
+    } else {
+      agent.vx = 0
+      agent.vy = 0
+      blocked.add(agent)
+    }
+  }
+}
@@ -0,0 +1,169 @@
+// Per-customer run records and what's reported from them: percentiles,
+// throughput, unfinished trips and a CSV export of the table
+
+// Walking at less than this share of free-walking speed counts as blocked
+const BLOCKED_SPEED_SHARE = 0.5
+
+// Columns of the per-customer table, in CSV order
+export const CUSTOMER_RECORD_COLUMNS = [
+  { key: 'id', label: 'customer' },
+  { key: 'persona', label: 'persona' },
+  { key: 'footprint', label: 'footprint' },
+  { key: 'regular', label: 'regular' },
+  { key: 'groupId', label: 'group' },
+  { key: 'arrivalTime', label: 'arrival_s' },
+  { key: 'exitTime', label: 'exit_s' },
+  { key: 'totalTime', label: 'total_time_s' },
+  { key: 'distance', label: 'distance_m' },
+  { key: 'blockedTime', label: 'blocked_s' },
+  { key: 'queueTime', label: 'queue_s' },
+  { key: 'itemsPlanned', label: 'items_planned' },
+  { key: 'itemsCollected', label: 'items_collected' },
+  { key: 'itemsGivenUp', label: 'items_given_up' },
+  { key: 'impulseItems', label: 'impulse_items' },
+  { key: 'basketValue', label: 'basket_value' },
+  { key: 'finished', label: 'finished' },
+  { key: 'abandoned', label: 'abandoned' }
+]
+
+// Nearest-rank percentile of an ascending array
+export const percentile = (sorted, p) => {
+  if (sorted.length === 0) return 0
+  const rank = Math.ceil(p / 100 * sorted.length)
+  return sorted[Math.min(sorted.length - 1, Math.max(0, rank - 1))]
+}
+
+const round = (value, places = 1) => {
+  const factor = Math.pow(10, places)
+  return Math.round(value * factor) / factor
+}
+
+const distribution = (values) => {
+  const sorted = [...values].sort((a, b) => a - b)
+  return {
+    mean: sorted.length > 0 ? round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length) : 0,
+    p50: round(percentile(sorted, 50)),
+    p90: round(percentile(sorted, 90)),
+    p99: round(percentile(sorted, 99))
+  }
+}
+
+export class CustomerRecords {
+  // pixelsPerMetre is the layout's scale (see units.js)
+  constructor(pixelsPerMetre) {
+    this.pixelsPerMetre = pixelsPerMetre
+    this.records = new Map() // Customer id -> record (times in ms and distance in px while running)
+  }
+
+  start(customer, time) {
+    this.records.set(customer.id, {
+      id: customer.id,
+      persona: customer.persona,
+      footprint: customer.footprint,
+      regular: customer.regular,
+      groupId: customer.groupId,
+      arrivalTime: time,
+      exitTime: null,
+      distance: 0,
+      blockedTime: 0,
+      queueTime: 0,
+      itemsPlanned: customer.shoppingList.length,
+      lastX: customer.x,
+      lastY: customer.y
+    })
+  }
+
+  // Distance and blocked time; call once per step after everyone has moved
+  update(customers, deltaTime) {
+    for (const customer of customers) {
+      const record = this.records.get(customer.id)
+      if (!record) continue
+      record.distance += Math.hypot(customer.x - record.lastX, customer.y - record.lastY)
+      record.lastX = customer.x
+      record.lastY = customer.y
+
+      if (customer.freeSpeed > 1 &&
+        Math.hypot(customer.vx, customer.vy) < customer.freeSpeed * BLOCKED_SPEED_SHARE) {
+        record.blockedTime += deltaTime
+      }
+    }
+  }
+
+  served(customer) {
+    const record = this.records.get(customer.id)
+    if (record) record.queueTime = customer.queueWait
+  }
+
+  // Exited customers leave the engine, so keep what rows() needs from them
+  finish(customer, time) {
+    const record = this.records.get(customer.id)
+    if (!record) return
+    record.exitTime = time
+    record.itemsCollected = customer.collected.length
+    record.itemsGivenUp = customer.givenUp.length
+    record.abandoned = customer.abandoned
+    record.basket = customer.basket.map(({ price, impulse }) => ({ price, impulse }))
+  }
+
+  // The table as of `time`, seconds, metres and dollars rounded for reading. Customers
+  // still in the store count up to `time`; they and walk-outs aren't finished.
+  rows(customers, time) {
+    const byId = new Map(customers.map(customer => [customer.id, customer]))
+    return Array.from(this.records.values()).map(record => {
+      const customer = byId.get(record.id)
+      const basket = customer ? customer.basket : record.basket
+      const abandoned = (customer ? customer.abandoned : record.abandoned) || null
+      return {
+        id: record.id,
+        persona: record.persona,
+        footprint: record.footprint,
+        regular: record.regular,
+        groupId: record.groupId,
+        arrivalTime: round(record.arrivalTime / 1000),
+        exitTime: record.exitTime !== null ? round(record.exitTime / 1000) : null,
+        totalTime: round(((record.exitTime ?? time) - record.arrivalTime) / 1000),
+        distance: round(record.distance / this.pixelsPerMetre),
+        blockedTime: round(record.blockedTime / 1000),
+        queueTime: round(record.queueTime / 1000),
+        itemsPlanned: record.itemsPlanned,
+        itemsCollected: customer ? customer.collected.length : record.itemsCollected,
+        itemsGivenUp: customer ? customer.givenUp.length : record.itemsGivenUp,
+        impulseItems: basket.filter(purchase => purchase.impulse).length,
+        basketValue: round(basket.reduce((sum, purchase) => sum + purchase.price, 0), 2),
+        finished: record.exitTime !== null && !abandoned, // Walk-outs leave without finishing
+        abandoned // ABANDON_REASONS key
+      }
+    })
+  }
+}
+
+// Run summary from a customer table. Time and distance distributions are over
+// customers who finished; `elapsed` is the simulated time in ms.
+export const summarizeCustomerRecords = (rows, elapsed) => {
+  const finished = rows.filter(row => row.finished)
+  const planned = rows.reduce((sum, row) => sum + row.itemsPlanned, 0)
+  const collected = rows.reduce((sum, row) => sum + row.itemsCollected, 0)
+  const hours = elapsed / (60 * 60 * 1000)
+
+  return {
+    shoppingTimeStats: distribution(finished.map(row => row.totalTime)), // seconds
+    distanceStats: distribution(finished.map(row => row.distance)), // m
+    blockedTimeStats: distribution(finished.map(row => row.blockedTime)), // seconds
+    queueTimeStats: distribution(finished.map(row => row.queueTime)), // seconds
+    throughput: hours > 0 ? Math.round(finished.length / hours) : 0, // customers out per hour
+    unfinishedRate: rows.length > 0 ? round((rows.length - finished.length) / rows.length * 100) : 0, // %
+    itemCompletion: planned > 0 ? round(collected / planned * 100) : 0 // % of list items collected
+  }
+}
+
+const csvValue = (value) => {
+  if (value === null || value === undefined) return ''
+  const text = String(value)
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+export const customerRecordsToCSV = (rows) => {
+  const header = CUSTOMER_RECORD_COLUMNS.map(column => column.label).join(',')
+  const lines = rows.map(row => CUSTOMER_RECORD_COLUMNS.map(column => csvValue(row[column.key])).join(','))
+  return [header, ...lines].join('\n') + '\n'
+}
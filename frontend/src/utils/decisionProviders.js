@@ -0,0 +1,145 @@
+// Decision providers: who answers a customer's "where next?" prompt. LLM
+// providers send it to a server and resolve with the reply text, or null when
+// the server doesn't answer, so the rules decide instead (see aiCustomer.js).
+
+export const DEFAULT_DECISION_PROVIDER = 'auto'
+
+// A provider has a name and either asks a server (ask, with its default model
+// and endpoint), answers in-process, or runs the providers in its chain in
+// order until one answers. Rules only has nothing to ask: the rule-based
+// fallback makes every decision.
+export const DECISION_PROVIDERS = {
+  auto: {
+    name: 'OpenRouter, then Ollama',
+    chain: ['openRouter', 'ollama']
+  },
+  openRouter: {
+    name: 'OpenRouter',
+    model: 'google/gemini-flash-1.5-8b',
+    endpoint: 'https://openrouter.ai/api/v1/chat/completions',
+    // Needs a key; without one it's skipped rather than asked
+    ask: (prompt, settings, context) => (context.apiKey ? chatCompletion(prompt, settings, context.apiKey) : null)
+  },
+  ollama: {
+    name: 'Ollama',
+    model: 'llama3.2',
+    endpoint: 'http://localhost:11434/api/generate',
+    ask: (prompt, settings) => ollamaGenerate(prompt, settings)
+  },
+  openAICompatible: {
+    name: 'OpenAI-compatible server',
+    model: 'local-model',
+    // llama.cpp's server; LM Studio, vLLM and others take the same requests on their own ports
+    endpoint: 'http://localhost:8080/v1/chat/completions',
+    ask: (prompt, settings) => chatCompletion(prompt, settings, null)
+  },
+  mock: {
+    name: 'Mock (offline stand-in)',
+    ask: (prompt, settings, context) => mockReply(context)
+  },
+  rules: {
+    name: 'Rules only'
+  }
+}
+
+// scenario.decisions: which provider, and the model, endpoint (null for the
+// provider's own), temperature (null leaves it to the server), timeout (ms
+// before a request counts as unanswered) and batchSize (most customers decided
+// by one prompt; 1 asks for each on its own)
+export const DEFAULT_DECISIONS = {
+  provider: DEFAULT_DECISION_PROVIDER,
+  model: null,
+  endpoint: null,
+  temperature: null,
+  timeout: 10000,
+  batchSize: 20
+}
+
+export const resolveDecisionSettings = (decisions) => {
+  const settings = { ...DEFAULT_DECISIONS, ...decisions }
+  if (!DECISION_PROVIDERS[settings.provider]) settings.provider = DEFAULT_DECISION_PROVIDER
+  settings.batchSize = Math.max(1, Math.floor(settings.batchSize) || 1)
+  return settings
+}
+
+// Whether a provider ever sends a prompt anywhere (rules only doesn't)
+export const asksForDecisions = (providerKey) => {
+  const provider = DECISION_PROVIDERS[providerKey]
+  return Boolean(provider?.ask || provider?.chain)
+}
+
+// The reply of the first provider (of the chain, for a chain) that answers, as
+// { provider, reply }; null when none does. A model or endpoint in the settings
+// only replaces a single provider's own, never every provider's in a chain.
+export const askDecisionProvider = async (prompt, settings, context = {}) => {
+  const provider = DECISION_PROVIDERS[settings.provider]
+  const keys = provider.chain || [settings.provider]
+  for (const key of keys) {
+    const member = DECISION_PROVIDERS[key]
+    if (!member.ask) continue
+    const memberSettings = provider.chain
+      ? { ...settings, model: member.model, endpoint: member.endpoint }
+      : { ...settings, model: settings.model || member.model, endpoint: settings.endpoint || member.endpoint }
+    try {
+      const reply = await member.ask(prompt, memberSettings, context)
+      if (reply) return { provider: key, reply: reply.trim().toLowerCase() }
+    } catch (error) {
+      console.warn(`${member.name} didn't answer, trying the next provider:`, error)
+    }
+  }
+  return null
+}
+
+// POST JSON and resolve with the response's JSON, or null for an error status;
+// a request still open after timeout ms is aborted
+const postJSON = async (url, body, timeout, headers = {}) => {
+  const controller = new AbortController()
+  const timer = setTimeout(() => controller.abort(), timeout)
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal: controller.signal
+    })
+    return response.ok ? await response.json() : null
+  } finally {
+    clearTimeout(timer)
+  }
+}
+
+// OpenAI's chat completions API, which OpenRouter and most local servers speak
+const chatCompletion = async (prompt, settings, apiKey) => {
+  const data = await postJSON(settings.endpoint, {
+    model: settings.model,
+    messages: [{ role: 'user', content: prompt }],
+    ...(settings.temperature !== null && { temperature: settings.temperature })
+  }, settings.timeout, apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {})
+  return data?.choices?.[0]?.message?.content || null
+}
+
+const ollamaGenerate = async (prompt, settings) => {
+  const data = await postJSON(settings.endpoint, {
+    model: settings.model,
+    prompt,
+    stream: false,
+    ...(settings.temperature !== null && { options: { temperature: settings.temperature } })
+  }, settings.timeout)
+  return data?.response || null
+}
+
+// Answers the way a model would, without one: the nearest section known to
+// stock something still needed, or checkout. The answer depends only on the
+// sections asked about, so demos and tests run offline, and a seeded run with
+// it replays the same. A batch (the sections each shopper knows about) gets a
+// JSON array back.
+const mockReply = ({ visibleSections = [], batch = null }) => {
+  const choose = (sections) => {
+    const needed = sections
+      .filter(section => section.items?.length > 0)
+      .sort((a, b) => a.distance - b.distance)
+    return needed.length > 0 ? needed[0].name : 'checkout'
+  }
+  if (batch) return JSON.stringify(batch.map((sections, index) => ({ shopper: index + 1, go: choose(sections) })))
+  return choose(visibleSections)
+}
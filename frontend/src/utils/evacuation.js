@@ -0,0 +1,178 @@
+// Evacuation drills: when the alarm goes, everyone heads for the nearest exit
+// they can reach; this tracks who got out where and when, and checks the
+// store's occupancy against what its exits can handle
+
+import { storeBounds } from './navigation.js'
+
+// Fire-code figures (IBC): 0.2 in of exit width per occupant for doors, and one
+// occupant per 60 sq ft of gross floor area in a store
+export const EGRESS_WIDTH_PER_OCCUPANT = 0.00508 // m (0.2 in)
+export const FLOOR_AREA_PER_OCCUPANT = 5.574 // m^2 (60 sq ft)
+
+const DEFAULT_EXIT_WIDTH = 40 // px, as drawn for exits without a length
+const ZONE_RANGE = 2.4 // m from a section or checkout within which someone is in its zone
+const FLOW_WINDOW = 10000 // ms over which peak exit flow is measured
+const WORST_OFF_COUNT = 5
+
+const round = (value) => Math.round(value * 10) / 10
+
+// Occupants an exit ({ x, y, width } in px) is wide enough for; the small
+// allowance keeps a door drawn at exactly a whole number of occupants from
+// rounding down
+export const exitCapacity = (exit, pixelsPerMetre) => Math.floor(exit.width / pixelsPerMetre / EGRESS_WIDTH_PER_OCCUPANT + 1e-9)
+
+// Gross floor area (m^2) of the store's bounds, the box around its walls
+export const floorArea = (layout, pixelsPerMetre) => {
+  if (!(layout.walls || []).length) return 0
+  const bounds = storeBounds(layout)
+  return Math.round((bounds.maxX - bounds.minX) * (bounds.maxY - bounds.minY) / (pixelsPerMetre * pixelsPerMetre))
+}
+
+export class EvacuationTracker {
+  // exits: [{ x, y, width }]; zones: [{ name, rect }] checked in order, anyone
+  // near none of them is on the open floor. Positions are in layout px;
+  // pixelsPerMetre is the layout's scale and the report is in m.
+  constructor({ alarmTime, exits, zones, layout, peakOccupancy, pixelsPerMetre }) {
+    this.alarmTime = alarmTime
+    this.pixelsPerMetre = pixelsPerMetre
+    this.exits = exits.map((exit, index) => ({
+      ...exit,
+      index,
+      width: exit.width || DEFAULT_EXIT_WIDTH,
+      exitTimes: []
+    }))
+    this.zones = zones
+    this.area = floorArea(layout, pixelsPerMetre)
+    this.peakOccupancy = peakOccupancy
+    this.occupants = new Map() // Agent id -> where they started and how they got out
+  }
+
+  zoneAt(x, y) {
+    for (const zone of this.zones) {
+      const dx = Math.max(zone.rect.x - x, 0, x - (zone.rect.x + zone.rect.width))
+      const dy = Math.max(zone.rect.y - y, 0, y - (zone.rect.y + zone.rect.height))
+      if (Math.hypot(dx, dy) <= ZONE_RANGE * this.pixelsPerMetre) return zone.name
+    }
+    return 'Open floor'
+  }
+
+  // route: { index, distance } of the exit they're headed for, or null when
+  // they can't reach any
+  addOccupant(agent, route, { staff = false } = {}) {
+    this.occupants.set(agent.id, {
+      id: agent.id,
+      who: staff ? agent.role : agent.persona,
+      staff,
+      zone: this.zoneAt(agent.x, agent.y),
+      exit: route ? route.index : null,
+      distance: route ? round(route.distance / this.pixelsPerMetre) : null, // m
+      exitTime: null
+    })
+  }
+
+  recordExit(agent, time) {
+    const occupant = this.occupants.get(agent.id)
+    if (!occupant || occupant.exitTime !== null) return
+    occupant.exitTime = time
+    if (occupant.exit !== null) this.exits[occupant.exit].exitTimes.push(time)
+  }
+
+  get complete() {
+    return Array.from(this.occupants.values()).every(occupant => occupant.exitTime !== null || occupant.exit === null)
+  }
+
+  // Most people out of one exit in any FLOW_WINDOW, per minute
+  peakFlow(exitTimes) {
+    let peak = 0
+    let start = 0
+    for (let end = 0; end < exitTimes.length; end++) {
+      while (exitTimes[end] - exitTimes[start] > FLOW_WINDOW) start++
+      peak = Math.max(peak, end - start + 1)
+    }
+    return Math.round(peak * 60000 / FLOW_WINDOW)
+  }
+
+  // Times in seconds since the alarm; still-running figures count up to `time`
+  getReport(time) {
+    const occupants = Array.from(this.occupants.values())
+    const out = occupants.filter(occupant => occupant.exitTime !== null)
+    const trapped = occupants.filter(occupant => occupant.exit === null)
+    const sinceAlarm = (at) => round((at - this.alarmTime) / 1000)
+    const lastOut = Math.max(this.alarmTime, ...out.map(occupant => occupant.exitTime))
+
+    const exits = this.exits.map(exit => {
+      const first = exit.exitTimes[0]
+      const last = exit.exitTimes[exit.exitTimes.length - 1]
+      const span = exit.exitTimes.length > 1 ? (last - first) / 1000 : 0
+      return {
+        index: exit.index,
+        x: exit.x,
+        y: exit.y,
+        width: Math.round(exit.width / this.pixelsPerMetre * 100) / 100, // m
+        capacity: exitCapacity(exit, this.pixelsPerMetre), // occupants
+        assigned: occupants.filter(occupant => occupant.exit === exit.index).length,
+        evacuated: exit.exitTimes.length,
+        firstOut: first !== undefined ? sinceAlarm(first) : null,
+        lastOut: last !== undefined ? sinceAlarm(last) : null,
+        flowRate: span > 0 ? round(exit.exitTimes.length / span * 60) : 0, // people per minute
+        peakFlow: this.peakFlow(exit.exitTimes) // people per minute
+      }
+    })
+
+    const zoneNames = [...new Set(occupants.map(occupant => occupant.zone))]
+    const zones = zoneNames.map(name => {
+      const inZone = occupants.filter(occupant => occupant.zone === name && occupant.exit !== null)
+      const cleared = inZone.every(occupant => occupant.exitTime !== null)
+      return {
+        name,
+        occupants: inZone.length,
+        cleared,
+        timeToClear: cleared
+          ? sinceAlarm(Math.max(this.alarmTime, ...inZone.map(occupant => occupant.exitTime)))
+          : null
+      }
+    }).sort((a, b) => (b.timeToClear ?? Infinity) - (a.timeToClear ?? Infinity))
+
+    // Longest to get out, those still inside first
+    const worstOff = occupants
+      .filter(occupant => occupant.exit !== null)
+      .map(occupant => ({
+        id: occupant.id,
+        who: occupant.who,
+        staff: occupant.staff,
+        zone: occupant.zone,
+        exit: occupant.exit,
+        distance: occupant.distance, // m
+        time: sinceAlarm(occupant.exitTime ?? time),
+        inside: occupant.exitTime === null
+      }))
+      .sort((a, b) => (b.inside - a.inside) || (b.time - a.time))
+      .slice(0, WORST_OFF_COUNT)
+
+    const totalCapacity = exits.reduce((sum, exit) => sum + exit.capacity, 0)
+    const designLoad = Math.ceil(this.area / FLOOR_AREA_PER_OCCUPANT)
+
+    return {
+      alarmTime: round(this.alarmTime / 1000),
+      complete: this.complete,
+      totalTime: this.complete ? sinceAlarm(lastOut) : null, // s from alarm to the last person out
+      elapsed: sinceAlarm(time),
+      occupants: occupants.length,
+      evacuated: out.length,
+      stillInside: occupants.length - out.length - trapped.length,
+      trapped: trapped.map(occupant => ({ id: occupant.id, who: occupant.who, zone: occupant.zone })),
+      exits,
+      zones,
+      worstOff,
+      occupancy: {
+        floorArea: this.area, // m^2
+        designLoad, // occupants the floor area allows
+        peakOccupancy: this.peakOccupancy, // most people in the store during the run
+        atAlarm: occupants.length,
+        exitCapacity: totalCapacity, // occupants the exits are wide enough for
+        designLoadOk: designLoad <= totalCapacity,
+        peakOk: this.peakOccupancy <= totalCapacity
+      }
+    }
+  }
+}
@@ -0,0 +1,148 @@
+// Product exposure and impulse purchases: who passes each section, how long and how close
+
+import { distanceToRect } from './navigation.js'
+import { PERSONAS } from './personas.js'
+
+const EXPOSURE_RANGE = 1.8 // m from a section's edge within which shoppers notice it
+const IMPULSE_SCALE = 0.25 // Converts appeal x impulse rate x exposure seconds into a purchase hazard
+
+// Popularity-weighted pick of one item
+const pickWeighted = (items, random) => {
+  const total = items.reduce((sum, item) => sum + item.popularity, 0)
+  let pick = random() * total
+  for (const item of items) {
+    pick -= item.popularity
+    if (pick <= 0) return item
+  }
+  return items[items.length - 1]
+}
+
+export class ExposureTracker {
+  // sections: layout.products; catalog: ProductCatalog; random: the impulse stream;
+  // options.range (m) is converted with options.pixelsPerMetre, the layout's scale
+  constructor(sections, catalog, random, options = {}) {
+    this.catalog = catalog
+    this.random = random
+    this.range = (options.range || EXPOSURE_RANGE) * (options.pixelsPerMetre || 1)
+    this.onImpulse = options.onImpulse || null // (customer, item, sectionLabel) after each impulse buy
+    this.inStock = options.inStock || (() => true) // (sectionLabel) false while the shelves are empty
+    this.sections = (sections || []).map(section => ({
+      section,
+      label: section.label,
+      appeal: catalog.sectionAppeal(section),
+      exposureTime: 0, // Customer-ms spent within range
+      weightedExposure: 0, // Same, weighted by closeness (1 at the shelf, 0 at the range edge)
+      visitors: 0, // Customers who came within range at least once
+      impulseBuys: 0,
+      plannedUnits: 0,
+      plannedSales: 0,
+      impulseSales: 0
+    }))
+    this.byLabel = new Map(this.sections.map(entry => [entry.label, entry]))
+  }
+
+  // Accumulate one step of exposure. A pass ends when the customer walks out of
+  // range; that's when we decide whether the pass turned into an impulse buy.
+  update(customers, deltaTime) {
+    for (const customer of customers) {
+      for (const entry of this.sections) {
+        const distance = distanceToRect(customer.x, customer.y, entry.section)
+        let pass = customer.exposure[entry.label]
+
+        if (distance <= this.range) {
+          if (!pass) {
+            pass = customer.exposure[entry.label] = { active: false, weighted: 0, bought: false }
+            entry.visitors++
+          }
+          if (!pass.active) {
+            pass.active = true
+            pass.weighted = 0
+          }
+          const closeness = 1 - distance / this.range
+          pass.weighted += closeness * deltaTime
+          entry.exposureTime += deltaTime
+          entry.weightedExposure += closeness * deltaTime
+        } else if (pass?.active) {
+          pass.active = false
+          this.considerImpulse(customer, entry, pass)
+        }
+      }
+    }
+  }
+
+  // Chance of an unplanned purchase grows with how long and how close the pass
+  // was, the section's appeal and the shopper's persona; at most one per section
+  considerImpulse(customer, entry, pass) {
+    // Already paid and on the way out, or nothing on the shelves to tempt them
+    if (customer.status === 'exiting' || pass.bought || !this.inStock(entry.label)) return
+
+    const persona = PERSONAS[customer.persona]
+    const impulseRate = persona ? persona.impulseRate : 0.2
+    const hazard = entry.appeal * impulseRate * (pass.weighted / 1000) * IMPULSE_SCALE
+    if (this.random() >= 1 - Math.exp(-hazard)) return
+
+    const inBasket = new Set(customer.basket.map(purchase => purchase.name))
+    const candidates = this.catalog.stockAt(entry.label)
+      .filter(item => !customer.shoppingList.includes(item.name) && !inBasket.has(item.name))
+    if (candidates.length === 0) return
+
+    const item = pickWeighted(candidates, this.random)
+    pass.bought = true
+    customer.basket.push({ name: item.name, price: item.price, section: entry.label, impulse: true })
+    entry.impulseBuys++
+    entry.impulseSales += item.price
+    if (this.onImpulse) this.onImpulse(customer, item, entry.label)
+  }
+
+  // Planned purchases: list items picked up at a section
+  recordPurchase(customer, sectionLabel, names) {
+    const entry = this.byLabel.get(sectionLabel)
+    for (const name of names) {
+      const price = this.catalog.getItem(name)?.price || 0
+      customer.basket.push({ name, price, section: sectionLabel, impulse: false })
+      if (entry) {
+        entry.plannedUnits++
+        entry.plannedSales += price
+      }
+    }
+  }
+
+  // A walk-out puts the basket back: none of it was sold after all
+  returnBasket(customer) {
+    for (const purchase of customer.basket) {
+      const entry = this.byLabel.get(purchase.section)
+      if (!entry) continue
+      if (purchase.impulse) {
+        entry.impulseBuys--
+        entry.impulseSales -= purchase.price
+      } else {
+        entry.plannedUnits--
+        entry.plannedSales -= purchase.price
+      }
+    }
+  }
+
+  getMetrics() {
+    const round = (value) => Math.round(value * 100) / 100
+    const sections = this.sections.map(entry => ({
+      label: entry.label,
+      appeal: entry.appeal,
+      visitors: entry.visitors,
+      exposureTime: Math.round(entry.exposureTime / 1000), // seconds
+      avgExposure: entry.visitors > 0 ? round(entry.exposureTime / entry.visitors / 1000) : 0, // seconds per visitor
+      impulseBuys: entry.impulseBuys,
+      conversionRate: entry.visitors > 0 ? round(entry.impulseBuys / entry.visitors * 100) : 0, // %
+      plannedUnits: entry.plannedUnits,
+      plannedSales: round(entry.plannedSales),
+      impulseSales: round(entry.impulseSales),
+      revenue: round(entry.plannedSales + entry.impulseSales)
+    }))
+
+    return {
+      sections,
+      impulsePurchases: sections.reduce((sum, entry) => sum + entry.impulseBuys, 0),
+      impulseRevenue: round(sections.reduce((sum, entry) => sum + entry.impulseSales, 0)),
+      totalRevenue: round(sections.reduce((sum, entry) => sum + entry.revenue, 0))
+    }
+  }
+}
@@ -0,0 +1,114 @@
+// Agent footprints (what a shopper is pushing or riding in) and the aisle widths
+// a layout needs for them
+
+import { getCheckoutRect } from './navigation.js'
+import { resolveScale, metresToPixels } from './units.js'
+
+// radius: half the width the agent takes up, in m (see units.js). The crowd
+// model keeps people this far apart and from shelves, and paths only go where
+// there's this much room. length is front to back: the room they take in a
+// checkout line, and what's drawn.
+export const FOOTPRINTS = {
+  basket: { name: 'Basket', radius: 0.15, length: 0.3 },
+  cart: { name: 'Cart', radius: 0.3, length: 0.9 },
+  stroller: { name: 'Stroller', radius: 0.3, length: 0.85 },
+  wheelchair: { name: 'Wheelchair', radius: 0.37, length: 1.2 }
+}
+
+export const DEFAULT_FOOTPRINT = 'basket'
+
+// Aisle widths (m): two carts side by side with a foot between them, and the
+// 36 in accessible route width
+export const TWO_CART_WIDTH = 4 * FOOTPRINTS.cart.radius + 0.3
+export const ACCESSIBLE_WIDTH = 0.91
+
+const MIN_AISLE_LENGTH = 0.3 // m two fixtures must face each other along to form an aisle
+
+// Weighted draw of a footprint key from a { footprint: share } mix
+export const pickFootprint = (mix, random) => {
+  const entries = Object.entries(mix || {}).filter(([key, share]) => FOOTPRINTS[key] && share > 0)
+  if (entries.length === 0) return DEFAULT_FOOTPRINT
+
+  const total = entries.reduce((sum, [, share]) => sum + share, 0)
+  let pick = random() * total
+  for (const [key, share] of entries) {
+    pick -= share
+    if (pick <= 0) return key
+  }
+  return entries[entries.length - 1][0]
+}
+
+const WALL_SLANT = 2 // px a wall can be off horizontal or vertical and still count as straight
+
+// Sections, checkouts and straight walls as rectangles (walls have no thickness)
+const obstaclesOf = (layout) => [
+  ...(layout.products || []).map(product => ({ ...product, name: product.label || product.name, fixture: true })),
+  ...(layout.checkouts || []).map(checkout => ({ ...getCheckoutRect(checkout), name: 'Checkout', fixture: true })),
+  ...(layout.walls || [])
+    .filter(wall => Math.abs(wall.start.x - wall.end.x) <= WALL_SLANT || Math.abs(wall.start.y - wall.end.y) <= WALL_SLANT)
+    .map(wall => ({
+      x: Math.min(wall.start.x, wall.end.x),
+      y: Math.min(wall.start.y, wall.end.y),
+      width: Math.abs(wall.end.x - wall.start.x),
+      height: Math.abs(wall.end.y - wall.start.y),
+      name: 'Wall',
+      fixture: false
+    }))
+]
+
+const overlaps = (a, b) => a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height
+
+// The open strip between two obstacles facing each other across x (or y when
+// vertical), or null if they don't face each other
+const gapBetween = (a, b, vertical, minLength) => {
+  const [pos, size, crossPos, crossSize] = vertical ? ['y', 'height', 'x', 'width'] : ['x', 'width', 'y', 'height']
+  const [first, second] = a[pos] <= b[pos] ? [a, b] : [b, a]
+  const width = second[pos] - (first[pos] + first[size])
+  const from = Math.max(first[crossPos], second[crossPos])
+  const to = Math.min(first[crossPos] + first[crossSize], second[crossPos] + second[crossSize])
+  if (width <= 0 || to - from < minLength) return null
+
+  return {
+    [pos]: first[pos] + first[size],
+    [size]: width,
+    [crossPos]: from,
+    [crossSize]: to - from,
+    aisleWidth: width
+  }
+}
+
+// Aisles too narrow for two carts to pass or for the accessible route width:
+// [{ x, y, width, height, aisleWidth, between: [name, name], issue, fits }]
+// in layout px, where issue is 'accessibility' (under ACCESSIBLE_WIDTH) or
+// 'passing' (under TWO_CART_WIDTH) and fits lists the footprints that get
+// through at all. Widths are measured with the layout's scale.
+export const analyzeAisles = (layout) => {
+  const scale = resolveScale(layout)
+  const toPixels = (metres) => metresToPixels(metres, scale)
+  const obstacles = obstaclesOf(layout)
+  const aisles = []
+
+  for (let i = 0; i < obstacles.length; i++) {
+    for (let j = i + 1; j < obstacles.length; j++) {
+      const a = obstacles[i]
+      const b = obstacles[j]
+      if (!a.fixture && !b.fixture) continue
+
+      for (const vertical of [false, true]) {
+        const gap = gapBetween(a, b, vertical, toPixels(MIN_AISLE_LENGTH))
+        if (!gap || gap.aisleWidth >= toPixels(TWO_CART_WIDTH)) continue
+        // Something else in between means these two don't form the aisle
+        if (obstacles.some((other, k) => k !== i && k !== j && overlaps(other, gap))) continue
+
+        aisles.push({
+          ...gap,
+          between: [a.name, b.name],
+          issue: gap.aisleWidth < toPixels(ACCESSIBLE_WIDTH) ? 'accessibility' : 'passing',
+          fits: Object.keys(FOOTPRINTS).filter(key => toPixels(2 * FOOTPRINTS[key].radius) <= gap.aisleWidth)
+        })
+      }
+    }
+  }
+
+  return aisles.sort((a, b) => a.aisleWidth - b.aisleWidth)
+}
@@ -1,27 +1,99 @@
 // Genetic algorithm for layout optimization
 
 import { SimulationEngine } from './simulationEngine.js'
+import { createRandom, deriveSeed, normalizeSeed } from './random.js'
+import { DEFAULT_SCENARIO_PRESET } from './scenario.js'
+
+// Fitness is 1000 minus a weighted sum of run metrics; an objective is a set of
+// weights. Walk-outs and lost sales only count toward the objectives that name them.
+export const OPTIMIZER_OBJECTIVES = {
+  flow: {
+    name: 'Smooth flow',
+    weights: { avgCongestion: 5, bottleneckCount: 10, avgShoppingTime: 2, avgQueueWait: 2 }
+  },
+  retention: {
+    name: 'Fewer walk-outs',
+    weights: { avgCongestion: 5, bottleneckCount: 10, avgShoppingTime: 2, avgQueueWait: 2, abandonmentRate: 5 }
+  },
+  sales: {
+    name: 'Fewer lost sales',
+    weights: { avgCongestion: 2, bottleneckCount: 5, avgShoppingTime: 1, avgQueueWait: 1, abandonmentRate: 2, lostSales: 1 }
+  }
+}
+
+export const DEFAULT_OBJECTIVE = 'flow'
+
+// Accept an objective key or an inline { metric: weight } object
+export const resolveObjective = (objective) => {
+  if (objective && typeof objective === 'object') return objective
+  return (OPTIMIZER_OBJECTIVES[objective] || OPTIMIZER_OBJECTIVES[DEFAULT_OBJECTIVE]).weights
+}
+
+// Run a headless, fixed-timestep simulation of a layout and return its metrics.
+// Also used by the evaluation workers, so it only takes plain data. The
+// scenario (a preset key or definition, see scenario.js) sets how long the run
+// is, who comes in, who works and how customers decide; seed overrides its
+// seed. With record: true the metrics carry the run's trace for replay and its
+// per-customer table (customerRecords); heatMapCellSize sets the heat map grid
+// (and so the congestion and bottleneck figures).
+export const simulateLayout = async (layout, { scenario, seed, apiKey = null, heatMapCellSize, record = false } = {}) => {
+  const engine = new SimulationEngine(layout, null, apiKey, {
+    scenario: scenario || DEFAULT_SCENARIO_PRESET,
+    seed,
+    heatMapCellSize,
+    record
+  })
+
+  const metrics = await engine.runUntil()
+  return record
+    ? { ...metrics, trace: engine.getTrace(), customerRecords: engine.getCustomerRecords() }
+    : metrics
+}
 
 export class GeneticOptimizer {
-  constructor(originalLayout, apiKey, onProgress) {
+  constructor(originalLayout, apiKey, onProgress, options = {}) {
     this.originalLayout = JSON.parse(JSON.stringify(originalLayout)) // Deep copy
     this.apiKey = apiKey
     this.onProgress = onProgress
+    this.seed = normalizeSeed(options.seed)
+    this.random = createRandom(this.seed)
+    // All candidates are simulated with the same seed so fitness differences
+    // come from the layout, not from different customer draws
+    this.evaluationSeed = deriveSeed(this.seed, 'evaluation')
+    this.scenario = options.scenario || DEFAULT_SCENARIO_PRESET // What every candidate is simulated under
+    this.heatMapCellSize = options.heatMapCellSize
+    this.objective = options.objective || DEFAULT_OBJECTIVE
+    this.weights = resolveObjective(this.objective)
+    // options.evaluate(layout, seed, { record }) resolves with a layout's metrics; pass one
+    // backed by a worker pool to simulate a whole population in parallel
+    this.evaluate = options.evaluate || ((layout, seed, evaluateOptions = {}) => simulateLayout(layout, {
+      seed,
+      apiKey: this.apiKey,
+      scenario: this.scenario,
+      heatMapCellSize: this.heatMapCellSize,
+      ...evaluateOptions
+    }))
     this.populationSize = 20
     this.generation = 0
     this.bestLayout = null
     this.bestFitness = -Infinity
     this.isRunning = false
+    this.isPaused = false
+    this.resumeWaiters = []
   }
 
   async optimize(maxGenerations = 50) {
     this.isRunning = true
     this.generation = 0
+    this.random = createRandom(this.seed)
 
     // Initialize population
     let population = this.initializePopulation()
 
     while (this.generation < maxGenerations && this.isRunning) {
+      await this.waitWhilePaused()
+      if (!this.isRunning) break
+
       // Evaluate fitness for each layout
       const evaluated = await this.evaluatePopulation(population)
       
@@ -40,6 +112,7 @@ export class GeneticOptimizer {
           generation: this.generation,
           bestFitness: this.bestFitness,
           bestLayout: this.bestLayout,
+          seed: this.seed,
           avgFitness: evaluated.reduce((sum, e) => sum + e.fitness, 0) / evaluated.length
         })
       }
@@ -64,12 +137,34 @@ export class GeneticOptimizer {
       originalLayout: this.originalLayout,
       optimizedLayout: this.bestLayout,
       fitness: this.bestFitness,
-      generations: this.generation
+      generations: this.generation,
+      seed: this.seed,
+      evaluationSeed: this.evaluationSeed,
+      objective: this.objective,
+      scenario: this.scenario
     }
   }
 
   stop() {
     this.isRunning = false
+    this.resume() // Let a paused run reach the end of its loop
+  }
+
+  // Pausing takes effect between generations
+  pause() {
+    this.isPaused = true
+  }
+
+  resume() {
+    this.isPaused = false
+    const waiters = this.resumeWaiters
+    this.resumeWaiters = []
+    waiters.forEach(resolve => resolve())
+  }
+
+  waitWhilePaused() {
+    if (!this.isPaused) return Promise.resolve()
+    return new Promise(resolve => this.resumeWaiters.push(resolve))
   }
 
   initializePopulation() {
@@ -95,7 +190,7 @@ export class GeneticOptimizer {
 
     // Randomly swap product positions
     if (newLayout.products.length > 1) {
-      const shuffled = [...newLayout.products].sort(() => Math.random() - 0.5)
+      const shuffled = this.random.shuffle(newLayout.products)
       newLayout.products = shuffled.map((product, idx) => ({
         ...product,
         x: newLayout.products[idx].x,
@@ -105,17 +200,18 @@ export class GeneticOptimizer {
 
     // Randomly move checkouts
     newLayout.checkouts = newLayout.checkouts.map(checkout => ({
-      x: checkout.x + (Math.random() - 0.5) * 100,
-      y: checkout.y + (Math.random() - 0.5) * 100
+      ...checkout,
+      x: checkout.x + this.random.range(-50, 50),
+      y: checkout.y + this.random.range(-50, 50)
     }))
 
     // Randomly resize some products
     newLayout.products = newLayout.products.map(product => {
-      if (Math.random() < 0.3) {
+      if (this.random() < 0.3) {
         return {
           ...product,
-          width: Math.max(60, product.width + (Math.random() - 0.5) * 40),
-          height: Math.max(40, product.height + (Math.random() - 0.5) * 30)
+          width: Math.max(60, product.width + this.random.range(-20, 20)),
+          height: Math.max(40, product.height + this.random.range(-15, 15))
         }
       }
       return product
@@ -124,56 +220,28 @@ export class GeneticOptimizer {
     return newLayout
   }
 
+  // Candidates are evaluated concurrently; with a pooled evaluator that means
+  // one simulation per worker at a time
   async evaluatePopulation(population) {
-    const evaluations = []
-
-    for (const layout of population) {
-      const fitness = await this.evaluateLayout(layout)
-      evaluations.push({ layout, fitness })
-    }
+    const fitnesses = await Promise.all(population.map(layout => this.evaluateLayout(layout)))
+    return population.map((layout, index) => ({ layout, fitness: fitnesses[index] }))
+  }
 
-    return evaluations
+  // evaluateOptions.record asks for the run's trace along with the metrics
+  simulateLayout(layout, seed = this.evaluationSeed, evaluateOptions = {}) {
+    return this.evaluate(layout, seed, evaluateOptions)
   }
 
   async evaluateLayout(layout) {
-    return new Promise((resolve) => {
-      const engine = new SimulationEngine(layout, () => {}, this.apiKey)
-      
-      let simulationTime = 0
-      const maxTime = 5 * 60 * 1000 // 5 minutes max
-      const targetCustomers = 30
-      let customersSpawned = 0
-
-      engine.start()
-
-      const checkInterval = setInterval(() => {
-        simulationTime += 1000
-
-        // Spawn customers until we have 30
-        if (customersSpawned < targetCustomers && engine.customers.length < 30) {
-          engine.spawnCustomer()
-          customersSpawned++
-        }
-
-        // Stop if all customers exited or max time reached
-        if ((engine.customers.length === 0 && customersSpawned >= targetCustomers) || 
-            simulationTime >= maxTime) {
-          clearInterval(checkInterval)
-          engine.stop()
-
-          const metrics = engine.getMetrics()
-          
-          // Calculate fitness
-          // Lower congestion, fewer bottlenecks, lower time = better
-          const fitness = 1000 - 
-            (metrics.avgCongestion * 5) - 
-            (metrics.bottleneckCount * 10) - 
-            (metrics.avgShoppingTime * 2)
-
-          resolve(fitness)
-        }
-      }, 1000)
-    })
+    const metrics = await this.simulateLayout(layout)
+
+    // Calculate fitness
+    // Lower congestion, fewer bottlenecks, lower time, shorter checkout waits
+    // (and, depending on the objective, fewer walk-outs and lost sales) = better
+    return Object.entries(this.weights).reduce(
+      (fitness, [metric, weight]) => fitness - (metrics[metric] || 0) * weight,
+      1000
+    )
   }
 
   crossover(parents) {
@@ -181,14 +249,14 @@ export class GeneticOptimizer {
     const targetChildren = this.populationSize - Math.floor(this.populationSize * 0.3)
 
     for (let i = 0; i < targetChildren; i++) {
-      const parent1 = parents[Math.floor(Math.random() * parents.length)].layout
-      const parent2 = parents[Math.floor(Math.random() * parents.length)].layout
+      const parent1 = this.random.pick(parents).layout
+      const parent2 = this.random.pick(parents).layout
 
       const child = JSON.parse(JSON.stringify(parent1))
 
       // Mix product positions
       if (parent2.products.length === child.products.length) {
-        const mixPoint = Math.floor(Math.random() * child.products.length)
+        const mixPoint = this.random.int(0, child.products.length - 1)
         for (let j = mixPoint; j < child.products.length; j++) {
           if (parent2.products[j]) {
             child.products[j] = {
@@ -203,7 +271,7 @@ export class GeneticOptimizer {
       // Mix checkout positions
       if (parent2.checkouts.length === child.checkouts.length) {
         child.checkouts = child.checkouts.map((checkout, idx) => {
-          if (Math.random() < 0.5 && parent2.checkouts[idx]) {
+          if (this.random() < 0.5 && parent2.checkouts[idx]) {
             return { ...parent2.checkouts[idx] }
           }
           return checkout
@@ -218,11 +286,11 @@ export class GeneticOptimizer {
 
   mutate(children) {
     for (const child of children) {
-      if (Math.random() < 0.2) { // 20% mutation rate
+      if (this.random() < 0.2) { // 20% mutation rate
         // Swap two random product sections
         if (child.products.length > 1) {
-          const idx1 = Math.floor(Math.random() * child.products.length)
-          const idx2 = Math.floor(Math.random() * child.products.length)
+          const idx1 = this.random.int(0, child.products.length - 1)
+          const idx2 = this.random.int(0, child.products.length - 1)
           if (idx1 !== idx2) {
             const temp = { ...child.products[idx1] }
             child.products[idx1] = { ...child.products[idx2] }
@@ -231,17 +299,17 @@ export class GeneticOptimizer {
         }
 
         // Move a checkout counter
-        if (child.checkouts.length > 0 && Math.random() < 0.5) {
-          const checkout = child.checkouts[Math.floor(Math.random() * child.checkouts.length)]
-          checkout.x += (Math.random() - 0.5) * 50
-          checkout.y += (Math.random() - 0.5) * 50
+        if (child.checkouts.length > 0 && this.random() < 0.5) {
+          const checkout = this.random.pick(child.checkouts)
+          checkout.x += this.random.range(-25, 25)
+          checkout.y += this.random.range(-25, 25)
         }
 
         // Resize a section
-        if (child.products.length > 0 && Math.random() < 0.5) {
-          const product = child.products[Math.floor(Math.random() * child.products.length)]
-          product.width = Math.max(60, product.width + (Math.random() - 0.5) * 40)
-          product.height = Math.max(40, product.height + (Math.random() - 0.5) * 30)
+        if (child.products.length > 0 && this.random() < 0.5) {
+          const product = this.random.pick(child.products)
+          product.width = Math.max(60, product.width + this.random.range(-20, 20))
+          product.height = Math.max(40, product.height + this.random.range(-15, 15))
         }
       }
     }
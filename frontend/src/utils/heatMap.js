@@ -0,0 +1,153 @@
+// Time-integrated heat maps: how long people spent in each cell, how long a visit
+// lasted and how much the crowd slowed them down, accumulated over the whole run
+
+// Cell sizes in m; the map itself works in layout px (see units.js)
+export const DEFAULT_HEAT_MAP_CELL_SIZE = 1.5
+export const HEAT_MAP_CELL_SIZES = [0.6, 0.75, 1.5, 3]
+
+// A cell is a bottleneck when walkers there lose this much of their free-walking
+// speed, over enough walking time that it isn't one unlucky moment
+const BOTTLENECK_SPEED_LOSS = 0.3
+const BOTTLENECK_MIN_WALKING = 10000 // ms
+
+// What each mode shows per cell; `max` fixes the color scale (otherwise the
+// busiest cell is the top of the scale)
+export const HEAT_MAP_MODES = {
+  occupancy: { name: 'Occupancy', unit: 's', description: 'Person-seconds spent in the cell' },
+  dwell: { name: 'Average dwell', unit: 's', description: 'Seconds per visit to the cell' },
+  speedLoss: { name: 'Speed loss', unit: '%', max: 100, description: 'Free-walking speed lost to the crowd and walls' }
+}
+
+export class HeatMap {
+  // cellSize in layout px
+  constructor(cellSize) {
+    this.cellSize = cellSize
+    this.cells = new Map() // "col,row" -> totals, all in ms
+    this.lastCell = new Map() // Customer id -> cell they were in last update
+    this.duration = 0
+  }
+
+  keyFor(x, y) {
+    return `${Math.floor(x / this.cellSize)},${Math.floor(y / this.cellSize)}`
+  }
+
+  cellAt(key) {
+    let cell = this.cells.get(key)
+    if (!cell) {
+      cell = {
+        occupancy: 0, // Person-ms
+        occupiedTime: 0, // ms with anyone in the cell
+        visits: 0, // Entries into the cell
+        walkingTime: 0, // Person-ms spent trying to walk
+        speedLoss: 0 // Walking ms weighted by the fraction of free speed lost
+      }
+      this.cells.set(key, cell)
+    }
+    return cell
+  }
+
+  // Add one step. Customers carry freeSpeed: how fast they'd have gone this
+  // step with nobody and nothing in the way (0 while standing on purpose).
+  update(customers, deltaTime) {
+    const current = new Map()
+    const counts = new Map()
+
+    for (const customer of customers) {
+      const key = this.keyFor(customer.x, customer.y)
+      const cell = this.cellAt(key)
+      current.set(customer.id, key)
+      counts.set(key, (counts.get(key) || 0) + 1)
+
+      if (this.lastCell.get(customer.id) !== key) cell.visits++
+      cell.occupancy += deltaTime
+
+      if (customer.freeSpeed > 1) {
+        const speed = Math.hypot(customer.vx, customer.vy)
+        cell.walkingTime += deltaTime
+        cell.speedLoss += Math.max(0, 1 - speed / customer.freeSpeed) * deltaTime
+      }
+    }
+
+    for (const key of counts.keys()) {
+      this.cells.get(key).occupiedTime += deltaTime
+    }
+    this.lastCell = current
+    this.duration += deltaTime
+  }
+
+  // Mean number of people sharing a cell, over the time cells were occupied
+  averageCrowding() {
+    let occupancy = 0
+    let occupiedTime = 0
+    for (const cell of this.cells.values()) {
+      occupancy += cell.occupancy
+      occupiedTime += cell.occupiedTime
+    }
+    return occupiedTime > 0 ? occupancy / occupiedTime : 0
+  }
+
+  findBottlenecks() {
+    const bottlenecks = []
+    for (const [key, cell] of this.cells) {
+      if (cell.walkingTime < BOTTLENECK_MIN_WALKING) continue
+      const speedLoss = cell.speedLoss / cell.walkingTime
+      if (speedLoss >= BOTTLENECK_SPEED_LOSS) {
+        const [col, row] = key.split(',').map(Number)
+        bottlenecks.push({
+          x: col * this.cellSize + this.cellSize / 2,
+          y: row * this.cellSize + this.cellSize / 2,
+          intensity: Math.round(speedLoss * 100) // % speed lost
+        })
+      }
+    }
+    return bottlenecks
+  }
+
+  // Plain-object summary (safe to post to the page and to save as JSON):
+  // per cell occupancy and dwell in seconds, speed loss in percent
+  toJSON() {
+    const round = (value) => Math.round(value * 10) / 10
+    const cells = {}
+    for (const [key, cell] of this.cells) {
+      cells[key] = {
+        occupancy: round(cell.occupancy / 1000),
+        dwell: cell.visits > 0 ? round(cell.occupancy / cell.visits / 1000) : 0,
+        speedLoss: cell.walkingTime > 0 ? Math.round(cell.speedLoss / cell.walkingTime * 100) : 0
+      }
+    }
+    return {
+      cellSize: this.cellSize,
+      duration: round(this.duration / 1000),
+      cells
+    }
+  }
+}
+
+// Top of the color scale for a mode; pass several summaries to compare them on
+// one scale
+export const heatMapScale = (mode, ...summaries) => {
+  if (HEAT_MAP_MODES[mode]?.max) return HEAT_MAP_MODES[mode].max
+  const values = summaries
+    .filter(Boolean)
+    .flatMap(summary => Object.values(summary.cells).map(cell => cell[mode] || 0))
+  return Math.max(0, ...values)
+}
+
+// Cells of a heat map summary ready to draw for one mode: position, size, the
+// mode's value and an intensity from 0 to 1
+export const heatMapCells = (summary, mode, scale = heatMapScale(mode, summary)) => {
+  if (!summary || !HEAT_MAP_MODES[mode] || scale <= 0) return []
+
+  return Object.entries(summary.cells)
+    .filter(([, cell]) => cell[mode] > 0)
+    .map(([key, cell]) => {
+      const [col, row] = key.split(',').map(Number)
+      return {
+        x: col * summary.cellSize,
+        y: row * summary.cellSize,
+        size: summary.cellSize,
+        value: cell[mode],
+        intensity: Math.min(cell[mode] / scale, 1)
+      }
+    })
+}
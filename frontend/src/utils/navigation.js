@@ -0,0 +1,544 @@
+// Grid-based navigation: walkable cells built from walls and fixtures, A* pathfinding
+
+const SQRT2 = Math.SQRT2
+
+// Checkouts come either as editor rectangles (x, y = top-left corner) or as bare
+// center points from older layouts, which the views draw as 40x20 counters
+export const getCheckoutRect = (checkout) => {
+  if (checkout.width && checkout.height) {
+    return { x: checkout.x, y: checkout.y, width: checkout.width, height: checkout.height }
+  }
+  return { x: checkout.x - 20, y: checkout.y - 10, width: 40, height: 20 }
+}
+
+const distanceToSegment = (px, py, x1, y1, x2, y2) => {
+  const dx = x2 - x1
+  const dy = y2 - y1
+  const lenSq = dx * dx + dy * dy
+  let t = lenSq > 0 ? ((px - x1) * dx + (py - y1) * dy) / lenSq : 0
+  t = Math.max(0, Math.min(1, t))
+  const cx = x1 + t * dx
+  const cy = y1 + t * dy
+  return Math.sqrt((px - cx) * (px - cx) + (py - cy) * (py - cy))
+}
+
+export const distanceToRect = (px, py, rect) => {
+  const dx = Math.max(rect.x - px, 0, px - (rect.x + rect.width))
+  const dy = Math.max(rect.y - py, 0, py - (rect.y + rect.height))
+  return Math.sqrt(dx * dx + dy * dy)
+}
+
+// Binary min-heap keyed on f-score for the A* open set
+class MinHeap {
+  constructor() {
+    this.items = []
+  }
+
+  get size() {
+    return this.items.length
+  }
+
+  push(node, priority) {
+    this.items.push({ node, priority })
+    let i = this.items.length - 1
+    while (i > 0) {
+      const parent = (i - 1) >> 1
+      if (this.items[parent].priority <= this.items[i].priority) break
+      const temp = this.items[parent]
+      this.items[parent] = this.items[i]
+      this.items[i] = temp
+      i = parent
+    }
+  }
+
+  pop() {
+    const top = this.items[0]
+    const last = this.items.pop()
+    if (this.items.length > 0) {
+      this.items[0] = last
+      let i = 0
+      while (true) {
+        const left = i * 2 + 1
+        const right = left + 1
+        let smallest = i
+        if (left < this.items.length && this.items[left].priority < this.items[smallest].priority) smallest = left
+        if (right < this.items.length && this.items[right].priority < this.items[smallest].priority) smallest = right
+        if (smallest === i) break
+        const temp = this.items[smallest]
+        this.items[smallest] = this.items[i]
+        this.items[i] = temp
+        i = smallest
+      }
+    }
+    return top.node
+  }
+}
+
+// The store's extent in layout px: the box around its walls, or around
+// everything placed when there are no walls yet
+export const storeBounds = (layout) => {
+  const xs = []
+  const ys = []
+  const add = (x, y) => {
+    xs.push(x)
+    ys.push(y)
+  }
+  for (const wall of layout.walls || []) {
+    add(wall.start.x, wall.start.y)
+    add(wall.end.x, wall.end.y)
+  }
+  if (xs.length === 0) {
+    for (const rect of [...(layout.products || []), ...(layout.checkouts || []).map(getCheckoutRect)]) {
+      add(rect.x, rect.y)
+      add(rect.x + rect.width, rect.y + rect.height)
+    }
+    for (const point of [layout.entrance, layout.exit]) {
+      if (point) add(point.x, point.y)
+    }
+  }
+  if (xs.length === 0) return { minX: 0, minY: 0, maxX: 0, maxY: 0 }
+  return { minX: Math.min(...xs), minY: Math.min(...ys), maxX: Math.max(...xs), maxY: Math.max(...ys) }
+}
+
+export class NavGrid {
+  // openings: door positions ({ x, y, length }) where walls can be crossed.
+  // Sizes are in layout px: cellSize, margin around the store's bounds and
+  // maxClearance, the room beyond which isn't measured (no footprint needs it).
+  constructor(layout, { cellSize = 10, margin = 40, maxClearance = 30, openings = [] } = {}) {
+    this.cellSize = cellSize
+    this.maxClearance = maxClearance
+    this.computeBounds(layout, margin)
+    this.cols = Math.ceil((this.maxX - this.minX) / cellSize)
+    this.rows = Math.ceil((this.maxY - this.minY) / cellSize)
+    this.blocked = new Uint8Array(this.cols * this.rows)
+
+    const walls = layout.walls || []
+    const wallMask = this.rasterizeWalls(walls)
+    const fixtureMask = this.rasterizeFixtures(layout)
+    const outsideMask = this.findOutside(wallMask)
+
+    for (let i = 0; i < this.blocked.length; i++) {
+      this.blocked[i] = wallMask[i] || fixtureMask[i] || outsideMask[i] ? 1 : 0
+    }
+
+    // Doors punch a hole through the wall band, but never through fixtures or
+    // into the area outside the store
+    for (const opening of openings) {
+      const radius = (opening.length || 40) / 2
+      this.forEachCellNear(opening.x, opening.y, radius, (index) => {
+        if (wallMask[index] && !fixtureMask[index]) this.blocked[index] = 0
+      })
+    }
+
+    // Room around each free cell, for paths that need to fit a footprint
+    this.clearance = new Float32Array(this.cols * this.rows)
+    for (let i = 0; i < this.clearance.length; i++) this.updateClearance(i)
+  }
+
+  // Distance from the cell's center to the nearest blocked cell's center, capped
+  // at maxClearance. A fixture's edge can be up to half a cell either side of
+  // its blocked cells' centers, so this is right to within half a cell.
+  updateClearance(index) {
+    if (this.blocked[index] !== 0) {
+      this.clearance[index] = 0
+      return
+    }
+    const col = index % this.cols
+    const row = (index - col) / this.cols
+    const span = Math.ceil(this.maxClearance / this.cellSize)
+    let nearest = this.maxClearance
+    for (let r = row - span; r <= row + span; r++) {
+      for (let c = col - span; c <= col + span; c++) {
+        if (c >= 0 && r >= 0 && c < this.cols && r < this.rows && this.blocked[r * this.cols + c] === 0) continue
+        // Off the grid counts as blocked
+        nearest = Math.min(nearest, Math.hypot(c - col, r - row) * this.cellSize)
+      }
+    }
+    this.clearance[index] = nearest
+  }
+
+  // Re-measure the room around cells whose blocked state changed
+  refreshClearance(cells) {
+    const touched = new Set()
+    for (const index of cells) {
+      const col = index % this.cols
+      const center = this.cellCenter(col, (index - col) / this.cols)
+      this.forEachCellNear(center.x, center.y, this.maxClearance + this.cellSize, (near) => touched.add(near))
+    }
+    for (const index of touched) this.updateClearance(index)
+  }
+
+  computeBounds(layout, margin) {
+    const bounds = storeBounds(layout)
+    this.minX = Math.floor((bounds.minX - margin) / this.cellSize) * this.cellSize
+    this.minY = Math.floor((bounds.minY - margin) / this.cellSize) * this.cellSize
+    this.maxX = bounds.maxX + margin
+    this.maxY = bounds.maxY + margin
+  }
+
+  // Mark every cell whose center lies close enough to a wall that a diagonal
+  // step can't slip through it
+  rasterizeWalls(walls) {
+    const mask = new Uint8Array(this.cols * this.rows)
+    const thickness = this.cellSize * 0.75
+
+    for (const wall of walls) {
+      const x1 = wall.start.x
+      const y1 = wall.start.y
+      const x2 = wall.end.x
+      const y2 = wall.end.y
+      const minCol = this.toCol(Math.min(x1, x2) - thickness)
+      const maxCol = this.toCol(Math.max(x1, x2) + thickness)
+      const minRow = this.toRow(Math.min(y1, y2) - thickness)
+      const maxRow = this.toRow(Math.max(y1, y2) + thickness)
+
+      for (let row = Math.max(0, minRow); row <= Math.min(this.rows - 1, maxRow); row++) {
+        for (let col = Math.max(0, minCol); col <= Math.min(this.cols - 1, maxCol); col++) {
+          const center = this.cellCenter(col, row)
+          if (distanceToSegment(center.x, center.y, x1, y1, x2, y2) <= thickness) {
+            mask[row * this.cols + col] = 1
+          }
+        }
+      }
+    }
+    return mask
+  }
+
+  rasterizeFixtures(layout) {
+    const mask = new Uint8Array(this.cols * this.rows)
+    const rects = [
+      ...(layout.products || []),
+      ...(layout.checkouts || []).map(getCheckoutRect)
+    ]
+
+    for (const rect of rects) {
+      for (let row = Math.max(0, this.toRow(rect.y)); row <= Math.min(this.rows - 1, this.toRow(rect.y + rect.height)); row++) {
+        for (let col = Math.max(0, this.toCol(rect.x)); col <= Math.min(this.cols - 1, this.toCol(rect.x + rect.width)); col++) {
+          const center = this.cellCenter(col, row)
+          if (distanceToRect(center.x, center.y, rect) < this.cellSize / 2) {
+            mask[row * this.cols + col] = 1
+          }
+        }
+      }
+    }
+    return mask
+  }
+
+  // Flood fill from the grid border. If the walls enclose a real interior, the
+  // reached cells are outside the store and get blocked; if the walls don't
+  // close (a half-drawn layout) we leave everything open rather than trap agents.
+  findOutside(wallMask) {
+    const mask = new Uint8Array(this.cols * this.rows)
+    const stack = []
+    const seed = (col, row) => {
+      const index = row * this.cols + col
+      if (!wallMask[index] && !mask[index]) {
+        mask[index] = 1
+        stack.push(index)
+      }
+    }
+
+    for (let col = 0; col < this.cols; col++) {
+      seed(col, 0)
+      seed(col, this.rows - 1)
+    }
+    for (let row = 0; row < this.rows; row++) {
+      seed(0, row)
+      seed(this.cols - 1, row)
+    }
+
+    while (stack.length > 0) {
+      const index = stack.pop()
+      const col = index % this.cols
+      const row = (index - col) / this.cols
+      if (col > 0) seed(col - 1, row)
+      if (col < this.cols - 1) seed(col + 1, row)
+      if (row > 0) seed(col, row - 1)
+      if (row < this.rows - 1) seed(col, row + 1)
+    }
+
+    let free = 0
+    let outside = 0
+    for (let i = 0; i < mask.length; i++) {
+      if (!wallMask[i]) {
+        free++
+        if (mask[i]) outside++
+      }
+    }
+
+    const interior = free - outside
+    if (interior < free * 0.1) return new Uint8Array(this.cols * this.rows)
+    return mask
+  }
+
+  toCol(x) {
+    return Math.floor((x - this.minX) / this.cellSize)
+  }
+
+  toRow(y) {
+    return Math.floor((y - this.minY) / this.cellSize)
+  }
+
+  cellCenter(col, row) {
+    return {
+      x: this.minX + (col + 0.5) * this.cellSize,
+      y: this.minY + (row + 0.5) * this.cellSize
+    }
+  }
+
+  forEachCellNear(x, y, radius, callback) {
+    for (let row = Math.max(0, this.toRow(y - radius)); row <= Math.min(this.rows - 1, this.toRow(y + radius)); row++) {
+      for (let col = Math.max(0, this.toCol(x - radius)); col <= Math.min(this.cols - 1, this.toCol(x + radius)); col++) {
+        const center = this.cellCenter(col, row)
+        const dx = center.x - x
+        const dy = center.y - y
+        if (dx * dx + dy * dy <= radius * radius) {
+          callback(row * this.cols + col)
+        }
+      }
+    }
+  }
+
+  isCellWalkable(col, row) {
+    if (col < 0 || row < 0 || col >= this.cols || row >= this.rows) return false
+    return this.blocked[row * this.cols + col] === 0
+  }
+
+  isWalkable(x, y) {
+    return this.isCellWalkable(this.toCol(x), this.toRow(y))
+  }
+
+  // Walkable with at least `clearance` px of room around the cell's center
+  cellFits(col, row, clearance) {
+    if (!this.isCellWalkable(col, row)) return false
+    return clearance === 0 || this.clearance[row * this.cols + col] >= clearance
+  }
+
+  // Temporary obstacles such as a parked cart are marked 2 so they can be lifted
+  // again without touching walls and fixtures. Cells under anyone in `occupied`
+  // stay free so nobody ends up standing inside one. Returns the cells blocked.
+  blockArea(x, y, radius, occupied = []) {
+    const cells = []
+    this.forEachCellNear(x, y, radius, (index) => {
+      if (this.blocked[index] !== 0) return
+      const col = index % this.cols
+      const row = Math.floor(index / this.cols)
+      if (occupied.some(agent => this.toCol(agent.x) === col && this.toRow(agent.y) === row)) return
+      this.blocked[index] = 2
+      cells.push(index)
+    })
+    this.refreshClearance(cells)
+    return cells
+  }
+
+  unblockCells(cells) {
+    for (const index of cells) {
+      if (this.blocked[index] === 2) this.blocked[index] = 0
+    }
+    this.refreshClearance(cells)
+  }
+
+  // Closest point of every blocked cell within radius of (x, y), with its distance;
+  // the crowd model pushes people away from these
+  nearbyObstacles(x, y, radius) {
+    const obstacles = []
+    const reach = radius + this.cellSize // Cells whose edge, not center, is in range
+    this.forEachCellNear(x, y, reach, (index) => {
+      if (this.blocked[index] === 0) return
+      const col = index % this.cols
+      const row = Math.floor(index / this.cols)
+      const left = this.minX + col * this.cellSize
+      const top = this.minY + row * this.cellSize
+      const px = Math.max(left, Math.min(x, left + this.cellSize))
+      const py = Math.max(top, Math.min(y, top + this.cellSize))
+      const distance = Math.hypot(x - px, y - py)
+      if (distance <= radius) obstacles.push({ x: px, y: py, distance })
+    })
+    return obstacles
+  }
+
+  // Closest walkable cell center to a point, searching outward ring by ring
+  nearestWalkable(x, y) {
+    const col = this.toCol(x)
+    const row = this.toRow(y)
+    if (this.isCellWalkable(col, row)) return this.cellCenter(col, row)
+
+    const maxRadius = Math.max(this.cols, this.rows)
+    for (let radius = 1; radius < maxRadius; radius++) {
+      let best = null
+      let bestDist = Infinity
+      for (let r = row - radius; r <= row + radius; r++) {
+        for (let c = col - radius; c <= col + radius; c++) {
+          if (Math.max(Math.abs(r - row), Math.abs(c - col)) !== radius) continue
+          if (!this.isCellWalkable(c, r)) continue
+          const center = this.cellCenter(c, r)
+          const dist = (center.x - x) ** 2 + (center.y - y) ** 2
+          if (dist < bestDist) {
+            bestDist = dist
+            best = center
+          }
+        }
+      }
+      if (best) return best
+    }
+    return null
+  }
+
+  // Walk every cell the segment passes through (grid DDA); true if all are
+  // walkable (with `clearance` px of room). Passing exactly through a cell
+  // corner needs both side cells free.
+  hasClearLine(x1, y1, x2, y2, clearance = 0) {
+    let col = this.toCol(x1)
+    let row = this.toRow(y1)
+    const endCol = this.toCol(x2)
+    const endRow = this.toRow(y2)
+    const dx = x2 - x1
+    const dy = y2 - y1
+    const stepCol = Math.sign(dx)
+    const stepRow = Math.sign(dy)
+    const tDeltaX = dx !== 0 ? this.cellSize / Math.abs(dx) : Infinity
+    const tDeltaY = dy !== 0 ? this.cellSize / Math.abs(dy) : Infinity
+    let tMaxX = dx !== 0
+      ? (this.minX + (col + (stepCol > 0 ? 1 : 0)) * this.cellSize - x1) / dx
+      : Infinity
+    let tMaxY = dy !== 0
+      ? (this.minY + (row + (stepRow > 0 ? 1 : 0)) * this.cellSize - y1) / dy
+      : Infinity
+
+    for (let i = 0; i <= this.cols + this.rows; i++) {
+      if (!this.cellFits(col, row, clearance)) return false
+      // Ending on a cell border (say, a door point on a round coordinate) counts
+      // as reaching the end rather than crossing into the next cell
+      if ((col === endCol && row === endRow) || Math.min(tMaxX, tMaxY) >= 1) return true
+
+      if (tMaxX < tMaxY) {
+        tMaxX += tDeltaX
+        col += stepCol
+      } else if (tMaxY < tMaxX) {
+        tMaxY += tDeltaY
+        row += stepRow
+      } else {
+        if (!this.cellFits(col + stepCol, row, clearance) || !this.cellFits(col, row + stepRow, clearance)) return false
+        tMaxX += tDeltaX
+        tMaxY += tDeltaY
+        col += stepCol
+        row += stepRow
+      }
+    }
+    return true
+  }
+
+  // A* from a point to a goal. The goal is either a point or a rectangle; for a
+  // rectangle (a product section) any walkable cell within `reach` of its edge
+  // counts, so customers stop at whichever side of the shelf is closest.
+  // `clearance` is the room (px) the walker needs either side: the path keeps
+  // to cells with that much room, except right around the start so someone
+  // standing close to a shelf can still step away, and the goal counts from
+  // that much further out.
+  // Returns a smoothed list of waypoints ending at the goal, or null if unreachable.
+  findPath(from, goal, { reach = this.cellSize * 1.5, clearance = 0 } = {}) {
+    const goalRect = goal.width !== undefined
+      ? goal
+      : { x: goal.x, y: goal.y, width: 0, height: 0 }
+
+    const startPoint = this.nearestWalkable(from.x, from.y)
+    if (!startPoint) return null
+    const startCol = this.toCol(startPoint.x)
+    const startRow = this.toRow(startPoint.y)
+    const start = startRow * this.cols + startCol
+
+    const heuristic = (index) => {
+      const col = index % this.cols
+      const row = (index - col) / this.cols
+      const center = this.cellCenter(col, row)
+      return distanceToRect(center.x, center.y, goalRect)
+    }
+    const isGoal = (index) => heuristic(index) <= reach + clearance
+    const escape = clearance + this.cellSize
+    const fits = (col, row) => {
+      if (this.cellFits(col, row, clearance)) return true
+      if (!this.isCellWalkable(col, row)) return false
+      const center = this.cellCenter(col, row)
+      return Math.hypot(center.x - startPoint.x, center.y - startPoint.y) <= escape
+    }
+
+    const gScore = new Float64Array(this.cols * this.rows).fill(Infinity)
+    const cameFrom = new Int32Array(this.cols * this.rows).fill(-1)
+    const closed = new Uint8Array(this.cols * this.rows)
+    const open = new MinHeap()
+
+    gScore[start] = 0
+    open.push(start, heuristic(start))
+
+    let found = -1
+    while (open.size > 0) {
+      const current = open.pop()
+      if (closed[current]) continue
+      closed[current] = 1
+
+      if (isGoal(current)) {
+        found = current
+        break
+      }
+
+      const col = current % this.cols
+      const row = (current - col) / this.cols
+
+      for (let dr = -1; dr <= 1; dr++) {
+        for (let dc = -1; dc <= 1; dc++) {
+          if (dr === 0 && dc === 0) continue
+          const nc = col + dc
+          const nr = row + dr
+          if (!fits(nc, nr)) continue
+          // No cutting corners past a blocked cell
+          if (dr !== 0 && dc !== 0 && (!fits(col + dc, row) || !fits(col, row + dr))) continue
+
+          const neighbor = nr * this.cols + nc
+          if (closed[neighbor]) continue
+          const tentative = gScore[current] + (dr !== 0 && dc !== 0 ? SQRT2 : 1) * this.cellSize
+          if (tentative < gScore[neighbor]) {
+            gScore[neighbor] = tentative
+            cameFrom[neighbor] = current
+            open.push(neighbor, tentative + heuristic(neighbor))
+          }
+        }
+      }
+    }
+
+    if (found === -1) return null
+
+    const cells = []
+    for (let index = found; index !== -1; index = cameFrom[index]) {
+      const col = index % this.cols
+      cells.push(this.cellCenter(col, (index - col) / this.cols))
+    }
+    cells.reverse()
+
+    // A point goal that sits on a walkable cell is used exactly
+    if (goalRect.width === 0 && goalRect.height === 0 && this.isWalkable(goal.x, goal.y)) {
+      cells[cells.length - 1] = { x: goal.x, y: goal.y }
+    }
+
+    return this.smoothPath(from, cells, clearance)
+  }
+
+  // String pulling: drop waypoints that can be skipped with a clear straight line
+  smoothPath(from, cells, clearance = 0) {
+    const path = []
+    let anchor = from
+    let i = 0
+    while (i < cells.length) {
+      let furthest = i
+      for (let j = cells.length - 1; j > i; j--) {
+        if (this.hasClearLine(anchor.x, anchor.y, cells[j].x, cells[j].y, clearance)) {
+          furthest = j
+          break
+        }
+      }
+      path.push(cells[furthest])
+      anchor = cells[furthest]
+      i = furthest + 1
+    }
+    return path
+  }
+}
@@ -0,0 +1,121 @@
+// Customer personas: behavior parameters and population mixes
+
+// speed in m/s, visionRange in m (see units.js), decisionInterval and dwellTime in ms.
+// fieldOfView is the width in degrees of the cone they see ahead of them.
+// familiarity (0-1) is the share who are regulars and know where every section is.
+// crowdAversion (0-1) is how much a crowd at a section puts the customer off;
+// impulseRate (0-1) is how likely they are to wander to sections not on their list.
+// patience (ms): the checkout wait that makes them skip the line, time in a crowd
+// before they walk out, and time spent looking for list items before giving up on them.
+// footprints: share of the persona shopping with each of footprints.js's FOOTPRINTS.
+export const PERSONAS = {
+  quickTrip: {
+    name: 'Quick trip',
+    color: '#e91e63',
+    listSize: [1, 3],
+    speed: [1.4, 1.8],
+    visionRange: 4.5,
+    fieldOfView: 100,
+    familiarity: 0.7,
+    decisionInterval: 1500,
+    dwellTime: 2000,
+    crowdAversion: 0.8,
+    impulseRate: 0.05,
+    footprints: { basket: 0.9, cart: 0.1 },
+    patience: { queue: 60000, crowd: 20000, search: 30000 },
+    prompt: 'You are in a hurry and only want to grab a few things and leave. You take the quickest route and avoid lines and crowds.'
+  },
+  weeklyFamily: {
+    name: 'Weekly family shop',
+    color: '#3f51b5',
+    listSize: [6, 10],
+    speed: [0.9, 1.2],
+    visionRange: 4.5,
+    fieldOfView: 120,
+    familiarity: 0.9,
+    decisionInterval: 2000,
+    dwellTime: 4000,
+    crowdAversion: 0.3,
+    impulseRate: 0.3,
+    footprints: { cart: 0.8, stroller: 0.2 },
+    patience: { queue: 300000, crowd: 90000, search: 90000 },
+    prompt: 'You are doing the big weekly shop for your family with a full list. You are methodical and will put up with some crowds to get everything.'
+  },
+  elderly: {
+    name: 'Elderly / limited mobility',
+    color: '#795548',
+    listSize: [2, 5],
+    speed: [0.55, 0.85],
+    visionRange: 3.4,
+    fieldOfView: 90,
+    familiarity: 0.8,
+    decisionInterval: 2500,
+    dwellTime: 5000,
+    crowdAversion: 0.9,
+    impulseRate: 0.1,
+    footprints: { basket: 0.4, cart: 0.4, wheelchair: 0.2 },
+    patience: { queue: 180000, crowd: 30000, search: 60000 },
+    prompt: 'You walk slowly and find busy aisles stressful. You prefer short distances and quiet sections.'
+  },
+  browser: {
+    name: 'Browser',
+    color: '#009688',
+    listSize: [1, 3],
+    speed: [0.75, 1.05],
+    visionRange: 5.5,
+    fieldOfView: 160,
+    familiarity: 0.2,
+    decisionInterval: 2000,
+    dwellTime: 6000,
+    crowdAversion: 0.2,
+    impulseRate: 0.6,
+    footprints: { basket: 0.6, cart: 0.3, stroller: 0.1 },
+    patience: { queue: 240000, crowd: 120000, search: 120000 },
+    prompt: 'You have plenty of time and enjoy looking around. You often stop at sections that catch your eye even if they are not on your list.'
+  }
+}
+
+// Share of arrivals per persona; shares don't need to sum to 1
+export const PERSONA_MIXES = {
+  balanced: {
+    name: 'Balanced',
+    mix: { quickTrip: 0.3, weeklyFamily: 0.3, elderly: 0.15, browser: 0.25 }
+  },
+  weekdayMorning: {
+    name: 'Weekday morning',
+    mix: { quickTrip: 0.25, weeklyFamily: 0.15, elderly: 0.45, browser: 0.15 }
+  },
+  commuterEvening: {
+    name: 'Commuter evening',
+    mix: { quickTrip: 0.6, weeklyFamily: 0.25, elderly: 0.05, browser: 0.1 }
+  },
+  weekendFamily: {
+    name: 'Weekend family',
+    mix: { quickTrip: 0.15, weeklyFamily: 0.5, elderly: 0.1, browser: 0.25 }
+  }
+}
+
+export const DEFAULT_PERSONA_MIX = 'balanced'
+
+// Accept a preset key or an inline { persona: share } object (e.g. from layout.personaMix)
+export const resolvePersonaMix = (mix) => {
+  if (!mix) return PERSONA_MIXES[DEFAULT_PERSONA_MIX].mix
+  if (typeof mix === 'string') {
+    return (PERSONA_MIXES[mix] || PERSONA_MIXES[DEFAULT_PERSONA_MIX]).mix
+  }
+  return mix
+}
+
+// Weighted draw of a persona key from a mix
+export const pickPersona = (mix, random) => {
+  const entries = Object.entries(mix).filter(([key, share]) => PERSONAS[key] && share > 0)
+  if (entries.length === 0) return 'weeklyFamily'
+
+  const total = entries.reduce((sum, [, share]) => sum + share, 0)
+  let pick = random() * total
+  for (const [key, share] of entries) {
+    pick -= share
+    if (pick <= 0) return key
+  }
+  return entries[entries.length - 1][0]
+}
@@ -0,0 +1,69 @@
+// Seedable pseudo-random number generation for reproducible simulation runs
+
+// Pick a fresh seed when the caller doesn't supply one
+export const generateSeed = () => {
+  return Math.floor(Math.random() * 0xffffffff) >>> 0
+}
+
+// Accept numbers or arbitrary strings ("bug-1234") as seeds
+export const normalizeSeed = (seed) => {
+  if (seed === null || seed === undefined || seed === '') return generateSeed()
+  if (typeof seed === 'number' && Number.isFinite(seed)) return seed >>> 0
+
+  const text = String(seed).trim()
+  if (/^\d+$/.test(text)) return Number(text) >>> 0
+
+  // FNV-1a hash of the string
+  let hash = 0x811c9dc5
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i)
+    hash = Math.imul(hash, 0x01000193)
+  }
+  return hash >>> 0
+}
+
+// Derive an independent child seed, e.g. one per generation or per evaluation
+export const deriveSeed = (seed, ...salts) => {
+  let hash = normalizeSeed(seed)
+  for (const salt of salts) {
+    hash = Math.imul(hash ^ normalizeSeed(salt), 0x9e3779b1)
+    hash ^= hash >>> 16
+  }
+  return hash >>> 0
+}
+
+// Mulberry32 generator. The returned function behaves like Math.random()
+// and carries a few helpers for the common cases in the simulation.
+export const createRandom = (seed) => {
+  let state = normalizeSeed(seed)
+
+  const random = () => {
+    state = (state + 0x6d2b79f5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+
+  // Float in [min, max)
+  random.range = (min, max) => min + random() * (max - min)
+
+  // Integer in [min, max] inclusive
+  random.int = (min, max) => min + Math.floor(random() * (max - min + 1))
+
+  random.pick = (items) => items[Math.floor(random() * items.length)]
+
+  // Fisher-Yates shuffle into a new array (sort(() => random() - 0.5) is biased)
+  random.shuffle = (items) => {
+    const result = [...items]
+    for (let i = result.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1))
+      const temp = result[i]
+      result[i] = result[j]
+      result[j] = temp
+    }
+    return result
+  }
+
+  return random
+}
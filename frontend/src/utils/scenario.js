@@ -0,0 +1,168 @@
+// Scenarios: everything about a study except the layout (how long it runs, who
+// comes in, how they shop and decide, who's working, the seed) as versioned
+// JSON, so every run of a study uses the same settings whoever starts it
+
+import { DEFAULT_PERSONA_MIX } from './personas.js'
+import { DEFAULT_STAFFING } from './staff.js'
+import { DEFAULT_DECISIONS } from './decisionProviders.js'
+
+export const SCENARIO_VERSION = 2
+
+// Every field a scenario has; missing ones are filled in from here
+export const DEFAULT_SCENARIO = {
+  version: SCENARIO_VERSION,
+  name: 'Quick study',
+  seed: null, // null picks a new seed for every run
+  duration: {
+    time: 300, // s; a run ends here at the latest
+    customers: 30 // Finished customers that end the run early; null to always run the full time
+  },
+  arrivals: 'quick', // An ARRIVAL_PROFILES key or definition (see arrivals.js)
+  customers: {
+    mix: DEFAULT_PERSONA_MIX, // A PERSONA_MIXES key or { persona: share }
+    maxInStore: 30,
+    total: 30, // Arrivals over the whole run; null for no limit
+    familiarity: null, // Share of regulars (0-1) for everyone; null for each persona's own
+    fieldOfView: null // Degrees for everyone; null for each persona's own
+  },
+  dwell: {
+    scale: 1, // Multiplies every persona's time at the shelf per item
+    decisionInterval: null // ms between decisions for everyone; null for each persona's own
+  },
+  checkout: {
+    laneChoice: 'shortest', // A LANE_CHOICE_STRATEGIES entry
+    staffing: DEFAULT_STAFFING // A STAFFING_PRESETS key or definition (see staff.js)
+  },
+  decisions: DEFAULT_DECISIONS // A DECISION_PROVIDERS key and its settings (see decisionProviders.js)
+}
+
+// Built-in studies; the quick study is what the optimizer has always scored
+// layouts on
+export const SCENARIO_PRESETS = {
+  quickStudy: DEFAULT_SCENARIO,
+  steadyHour: {
+    name: 'Steady hour',
+    duration: { time: 3600, customers: null },
+    arrivals: 'steady',
+    customers: { maxInStore: 50, total: null }
+  },
+  lunchRush: {
+    name: 'Lunch rush',
+    duration: { time: 4 * 3600, customers: null },
+    arrivals: 'lunchRush',
+    customers: { mix: 'commuterEvening', maxInStore: 80, total: null },
+    checkout: { staffing: 'full' }
+  },
+  weekendFamily: {
+    name: 'Weekend family shop',
+    duration: { time: 3600, customers: null },
+    arrivals: 'poisson',
+    customers: { mix: 'weekendFamily', maxInStore: 60, total: null },
+    dwell: { scale: 1.5 }
+  }
+}
+
+export const DEFAULT_SCENARIO_PRESET = 'quickStudy'
+
+const SECTIONS = ['duration', 'customers', 'dwell', 'checkout', 'decisions']
+
+// Steps that bring a scenario of each version up to the next
+const MIGRATIONS = {
+  // decisions.model was 'ai' (OpenRouter, then Ollama) or 'rules'; it's now
+  // decisions.provider, and model names the provider's LLM
+  1: (scenario) => {
+    if (!scenario.decisions) return scenario
+    const { model, ...decisions } = scenario.decisions
+    return { ...scenario, decisions: { ...decisions, provider: model === 'rules' ? 'rules' : 'auto' } }
+  }
+}
+
+// Bring an older scenario up to SCENARIO_VERSION
+const migrate = (scenario) => {
+  const version = scenario.version ?? SCENARIO_VERSION
+  if (version > SCENARIO_VERSION) {
+    throw new Error(`Scenario version ${version} is newer than this app understands (${SCENARIO_VERSION})`)
+  }
+  if (version < 1) throw new Error(`Scenario version ${version} doesn't exist; the first is 1`)
+  let migrated = scenario
+  for (let from = version; from < SCENARIO_VERSION; from++) {
+    migrated = MIGRATIONS[from](migrated)
+  }
+  return { ...migrated, version: SCENARIO_VERSION }
+}
+
+// A full, current-version scenario from a preset key, a (partial) scenario
+// object or nothing (the default)
+export const resolveScenario = (input) => {
+  if (!input) return DEFAULT_SCENARIO
+  if (typeof input === 'string') {
+    return resolveScenario(SCENARIO_PRESETS[input] || SCENARIO_PRESETS[DEFAULT_SCENARIO_PRESET])
+  }
+
+  const scenario = migrate(input)
+  const resolved = { ...DEFAULT_SCENARIO, ...scenario }
+  for (const section of SECTIONS) {
+    resolved[section] = { ...DEFAULT_SCENARIO[section], ...scenario[section] }
+  }
+  return resolved
+}
+
+// Read a scenario file; throws with a readable message when it isn't one
+export const parseScenario = (text) => {
+  let data
+  try {
+    data = JSON.parse(text)
+  } catch {
+    throw new Error('Not a JSON file')
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('Not a scenario')
+  }
+  if (data.version !== undefined && !Number.isInteger(data.version)) {
+    throw new Error('Scenario version must be a whole number')
+  }
+  return resolveScenario(data)
+}
+
+// Layouts saved before scenarios could carry arrivals, a persona mix and
+// staffing of their own; they become the layout's scenario
+export const layoutScenario = (layout) => {
+  if (layout.scenario) return resolveScenario(layout.scenario)
+  if (!layout.arrivals && !layout.personaMix && !layout.staffing) return null
+  const base = resolveScenario(null)
+  return resolveScenario({
+    ...base,
+    name: 'Layout settings',
+    arrivals: layout.arrivals || base.arrivals,
+    customers: { ...base.customers, mix: layout.personaMix || base.customers.mix },
+    checkout: { ...base.checkout, staffing: layout.staffing || base.checkout.staffing }
+  })
+}
+
+// SimulationEngine options for a scenario (see simulationEngine.js)
+export const scenarioEngineOptions = (input) => {
+  const scenario = resolveScenario(input)
+  return {
+    seed: scenario.seed ?? undefined,
+    arrivals: scenario.arrivals,
+    personaMix: scenario.customers.mix,
+    maxCustomers: scenario.customers.maxInStore,
+    totalCustomers: scenario.customers.total ?? Infinity,
+    familiarity: scenario.customers.familiarity,
+    fieldOfView: scenario.customers.fieldOfView,
+    dwellScale: scenario.dwell.scale,
+    decisionInterval: scenario.dwell.decisionInterval,
+    laneChoice: scenario.checkout.laneChoice,
+    staffing: scenario.checkout.staffing,
+    decisions: scenario.decisions
+  }
+}
+
+// The runUntil limits that end a run of the scenario
+export const scenarioRunLimits = (input) => {
+  const { duration } = resolveScenario(input)
+  return {
+    time: duration.time * 1000,
+    completedCustomers: duration.customers ?? Infinity
+  }
+}
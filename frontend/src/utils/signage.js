@@ -0,0 +1,79 @@
+// Wayfinding signs: aisle signs and hanging category markers that tell
+// customers where sections are before they can see them
+
+import { inViewCone } from './vision.js'
+
+export const DEFAULT_SIGN_RANGE = 4.5 // m a sign can be read from
+export const READABLE_ANGLE = 150 // degrees in front of a one-sided sign it can be read from
+
+// Compass names the editor offers for which way a sign faces, in degrees
+// (canvas angles: 0 is right, 90 is down); null is a two-sided hanging marker
+export const SIGN_FACINGS = {
+  up: 270,
+  down: 90,
+  left: 180,
+  right: 0,
+  both: null
+}
+
+// layout.signs: [{ x, y, facing, sections, range }] where facing is in degrees
+// (or null for two-sided), sections the section labels it advertises and range
+// how far away it can be read in px (DEFAULT_SIGN_RANGE at the layout's scale,
+// pixelsPerMetre, when not set). Walls and tall shelving hide a sign the same
+// way they hide a section (see vision.js).
+export class Signage {
+  constructor(signs, sightlines, sectionLabels = [], pixelsPerMetre = 1) {
+    this.sightlines = sightlines
+    const known = new Set(sectionLabels)
+    this.signs = (signs || []).map((sign, index) => ({
+      index,
+      x: sign.x,
+      y: sign.y,
+      facing: sign.facing ?? null,
+      range: sign.range || DEFAULT_SIGN_RANGE * pixelsPerMetre,
+      sections: (sign.sections || []).filter(label => known.has(label)), // Signs for sections that aren't in the layout say nothing
+      readers: 0, // Customers who read it
+      guidedPickups: 0 // Pickups by its readers at a section it advertises
+    }))
+  }
+
+  // Close enough, in the customer's view cone, in front of a one-sided sign,
+  // and nothing in between
+  canRead(customer, sign) {
+    const dx = sign.x - customer.x
+    const dy = sign.y - customer.y
+    if (Math.hypot(dx, dy) > sign.range) return false
+    if (!inViewCone(customer.heading, customer.fieldOfView, dx, dy)) return false
+    if (sign.facing !== null && !inViewCone(sign.facing * Math.PI / 180, READABLE_ANGLE, -dx, -dy)) return false
+    return this.sightlines.isClear(customer.x, customer.y, sign.x, sign.y)
+  }
+
+  // Read every sign in sight the customer hasn't read yet; the sections they
+  // advertise go into customer.signposted. Returns the signs just read.
+  read(customer) {
+    const read = []
+    for (const sign of this.signs) {
+      if (customer.signsRead.includes(sign.index) || !this.canRead(customer, sign)) continue
+      customer.signsRead.push(sign.index)
+      sign.readers++
+      for (const label of sign.sections) {
+        if (!customer.signposted.includes(label)) customer.signposted.push(label)
+      }
+      read.push(sign)
+    }
+    return read
+  }
+
+  // Credit every sign the customer read that advertises the section they
+  // picked up at
+  recordPickup(customer, sectionLabel) {
+    for (const index of customer.signsRead) {
+      const sign = this.signs[index]
+      if (sign.sections.includes(sectionLabel)) sign.guidedPickups++
+    }
+  }
+
+  getMetrics() {
+    return this.signs.map(({ index, sections, readers, guidedPickups }) => ({ index, sections, readers, guidedPickups }))
+  }
+}
@@ -1,96 +1,382 @@
 // Simulation engine for running customer simulations
 
+import { createRandom, deriveSeed, normalizeSeed } from './random.js'
+import { NavGrid, getCheckoutRect, distanceToRect } from './navigation.js'
+import { resolveScale, pixelsPerMetre } from './units.js'
+import { CheckoutLanes } from './checkoutLanes.js'
+import { ArrivalProcess, resolveArrivalConfig, formatClockTime, clockHourAt } from './arrivals.js'
+import { PERSONAS, resolvePersonaMix, pickPersona } from './personas.js'
+import { ProductCatalog } from './catalog.js'
+import { ExposureTracker } from './exposure.js'
+import { SocialForceModel } from './crowdDynamics.js'
+import { SpatialHash, CONGESTION_GRID_SIZE } from './spatialHash.js'
+import { TraceRecorder } from './traceRecorder.js'
+import { HeatMap, DEFAULT_HEAT_MAP_CELL_SIZE } from './heatMap.js'
+import { CustomerRecords, summarizeCustomerRecords } from './customerRecords.js'
+import { AbandonmentTracker, CROWD_COUNT, CROWD_RADIUS, RENEGE_FACTOR } from './abandonment.js'
+import { StockLevels } from './stock.js'
+import { StaffTeam, resolveStaffing, HELP_TIME } from './staff.js'
+import { EvacuationTracker } from './evacuation.js'
+import { FOOTPRINTS, pickFootprint } from './footprints.js'
+import { Sightlines, DEFAULT_FIELD_OF_VIEW, updateHeading } from './vision.js'
+import { Signage } from './signage.js'
+import { rememberSection, recallStoreMap, storeFrame, describeLocation, explorationSpots, lookOverSpots } from './spatialMemory.js'
+import { resolveScenario, scenarioEngineOptions, scenarioRunLimits } from './scenario.js'
+import { resolveDecisionSettings, asksForDecisions } from './decisionProviders.js'
+
+// Distances in m, converted with the layout's scale (see units.js)
+const WAYPOINT_REACH = 0.6 // From a corner waypoint at which walkers cut to the next one
+const WAYPOINT_PASSED = 0.15 // From a waypoint that counts as on it
+const TARGET_REACH = 0.3 // Between a target and the edge of a footprint that counts as there
+const NAV_CELL_SIZE = 0.3048 // A foot, the grid paths are planned on
+const NAV_MARGIN = 1.2 // Grid beyond the store's bounds
+const NAV_MAX_CLEARANCE = 0.9 // Room beyond this isn't measured (no footprint needs it)
+
+// A section the customer sees right now, not one known from staff, signs or memory
+const isInSight = (section) => !section.directed && !section.signed && !section.remembered
+
 export class SimulationEngine {
-  constructor(layout, onUpdate, apiKey = null) {
+  constructor(layout, onUpdate, apiKey = null, options = {}) {
+    // A scenario (preset key or definition, see scenario.js) supplies every
+    // option not given explicitly, and where runUntil() stops by default
+    this.scenario = options.scenario ? resolveScenario(options.scenario) : null
+    if (this.scenario) {
+      const explicit = Object.entries(options).filter(([key, value]) => key !== 'scenario' && value !== undefined)
+      options = { ...scenarioEngineOptions(this.scenario), ...Object.fromEntries(explicit) }
+    }
+    this.runLimits = this.scenario ? scenarioRunLimits(this.scenario) : null
+
     this.layout = layout
     this.onUpdate = onUpdate
     this.apiKey = apiKey
+    // The layout is in px; scale says how many make a metre (or foot), and every
+    // size, speed and range below is converted with it
+    this.scale = resolveScale(layout)
+    this.pixelsPerMetre = pixelsPerMetre(this.scale)
+    // Every random choice goes through this.random so a run can be replayed from its seed
+    this.seed = normalizeSeed(options.seed)
+    this.random = createRandom(this.seed)
+    this.nextCustomerId = 1
     this.customers = []
     this.time = 0
-    this.lastSpawnTime = 0
-    this.spawnInterval = 5000 // 5 seconds
-    this.maxCustomers = 50
+    // Arrival process: a profile key or definition from the options or the layout;
+    // a bare spawnInterval means one customer every interval ms
+    this.arrivalConfig = resolveArrivalConfig(
+      options.arrivals ||
+      layout.arrivals ||
+      (options.spawnInterval ? { type: 'fixed', interval: options.spawnInterval } : null)
+    )
+    // Arrivals get their own random stream so they stay identical when
+    // behavior (and so the number of other draws) changes between layouts
+    this.arrivals = new ArrivalProcess(this.arrivalConfig, createRandom(deriveSeed(this.seed, 'arrivals')))
+    this.nextGroupId = 1
+    // Who shows up: persona, list and walking speed come from their own stream
+    // too, so every layout sees the same population
+    this.personaMix = resolvePersonaMix(options.personaMix || layout.personaMix)
+    this.populationRandom = createRandom(deriveSeed(this.seed, 'population'))
+    // Shopping lists are catalog items; the catalog knows which sections stock them
+    this.catalog = new ProductCatalog(options.catalog || layout.catalog, layout.products)
+    this.exposure = this.createExposureTracker()
+    this.maxCustomers = options.maxCustomers ?? 50 // In the store at once
+    this.totalCustomerLimit = options.totalCustomers ?? Infinity // Over the whole run
+    // Who answers customers' decisions: a provider and its model, endpoint,
+    // temperature and timeout (see decisionProviders.js); useAI: false is the
+    // older way to ask for rules only
+    this.decisions = resolveDecisionSettings(options.decisions ?? (options.useAI === false ? { provider: 'rules' } : null))
+    this.decisionCache = new Map() // Provider answers for this run only (see aiCustomer.js)
     this.frameRate = 10 // 10 FPS
-    this.frameTime = 1000 / this.frameRate
-    this.isRunning = false
-    this.animationFrame = null
-    this.lastFrameTime = Date.now()
-    this.speedMultiplier = 1
-
-    // Metrics
-    this.metrics = {
+    this.frameTime = 1000 / this.frameRate // Fixed simulation timestep
+    this.accumulator = 0
+
+    // Walkable grid from walls, sections and checkouts; doors are the only way through walls
+    this.navGrid = new NavGrid(layout, {
+      cellSize: NAV_CELL_SIZE * this.pixelsPerMetre,
+      margin: NAV_MARGIN * this.pixelsPerMetre,
+      maxClearance: NAV_MAX_CLEARANCE * this.pixelsPerMetre,
+      openings: this.getDoorPositions()
+    })
+    this.crowd = new SocialForceModel(this.navGrid, { ...options.crowd, pixelsPerMetre: this.pixelsPerMetre })
+    // What customers can see: walls and tall sections block sightlines, and a
+    // fieldOfView option (degrees) overrides every persona's view cone
+    this.sightlines = new Sightlines(layout)
+    this.fieldOfView = options.fieldOfView ?? null
+    // Wayfinding signs tell customers about sections they can't see yet
+    this.signage = new Signage(layout.signs, this.sightlines, layout.products.map(product => product.label), this.pixelsPerMetre)
+    // Customers remember the sections they've seen. Regulars know the whole
+    // store on arrival: a familiarity option (0-1) overrides every persona's
+    // share of regulars, drawn from its own stream so the population stays put.
+    this.familiarity = options.familiarity ?? null
+    this.memoryRandom = createRandom(deriveSeed(this.seed, 'memory'))
+    // Shelf time and decision pace: dwellScale multiplies every persona's time
+    // per item, a decisionInterval (ms) replaces every persona's
+    this.dwellScale = options.dwellScale ?? 1
+    this.decisionInterval = options.decisionInterval ?? null
+    this.storeFrame = storeFrame(this.navGrid, this.getDoorPositions()[0] || { x: 0, y: 0 })
+    this.explorationSpots = explorationSpots(this.navGrid, this.pixelsPerMetre) // Where newcomers go to look around
+
+    // Customers bucketed by position, rebuilt every tick and shared by the crowd
+    // model, crowd counts and the congestion map. spatialIndex: false falls back
+    // to scanning everyone (kept for the benchmark).
+    this.useSpatialIndex = options.spatialIndex !== false
+    this.congestionGridSize = CONGESTION_GRID_SIZE * this.pixelsPerMetre
+    this.spatialIndex = new SpatialHash(this.congestionGridSize)
+
+    // Checkout lanes with FIFO queues; laneChoice is 'shortest', 'nearest' or 'random'
+    this.checkoutOptions = {
+      laneChoice: options.laneChoice,
+      serviceTime: options.serviceTime,
+      pixelsPerMetre: this.pixelsPerMetre
+    }
+    this.checkoutLanes = new CheckoutLanes(layout.checkouts, this.navGrid, this.random, this.checkoutOptions)
+
+    // Staff and shelf stock: a preset key or definition (see staff.js). Without
+    // staff every lane stays open and the shelves never run out.
+    this.staffing = resolveStaffing(options.staffing || layout.staffing)
+    this.stock = this.createStock()
+    this.staff = this.createStaff()
+
+    // Metrics; heat maps accumulate over the whole run on their own grid (cells in m)
+    this.heatMapCellSize = options.heatMapCellSize || DEFAULT_HEAT_MAP_CELL_SIZE
+    this.metrics = this.createMetrics()
+    this.customerRecords = new CustomerRecords(this.pixelsPerMetre) // One row per customer: time, distance, waits, items
+    this.abandonment = new AbandonmentTracker(this.catalog) // Walk-outs, given-up items, lost sales
+
+    // Evacuation drill: at evacuateAt ms the alarm goes off and everyone heads
+    // for the nearest exit they can reach (startEvacuation also sounds it)
+    this.evacuateAt = options.evacuateAt ?? null
+    this.evacuation = null
+
+    // Trajectory recording for replay
+    this.recording = Boolean(options.record)
+    this.trace = this.createTrace()
+  }
+
+  // Impulse buys draw from their own stream so they don't shift anyone's route
+  createExposureTracker() {
+    return new ExposureTracker(
+      this.layout.products,
+      this.catalog,
+      createRandom(deriveSeed(this.seed, 'impulse')),
+      {
+        onImpulse: (customer, item, section) => {
+          if (this.stock) this.stock.take(section, 1, this.time)
+          this.recordEvent('impulse', customer, { item: item.name, section, price: item.price })
+        },
+        inStock: (section) => !this.stock || this.stock.available(section) > 0,
+        pixelsPerMetre: this.pixelsPerMetre
+      }
+    )
+  }
+
+  createStock() {
+    return this.staffing.disabled ? null : new StockLevels(this.layout.products)
+  }
+
+  // Staff draw patrol routes from their own stream so shoppers see the same
+  // store whoever is working
+  createStaff() {
+    if (this.staffing.disabled) return null
+    return new StaffTeam(this.staffing, {
+      navGrid: this.navGrid,
+      checkoutLanes: this.checkoutLanes,
+      stock: this.stock,
+      sections: this.layout.products,
+      home: this.getStaffDoor(),
+      random: createRandom(deriveSeed(this.seed, 'staff')),
+      startHour: clockHourAt(this.arrivalConfig, 0),
+      pixelsPerMetre: this.pixelsPerMetre,
+      onEvent: (type, member, details) => {
+        if (type === 'evacuated') this.evacuation.recordExit(member, this.time)
+        this.recordEvent(type, member, details)
+      }
+    })
+  }
+
+  // options.record keeps a trace of every tick for replay (see traceRecorder.js)
+  createTrace() {
+    if (!this.recording) return null
+    return new TraceRecorder({
+      layout: this.layout,
+      seed: this.seed,
+      settings: {
+        arrivals: this.arrivalConfig,
+        personaMix: this.personaMix,
+        laneChoice: this.checkoutLanes.laneChoice,
+        staffing: this.staffing,
+        evacuateAt: this.evacuateAt,
+        decisions: this.decisions,
+        scenario: this.scenario
+      },
+      frameTime: this.frameTime
+    })
+  }
+
+  // `customer` may also be a staff member (ids 'staff-1', ...)
+  recordEvent(type, customer, details) {
+    if (this.trace) this.trace.recordEvent(this.time, type, customer.id, details)
+  }
+
+  // The recorded trace as plain JSON, with the run's metrics so far
+  getTrace() {
+    if (!this.trace) return null
+    const { congestionData, ...summary } = this.getMetrics()
+    return this.trace.toJSON(summary)
+  }
+
+  createMetrics() {
+    const byPersona = {}
+    for (const key of Object.keys(PERSONAS)) {
+      byPersona[key] = {
+        totalCustomers: 0,
+        completedCustomers: 0,
+        avgShoppingTime: 0,
+        totalBasketValue: 0,
+        congestionData: new Map(),
+        heatMap: new HeatMap(this.heatMapCellSize * this.pixelsPerMetre)
+      }
+    }
+
+    return {
       totalCustomers: 0,
       completedCustomers: 0,
+      turnedAway: 0, // Arrivals while the store was at maxCustomers
+      peakOccupancy: 0, // Most customers and staff in the store at once
       avgShoppingTime: 0,
-      congestionData: new Map(), // Map of grid cells to customer counts
-      bottleneckLocations: []
+      totalBasketValue: 0, // Dollars spent by customers who have left
+      congestionData: new Map(), // Grid cell -> customers there right now
+      heatMap: new HeatMap(this.heatMapCellSize * this.pixelsPerMetre), // Occupancy, dwell and speed loss so far
+      decisionsBy: {}, // Decisions per provider that answered; 'rules' for the rule-based ones
+      byPersona
     }
   }
 
-  start() {
-    this.isRunning = true
+  // Return the engine to time 0 with the same seed, so the next run replays exactly
+  reset() {
     this.time = 0
+    this.accumulator = 0
+    this.arrivals = new ArrivalProcess(this.arrivalConfig, createRandom(deriveSeed(this.seed, 'arrivals')))
+    this.nextGroupId = 1
+    this.populationRandom = createRandom(deriveSeed(this.seed, 'population'))
     this.customers = []
-    this.metrics = {
-      totalCustomers: 0,
-      completedCustomers: 0,
-      avgShoppingTime: 0,
-      congestionData: new Map(),
-      bottleneckLocations: []
-    }
-    this.run()
+    this.random = createRandom(this.seed)
+    this.decisionCache = new Map()
+    this.checkoutLanes = new CheckoutLanes(this.layout.checkouts, this.navGrid, this.random, this.checkoutOptions)
+    if (this.staff) this.staff.clearCarts()
+    this.stock = this.createStock()
+    this.staff = this.createStaff()
+    this.nextCustomerId = 1
+    this.metrics = this.createMetrics()
+    this.customerRecords = new CustomerRecords(this.pixelsPerMetre)
+    this.abandonment = new AbandonmentTracker(this.catalog)
+    this.exposure = this.createExposureTracker()
+    this.evacuation = null
+    this.trace = this.createTrace()
   }
 
-  pause() {
-    this.isRunning = false
-    if (this.animationFrame) {
-      cancelAnimationFrame(this.animationFrame)
+  // Advance the simulation by dtMs of simulated time. Time is consumed in fixed
+  // frameTime ticks; any remainder carries over to the next call, so the result
+  // doesn't depend on how callers slice time. Returns the number of ticks run.
+  async step(dtMs = this.frameTime) {
+    this.accumulator += dtMs
+    let ticks = 0
+
+    while (this.accumulator >= this.frameTime) {
+      this.accumulator -= this.frameTime
+      await this.tick()
+      ticks++
     }
-  }
 
-  stop() {
-    this.pause()
-    this.customers = []
-    this.time = 0
+    if (ticks > 0 && this.onUpdate) {
+      this.onUpdate(this.getSnapshot())
+    }
+    return ticks
   }
 
-  setSpeed(multiplier) {
-    this.speedMultiplier = multiplier
+  // Run fixed ticks as fast as possible until simulated time reaches `time` (ms)
+  // or `completedCustomers` have exited, whichever comes first. Without limits
+  // it runs to the end of the scenario.
+  async runUntil(limits = this.runLimits || {}) {
+    const { time = Infinity, completedCustomers = Infinity } = limits
+    if (time === Infinity && completedCustomers === Infinity) {
+      throw new Error('runUntil needs a time or completedCustomers limit')
+    }
+
+    while (this.time < time && this.metrics.completedCustomers < completedCustomers) {
+      await this.tick()
+    }
+
+    if (this.onUpdate) {
+      this.onUpdate(this.getSnapshot())
+    }
+    return this.getMetrics()
   }
 
-  run() {
-    if (!this.isRunning) return
+  // Whether the scenario's run is over (never, without a scenario)
+  isFinished() {
+    if (!this.runLimits) return false
+    return this.time >= this.runLimits.time || this.metrics.completedCustomers >= this.runLimits.completedCustomers
+  }
 
-    const now = Date.now()
-    const deltaTime = (now - this.lastFrameTime) * this.speedMultiplier
-    this.lastFrameTime = now
+  async tick() {
+    const deltaTime = this.frameTime
 
     // Update simulation time
     this.time += deltaTime
 
-    // Spawn new customers
-    if (this.time - this.lastSpawnTime >= this.spawnInterval &&
-      this.customers.length < this.maxCustomers) {
-      this.spawnCustomer()
-      this.lastSpawnTime = this.time
+    // Evacuation drill alarm
+    if (!this.evacuation && this.evacuateAt !== null && this.time >= this.evacuateAt) {
+      this.startEvacuation()
     }
 
-    // Update customers
-    this.updateCustomers(deltaTime)
-
-    // Update congestion map
-    this.updateCongestionMap()
+    // Spawn new customers; nobody comes in once the alarm has gone off
+    if (!this.evacuation) {
+      for (const groupSize of this.arrivals.due(this.time)) {
+        this.spawnGroup(groupSize)
+      }
+    }
 
-    // Call update callback
-    if (this.onUpdate) {
-      this.onUpdate({
-        customers: [...this.customers],
-        time: this.time,
-        metrics: this.getMetrics()
-      })
+    // Staff come on and off shift, restock and walk the floor
+    if (this.staff) {
+      this.staff.update(this.time, deltaTime, clockHourAt(this.arrivalConfig, this.time), this.customers)
     }
+    const occupancy = this.customers.length + (this.staff ? this.staff.onFloor().length : 0)
+    this.metrics.peakOccupancy = Math.max(this.metrics.peakOccupancy, occupancy)
+
+    // Index positions for this tick's neighbor queries
+    this.spatialIndex.rebuild(this.customers)
+
+    // Update customers, waiting for every decision before anyone moves on
+    await this.updateCustomers(deltaTime)
+
+    // Serve the front of each checkout line and move the rest up
+    this.updateCheckoutQueues(deltaTime)
 
-    this.animationFrame = requestAnimationFrame(() => this.run())
+    // Run out of patience: give up on items, leave the line or the store
+    this.updatePatience(deltaTime)
+
+    // Who passed which sections, and whether it made them buy something
+    this.exposure.update(this.customers, deltaTime)
+    this.customerRecords.update(this.customers, deltaTime)
+
+    // Re-index where everyone ended up and update the congestion and heat maps
+    this.spatialIndex.rebuild(this.customers)
+    this.updateCongestionMap(deltaTime)
+
+    if (this.trace) this.trace.recordFrame(this.time, this.customers, this.staff?.onFloor(), this.staff?.carts())
+  }
+
+  // filter.persona narrows the metrics and heat map to one persona
+  getSnapshot(filter = {}) {
+    const metrics = this.getMetrics(filter)
+    return {
+      customers: [...this.customers],
+      staff: this.staff ? this.staff.onFloor() : [],
+      carts: this.staff ? this.staff.carts() : [],
+      time: this.time,
+      metrics,
+      congestionMap: metrics.congestionData,
+      congestionGridSize: metrics.congestionGridSize
+    }
   }
 
   // Get position of an entrance from wall data
@@ -123,7 +409,99 @@ export class SimulationEngine {
     }
   }
 
-  spawnCustomer() {
+  getDoorPositions() {
+    const doors = []
+    for (const point of [this.layout.entrance, this.layout.exit]) {
+      if (point) doors.push({ x: point.x, y: point.y })
+    }
+    for (const entrance of this.layout.entrances || []) {
+      const pos = entrance.wallIndex ? this.getEntrancePosition(entrance) : entrance
+      if (pos && pos.x !== undefined) doors.push({ x: pos.x, y: pos.y, length: entrance.length })
+    }
+    for (const exit of this.layout.exits || []) {
+      const pos = exit.wallIndex ? this.getExitPosition(exit) : exit
+      if (pos && pos.x !== undefined) doors.push({ x: pos.x, y: pos.y, length: exit.length })
+    }
+    return doors
+  }
+
+  // Exits an evacuation can use, with their widths: layout.exits, or the single
+  // exit point of older layouts
+  getEvacuationExits() {
+    const exits = (this.layout.exits || [])
+      .map(exit => ({ ...(exit.wallIndex ? this.getExitPosition(exit) : exit), width: exit.length }))
+      .filter(exit => exit.x !== undefined)
+    if (exits.length === 0 && this.layout.exit) {
+      exits.push({ x: this.layout.exit.x, y: this.layout.exit.y })
+    }
+    return exits
+  }
+
+  // Where staff come in and go off shift: layout.staffDoor, or the first door
+  getStaffDoor() {
+    return this.layout.staffDoor || this.getDoorPositions()[0] || { x: 0, y: 0 }
+  }
+
+  // Handle both formats: direct exit point or wall-based exits (closest one wins)
+  getNearestExitPosition(customer) {
+    if (this.layout.exit) {
+      return { x: this.layout.exit.x, y: this.layout.exit.y }
+    }
+
+    let exitPos = null
+    let minDist = Infinity
+    for (const exit of this.layout.exits || []) {
+      const pos = this.getExitPosition(exit)
+      if (pos) {
+        const dx = pos.x - customer.x
+        const dy = pos.y - customer.y
+        const dist = Math.sqrt(dx * dx + dy * dy)
+        if (dist < minDist) {
+          minDist = dist
+          exitPos = pos
+        }
+      }
+    }
+    return exitPos
+  }
+
+  // Plan a route to a target. `goal` is a point or a rectangle (a section or
+  // checkout footprint); the customer stops at the reachable end of the route.
+  // Returns false if the goal can't be reached from where the customer stands.
+  setCustomerTarget(customer, target, targetType, goal) {
+    if (customer.currentTarget === target && customer.targetType === targetType && customer.path) {
+      return true // Already on the way
+    }
+
+    const path = this.findPathFor(customer, goal)
+    if (!path || path.length === 0) return false
+
+    const end = path[path.length - 1]
+    customer.path = path
+    customer.pathIndex = 0
+    customer.goal = goal
+    customer.targetX = end.x
+    customer.targetY = end.y
+    customer.currentTarget = target
+    customer.targetType = targetType
+    return true
+  }
+
+  // People arriving together enter at the same time; whoever doesn't fit under
+  // maxCustomers is turned away at the door
+  spawnGroup(size) {
+    const groupId = this.nextGroupId++
+    for (let i = 0; i < size; i++) {
+      if (this.metrics.totalCustomers >= this.totalCustomerLimit) return
+      if (this.customers.length >= this.maxCustomers) {
+        this.metrics.turnedAway++
+        continue
+      }
+      this.spawnCustomer(size > 1 ? groupId : null)
+    }
+  }
+
+  spawnCustomer(groupId = null) {
     // Handle both formats: direct entrance point or wall-based entrance
     let entrancePos = null
 
@@ -132,7 +510,7 @@ export class SimulationEngine {
       entrancePos = { x: this.layout.entrance.x, y: this.layout.entrance.y }
     } else if (this.layout.entrances && this.layout.entrances.length > 0) {
       // Wall-based format
-      const entrance = this.layout.entrances[Math.floor(Math.random() * this.layout.entrances.length)]
+      const entrance = this.random.pick(this.layout.entrances)
       if (entrance.wallIndex) {
         entrancePos = this.getEntrancePosition(entrance)
       } else {
@@ -143,55 +521,119 @@ export class SimulationEngine {
 
     if (!entrancePos) return
 
-    const shoppingList = this.generateShoppingList()
+    const personaKey = pickPersona(this.personaMix, this.populationRandom)
+    const persona = PERSONAS[personaKey]
+    const shoppingList = this.generateShoppingList(this.populationRandom.int(...persona.listSize))
+    const footprint = pickFootprint(persona.footprints, this.populationRandom)
     const customer = {
-      id: Date.now() + Math.random(),
+      id: this.nextCustomerId++,
+      groupId,
+      persona: personaKey,
       x: entrancePos.x,
       y: entrancePos.y,
       targetX: entrancePos.x,
       targetY: entrancePos.y,
-      speed: 30 + Math.random() * 20, // pixels per second
+      speed: this.populationRandom.range(...persona.speed) * this.pixelsPerMetre, // desired walking speed, px per second
+      footprint, // Basket, cart, stroller or wheelchair (see footprints.js)
+      radius: FOOTPRINTS[footprint].radius * this.pixelsPerMetre, // Room they take up (px); paths only go where it fits
+      vx: 0, // Current velocity from the crowd model
+      vy: 0,
+      steerTarget: null, // Waypoint the crowd model is steering toward
       shoppingList: shoppingList,
       collected: [],
+      givenUp: [], // List items the customer stopped looking for
+      browsed: [], // Off-list sections already looked at
+      basket: [], // Everything picked up: { name, price, section, impulse }
+      exposure: {}, // Per-section exposure passes, keyed by section label
       status: 'shopping', // 'shopping', 'checkout', 'exiting'
-      lastDecisionTime: 0,
-      decisionInterval: 2000, // Make decision every 2 seconds
+      lastDecisionTime: -Infinity, // Take in the store from the entrance right away
+      decisionInterval: this.decisionInterval ?? persona.decisionInterval, // ms between decisions
+      dwellTime: persona.dwellTime * this.dwellScale, // ms spent picking up an item
       currentTarget: null,
-      targetType: null, // 'product', 'checkout', 'exit'
+      targetType: null, // 'product', 'explore', 'checkout', 'exit'
+      lane: null, // Index of the checkout lane the customer is queued in
+      targetLane: null, // Lane the customer is walking to before joining its line
+      queueJoinTime: null,
+      queueWait: 0,
+      path: null, // Waypoints from the nav grid
+      pathIndex: 0,
+      goal: null, // Point or rectangle the path leads to, kept for re-planning
       waitTime: 0,
       spawnTime: this.time,
-      visionRange: 150
+      visionRange: persona.visionRange * this.pixelsPerMetre, // px
+      fieldOfView: this.fieldOfView ?? persona.fieldOfView ?? DEFAULT_FIELD_OF_VIEW, // degrees
+      heading: this.facingIntoStore(entrancePos), // radians; null while looking all around
+      patience: persona.patience, // ms limits for lines, crowds and searching
+      searchTime: 0, // ms looking for list items since the last pickup
+      crowdedTime: 0, // ms spent in a crowd while shopping
+      askedStaff: false, // Asked a floor worker for directions this trip
+      directions: [], // Sections a floor worker pointed the customer to
+      signsRead: [], // Indexes of the signs the customer has read
+      signposted: [], // Sections those signs pointed the customer to
+      memory: {}, // Sections seen (or known as a regular): label -> { x, y, seenAt }
+      explored: [], // Indexes of the exploration spots seen or visited
+      regular: false, // Knew the store before walking in
+      evacuating: false, // Heading out after the alarm
+      abandoned: null // ABANDON_REASONS key once the customer walks out
     }
 
+    recallStoreMap(customer, this.layout.products, this.familiarity ?? persona.familiarity ?? 0, this.memoryRandom)
+    if (customer.regular) customer.explored = this.explorationSpots.map((spot, index) => index) // Nothing new to see
+
     this.customers.push(customer)
+    this.customerRecords.start(customer, this.time)
     this.metrics.totalCustomers++
+    this.metrics.byPersona[personaKey].totalCustomers++
+    if (this.trace) {
+      this.trace.addCustomer(customer)
+      this.recordEvent('arrive', customer)
+    }
+  }
+
+  generateShoppingList(count) {
+    return this.catalog.drawList(count, this.populationRandom)
   }
 
-  generateShoppingList() {
-    const allProducts = this.layout.products.map(p => p.label)
-    const count = 3 + Math.floor(Math.random() * 3) // 3-5 items
-    const shuffled = [...allProducts].sort(() => Math.random() - 0.5)
-    return shuffled.slice(0, count)
+  // List items neither collected nor given up on
+  remainingItems(customer) {
+    return customer.shoppingList.filter(item => !customer.collected.includes(item) && !customer.givenUp.includes(item))
+  }
+
+  // List items the customer still needs that a section stocks (none while its
+  // shelves are empty)
+  neededItemsAt(customer, sectionLabel) {
+    if (this.stock && this.stock.available(sectionLabel) === 0) return []
+    return this.catalog.itemsAt(sectionLabel, this.remainingItems(customer))
   }
 
   async updateCustomers(deltaTime) {
+    const movers = []
+    const deciders = []
     for (const customer of this.customers) {
       // Handle waiting (at product section or checkout)
       if (customer.waitTime > 0) {
         customer.waitTime -= deltaTime
+        customer.vx = 0
+        customer.vy = 0
+        customer.freeSpeed = 0
         continue
       }
 
-      // Make AI decision periodically
-      if (this.time - customer.lastDecisionTime >= customer.decisionInterval) {
-        await this.makeCustomerDecision(customer)
+      // Make AI decision periodically (customers in line, heading out or on the
+      // way to ask staff are done deciding)
+      if (customer.status !== 'exiting' && customer.lane === null && customer.targetType !== 'staff' &&
+        this.time - customer.lastDecisionTime >= customer.decisionInterval) {
+        deciders.push(customer)
         customer.lastDecisionTime = this.time
       }
 
-      // Move toward target
-      this.moveCustomer(customer, deltaTime)
+      movers.push(customer)
+    }
+    await this.makeCustomerDecisions(deciders)
 
-      // Check if reached target
+    // Move everyone toward their targets together, then see who arrived
+    this.moveCustomers(movers, deltaTime)
+    for (const customer of movers) {
       this.checkTargetReached(customer)
     }
 
@@ -199,119 +641,181 @@ export class SimulationEngine {
     this.customers = this.customers.filter(c => c.status !== 'exited')
   }
 
-  async makeCustomerDecision(customer) {
-    // Calculate visible sections
-    const visibleSections = this.getVisibleSections(customer)
+  // Everyone due a decision this step. A provider that takes prompts gets one
+  // per decisions.batchSize of them, all sent at once, and everyone acts on
+  // what they knew at the start of the step. Otherwise each customer looks
+  // around and decides in turn.
+  async makeCustomerDecisions(customers) {
+    const { makeAIDecision, makeBatchDecisions } = await import('./aiCustomer.js')
+    const options = { random: this.random, apiKey: this.apiKey, scale: this.scale, decisions: this.decisions, cache: this.decisionCache }
+
+    if (customers.length > 1 && this.decisions.batchSize > 1 && asksForDecisions(this.decisions.provider)) {
+      const requests = customers.map(customer => this.decisionRequest(customer))
+      const decisions = await makeBatchDecisions(requests, options)
+      customers.forEach((customer, index) => this.applyDecision(customer, decisions[index]))
+      return
+    }
+
+    for (const customer of customers) {
+      const request = this.decisionRequest(customer)
+      const decision = await makeAIDecision(customer, request.visibleSections, request.shoppingList, request.collected, options)
+      this.applyDecision(customer, decision)
+    }
+  }
 
-    // Import AI decision maker
-    const { makeAIDecision } = await import('./aiCustomer.js')
-    const decision = await makeAIDecision(
+  // What the customer knows when deciding, for makeAIDecision. Someone with no
+  // section in sight ahead looks all around before making up their mind.
+  decisionRequest(customer) {
+    lookOverSpots(customer, this.explorationSpots, this.sightlines)
+    let visibleSections = this.lookAround(customer)
+    if (customer.heading !== null && !visibleSections.some(isInSight)) {
+      customer.heading = null
+      visibleSections = this.lookAround(customer)
+    }
+    return {
       customer,
       visibleSections,
-      customer.shoppingList,
-      customer.collected
-    )
+      shoppingList: customer.shoppingList,
+      // Items given up on are as good as collected for deciding what's left to do
+      collected: [...customer.collected, ...customer.givenUp]
+    }
+  }
+
+  // Head for the nearest part of the store the customer hasn't seen yet. With
+  // nothing left to see, they drift toward the checkout area and wait for
+  // their search patience to run out.
+  explore(customer) {
+    const unexplored = this.explorationSpots
+      .map((spot, index) => ({ spot, index, distance: Math.hypot(spot.x - customer.x, spot.y - customer.y) }))
+      .filter(({ index }) => !customer.explored.includes(index))
+      .sort((a, b) => a.distance - b.distance)
+    for (const { spot, index } of unexplored) {
+      if (this.setCustomerTarget(customer, spot, 'explore', spot)) return
+      customer.explored.push(index) // No way there
+    }
+
+    const checkout = this.layout.checkouts[0]
+    if (checkout && this.setCustomerTarget(customer, checkout, 'checkout', getCheckoutRect(checkout))) {
+      customer.targetLane = null
+    }
+  }
+
+  // Read any signs in sight, then see what sections the customer knows about
+  lookAround(customer) {
+    for (const sign of this.signage.read(customer)) {
+      this.recordEvent('readSign', customer, { sign: sign.index, sections: sign.sections })
+    }
+    return this.getVisibleSections(customer)
+  }
+
+  applyDecision(customer, decision) {
+    const decidedBy = decision.decidedBy || 'rules'
+    this.metrics.decisionsBy[decidedBy] = (this.metrics.decisionsBy[decidedBy] || 0) + 1
+
+    this.recordEvent('decide', customer, { decision: decision.type, target: decision.target?.name || null, by: decidedBy })
 
     // Set target based on decision
     if (decision.type === 'product' && decision.target) {
       const product = this.layout.products.find(p => p.label === decision.target.name)
       if (product) {
-        customer.targetX = product.x + product.width / 2
-        customer.targetY = product.y + product.height / 2
-        customer.currentTarget = product
-        customer.targetType = 'product'
+        this.setCustomerTarget(customer, product, 'product', product)
       }
-    } else if (decision.type === 'checkout' && this.layout.checkouts.length > 0) {
-      const checkout = this.layout.checkouts[0] // Use first checkout
-      customer.targetX = checkout.x
-      customer.targetY = checkout.y
-      customer.currentTarget = checkout
-      customer.targetType = 'checkout'
-      customer.status = 'checkout'
-    } else if (decision.type === 'exit') {
-      // Handle both formats: direct exit point or wall-based exit
-      let exitPos = null
-
-      if (this.layout.exit) {
-        // Direct point format
-        exitPos = { x: this.layout.exit.x, y: this.layout.exit.y }
-      } else if (this.layout.exits && this.layout.exits.length > 0) {
-        // Wall-based format - pick closest exit
-        let minDist = Infinity
-        for (const exit of this.layout.exits) {
-          const pos = this.getExitPosition(exit)
-          if (pos) {
-            const dx = pos.x - customer.x
-            const dy = pos.y - customer.y
-            const dist = Math.sqrt(dx * dx + dy * dy)
-            if (dist < minDist) {
-              minDist = dist
-              exitPos = pos
-            }
-          }
+    } else if (decision.type === 'checkout' && this.checkoutLanes.lanes.length > 0) {
+      const hasEverything = this.remainingItems(customer).length === 0
+      if (hasEverything && customer.basket.length === 0) {
+        // Gave up on every item: nothing to pay for
+        this.abandonTrip(customer, 'nothingFound')
+      } else if (hasEverything) {
+        // Pick a lane and walk to the back of its line; the choice is revisited
+        // at each decision until the customer actually joins. A line that looks
+        // longer than the customer will wait makes them leave instead.
+        const lane = this.checkoutLanes.chooseLane(customer, customer.basket.length)
+        if (!lane) {
+          // Every lane closed: nobody to pay
+          this.abandonTrip(customer, 'noCashier')
+          return
         }
+        const slot = this.checkoutLanes.getSlot(lane, lane.queue.length)
+        if (this.checkoutLanes.expectedWait(lane) > customer.patience.queue) {
+          this.abandonTrip(customer, 'balk')
+        } else if (this.setCustomerTarget(customer, slot, 'checkout', slot)) {
+          customer.status = 'checkout'
+          customer.targetLane = lane.index
+        }
+      } else {
+        // Not done yet: go and find the rest
+        this.explore(customer)
       }
-
-      if (exitPos) {
-        customer.targetX = exitPos.x
-        customer.targetY = exitPos.y
-        customer.currentTarget = exitPos
-        customer.targetType = 'exit'
+    } else if (decision.type === 'explore') {
+      this.explore(customer)
+    } else if (decision.type === 'exit') {
+      const exitPos = this.getNearestExitPosition(customer)
+      if (exitPos && this.setCustomerTarget(customer, exitPos, 'exit', exitPos)) {
         customer.status = 'exiting'
       }
     }
   }
 
+  // Sections in the customer's view cone and range, measured to the nearest
+  // part of each they can actually see past walls and tall shelving. Whatever
+  // is in sight goes into their memory.
   getVisibleSections(customer) {
     const visible = []
 
     for (const product of this.layout.products) {
-      const centerX = product.x + product.width / 2
-      const centerY = product.y + product.height / 2
-      const dx = centerX - customer.x
-      const dy = centerY - customer.y
-      const distance = Math.sqrt(dx * dx + dy * dy)
-
-      if (distance <= customer.visionRange) {
-        // Check if line of sight is blocked by walls (simplified)
-        const hasLineOfSight = this.checkLineOfSight(customer.x, customer.y, centerX, centerY)
-
-        if (hasLineOfSight) {
-          const crowdCount = this.countCustomersNear(centerX, centerY, 30)
-          visible.push({
-            name: product.label,
-            distance: distance / 10, // Convert pixels to approximate feet
-            crowdCount: crowdCount
-          })
-        }
+      const distance = this.sightlines.sectionDistance(customer, product, customer.visionRange, customer.fieldOfView)
+      if (distance === null) continue
+      rememberSection(customer, product, this.time)
+
+      const crowdCount = this.countCustomersNear(product.x + product.width / 2, product.y + product.height / 2, CROWD_RADIUS * this.pixelsPerMetre)
+      visible.push({
+        name: product.label,
+        items: this.neededItemsAt(customer, product.label), // Still-needed list items stocked here
+        distance: distance / this.pixelsPerMetre, // m
+        crowdCount: crowdCount
+      })
+    }
+
+    // Sections staff or signs pointed to, and ones the customer remembers,
+    // count as known even out of sight
+    const known = [
+      ...customer.directions.map(label => ({ label, source: { directed: true } })),
+      ...customer.signposted.map(label => ({ label, source: { signed: true } })),
+      ...Object.entries(customer.memory).map(([label, place]) => ({
+        label,
+        source: { remembered: true, where: describeLocation(this.storeFrame, place) }
+      }))
+    ]
+    for (const { label, source } of known) {
+      const product = this.layout.products.find(p => p.label === label)
+      const items = product && !visible.some(section => section.name === label)
+        ? this.neededItemsAt(customer, label)
+        : []
+      if (items.length > 0) {
+        const distance = distanceToRect(customer.x, customer.y, product)
+        visible.push({ name: label, items, distance: distance / this.pixelsPerMetre, crowdCount: 0, ...source })
       }
     }
 
     return visible
   }
 
+  // Walls and tall sections block the view
   checkLineOfSight(x1, y1, x2, y2) {
-    // Simplified line-of-sight check
-    // Check if line intersects any wall
-    for (const wall of this.layout.walls) {
-      if (this.lineIntersectsLine(x1, y1, x2, y2, wall.start.x, wall.start.y, wall.end.x, wall.end.y)) {
-        return false
-      }
-    }
-    return true
+    return this.sightlines.isClear(x1, y1, x2, y2)
   }
 
-  lineIntersectsLine(x1, y1, x2, y2, x3, y3, x4, y4) {
-    const denom = (x1 - x2) * (y3 - y4) - (y1 - y2) * (x3 - x4)
-    if (Math.abs(denom) < 0.001) return false
-
-    const t = ((x1 - x3) * (y3 - y4) - (y1 - y3) * (x3 - x4)) / denom
-    const u = -((x1 - x2) * (y1 - y3) - (y1 - y2) * (x1 - x3)) / denom
-
-    return t >= 0 && t <= 1 && u >= 0 && u <= 1
+  // New arrivals face the middle of the store
+  facingIntoStore(position) {
+    const centerX = (this.navGrid.minX + this.navGrid.maxX) / 2
+    const centerY = (this.navGrid.minY + this.navGrid.maxY) / 2
+    return Math.atan2(centerY - position.y, centerX - position.x)
   }
 
   countCustomersNear(x, y, radius) {
+    if (this.useSpatialIndex) {
+      return this.spatialIndex.countWithin(x, y, radius)
+    }
     return this.customers.filter(c => {
       const dx = c.x - x
       const dy = c.y - y
@@ -319,47 +823,88 @@ export class SimulationEngine {
     }).length
   }
 
-  moveCustomer(customer, deltaTime) {
-    const dx = customer.targetX - customer.x
-    const dy = customer.targetY - customer.y
-    const distance = Math.sqrt(dx * dx + dy * dy)
+  // Pick the waypoint each mover steers toward, then let the crowd model push
+  // everyone along at once
+  moveCustomers(movers, deltaTime) {
+    for (const customer of movers) {
+      customer.steerTarget = this.nextWaypoint(customer)
+      customer.freeSpeed = this.crowd.freeSpeed(customer, deltaTime / 1000)
+    }
 
-    if (distance < 5) {
-      return // Already at target
+    // Staff walk in the same crowd; they aren't in the spatial index, so add
+    // them to everyone's neighbors (there are only a few)
+    const staff = this.staff ? this.staff.onFloor() : []
+    const walkingStaff = this.staff ? this.staff.movers() : []
+    for (const member of walkingStaff) {
+      member.steerTarget = this.nextWaypoint(member)
     }
+    const everyone = staff.length > 0 ? [...this.customers, ...staff] : this.customers
 
-    // Check for nearby customers (collision avoidance)
-    const nearbyCustomers = this.customers.filter(c => {
-      if (c.id === customer.id) return false
-      const dx = c.x - customer.x
-      const dy = c.y - customer.y
-      return Math.sqrt(dx * dx + dy * dy) < 20
-    })
+    // People move a few px per tick at most, so this tick's index still finds
+    // everyone within the crowd model's neighbor radius
+    const neighborsOf = this.useSpatialIndex
+      ? (agent) => {
+        const near = this.spatialIndex.near(agent.x, agent.y, this.crowd.options.neighborRadius)
+        return staff.length > 0 ? near.concat(staff) : near
+      }
+      : () => everyone
+    const blocked = this.crowd.step([...movers, ...walkingStaff], everyone, deltaTime / 1000, neighborsOf)
+    for (const customer of movers) {
+      updateHeading(customer)
+    }
 
-    let speed = customer.speed
-    if (nearbyCustomers.length > 0) {
-      speed *= 0.5 // Slow down near other customers
+    // Pushed into a wall or fixture; re-plan from where we are now
+    for (const customer of blocked) {
+      this.replan(customer)
+    }
+  }
 
-      // Try to move around
-      const angle = Math.atan2(dy, dx)
-      const avoidAngle = angle + (Math.random() - 0.5) * 0.5
-      const moveX = Math.cos(avoidAngle) * speed * (deltaTime / 1000)
-      const moveY = Math.sin(avoidAngle) * speed * (deltaTime / 1000)
+  nextWaypoint(customer) {
+    if (!customer.path) return null
 
-      customer.x += moveX
-      customer.y += moveY
-    } else {
-      // Normal movement
-      const moveX = (dx / distance) * speed * (deltaTime / 1000)
-      const moveY = (dy / distance) * speed * (deltaTime / 1000)
+    // Advance along the path, skipping waypoints we've already reached. Near a
+    // corner, seeing the next waypoint is enough: a crowd all aiming for the
+    // same corner point jams there (it did in evacuation drills).
+    let waypoint = customer.path[customer.pathIndex]
+    while (waypoint && customer.pathIndex < customer.path.length - 1 &&
+      this.passedWaypoint(customer, waypoint, customer.path[customer.pathIndex + 1])) {
+      customer.pathIndex++
+      waypoint = customer.path[customer.pathIndex]
+    }
+    if (!waypoint) return null
 
-      customer.x += moveX
-      customer.y += moveY
+    // Shoved off the planned line so the waypoint is out of sight: find a new way
+    if (!this.navGrid.hasClearLine(customer.x, customer.y, waypoint.x, waypoint.y)) {
+      if (!this.replan(customer)) return null
+      waypoint = customer.path[0]
     }
 
-    // Keep customer in bounds (simple check)
-    customer.x = Math.max(0, Math.min(customer.x, 1200))
-    customer.y = Math.max(0, Math.min(customer.y, 800))
+    return {
+      x: waypoint.x,
+      y: waypoint.y,
+      final: customer.pathIndex === customer.path.length - 1
+    }
+  }
+
+  passedWaypoint(customer, waypoint, next) {
+    const distance = Math.hypot(waypoint.x - customer.x, waypoint.y - customer.y)
+    if (distance < WAYPOINT_PASSED * this.pixelsPerMetre) return true
+    return distance < WAYPOINT_REACH * this.pixelsPerMetre &&
+      this.navGrid.hasClearLine(customer.x, customer.y, next.x, next.y, customer.radius || 0)
+  }
+
+  // A route wide enough for the agent's footprint (staff need no extra room)
+  findPathFor(agent, goal) {
+    return this.navGrid.findPath(agent, goal, { clearance: agent.radius || 0 })
+  }
+
+  replan(customer) {
+    if (!customer.goal) return false
+    const path = this.findPathFor(customer, customer.goal)
+    if (!path || path.length === 0) return false
+    customer.path = path
+    customer.pathIndex = 0
+    return true
   }
 
   checkTargetReached(customer) {
@@ -367,92 +912,384 @@ export class SimulationEngine {
     const dy = customer.targetY - customer.y
     const distance = Math.sqrt(dx * dx + dy * dy)
 
-    if (distance < 15) {
+    // Close enough once the edge of their footprint is within TARGET_REACH
+    if (distance < TARGET_REACH * this.pixelsPerMetre + customer.radius) {
       if (customer.targetType === 'product' && customer.currentTarget) {
-        // Check if this product is on shopping list
+        // Pick up every list item this section stocks, as far as the shelf lasts
         const productName = customer.currentTarget.label
-        if (customer.shoppingList.includes(productName) &&
-          !customer.collected.includes(productName)) {
-          customer.collected.push(productName)
-          customer.waitTime = 3000 // Wait 3 seconds at product
+        const needed = this.neededItemsAt(customer, productName)
+        const picked = this.stock ? needed.slice(0, this.stock.available(productName)) : needed
+        if (this.stock && picked.length === 0 && this.catalog.itemsAt(productName, this.remainingItems(customer)).length > 0) {
+          // Came for something and found the shelf empty
+          this.stock.recordMiss(productName)
+          this.recordEvent('stockout', customer, { section: productName })
+          customer.currentTarget = null
+          customer.targetType = null
+          customer.path = null
+          customer.heading = null
+          customer.lastDecisionTime = -Infinity // Look elsewhere right away
+        } else if (picked.length > 0) {
+          if (this.stock) this.stock.take(productName, picked.length, this.time)
+          customer.collected.push(...picked)
+          customer.searchTime = 0
+          this.exposure.recordPurchase(customer, productName, picked)
+          this.signage.recordPickup(customer, productName)
+          this.recordEvent('pickup', customer, { section: productName, items: picked })
+          customer.waitTime = customer.dwellTime * picked.length
+          customer.heading = null // Looks around while at the shelf
+        } else if (!customer.browsed.includes(productName)) {
+          // Stopped to look at something off the list
+          customer.browsed.push(productName)
+          this.recordEvent('browse', customer, { section: productName })
+          customer.waitTime = customer.dwellTime
+          customer.heading = null
         }
-      } else if (customer.targetType === 'checkout') {
-        if (customer.shoppingList.every(item => customer.collected.includes(item))) {
-          customer.waitTime = 5000 // Wait 5 seconds at checkout
-          customer.status = 'exiting'
-          // Set exit as next target
-          let exitPos = null
-          if (this.layout.exit) {
-            exitPos = { x: this.layout.exit.x, y: this.layout.exit.y }
-          } else if (this.layout.exits && this.layout.exits.length > 0) {
-            // Pick closest exit
-            let minDist = Infinity
-            for (const exit of this.layout.exits) {
-              const pos = this.getExitPosition(exit)
-              if (pos) {
-                const dx = pos.x - customer.x
-                const dy = pos.y - customer.y
-                const dist = Math.sqrt(dx * dx + dy * dy)
-                if (dist < minDist) {
-                  minDist = dist
-                  exitPos = pos
-                }
-              }
-            }
-          }
-          if (exitPos) {
-            customer.targetX = exitPos.x
-            customer.targetY = exitPos.y
-            customer.targetType = 'exit'
-          }
+      } else if (customer.targetType === 'checkout' && customer.targetLane !== null) {
+        // Reached the back of the chosen line; if it closed on the way, choose
+        // again at the next decision
+        const lane = this.checkoutLanes.lanes[customer.targetLane]
+        if (!lane.open) {
+          customer.targetLane = null
+          customer.currentTarget = null
+          customer.path = null
+          customer.lastDecisionTime = -Infinity
+          return
         }
+        this.checkoutLanes.join(customer, lane, this.time)
+        this.recordEvent('queue', customer, { lane: lane.index, position: lane.queue.length - 1 })
+        customer.targetLane = null
+        customer.targetType = 'queue'
+      } else if (customer.targetType === 'checkout') {
+        // At the checkout area with the list unfinished: look back into the store
+        customer.heading = null
+      } else if (customer.targetType === 'explore') {
+        // Had a look here; take it in and decide where next
+        customer.explored.push(this.explorationSpots.indexOf(customer.currentTarget))
+        customer.currentTarget = null
+        customer.targetType = null
+        customer.path = null
+        customer.heading = null
+        customer.lastDecisionTime = -Infinity
+      } else if (customer.targetType === 'staff' && customer.currentTarget) {
+        // Ask where the rest of the list is; staff know which shelves are empty
+        const member = customer.currentTarget
+        customer.directions = [...new Set(this.remainingItems(customer).flatMap(item => this.catalog.sectionsFor(item)))]
+          .filter(label => !this.stock || this.stock.available(label) > 0)
+        this.staff.answer(member)
+        this.recordEvent('askStaff', customer, { staff: member.id, sections: customer.directions })
+        customer.searchTime = 0
+        customer.waitTime = HELP_TIME
+        customer.heading = null // Looks where they're pointed
+        customer.currentTarget = null
+        customer.targetType = null
+        customer.path = null
+        customer.lastDecisionTime = -Infinity // Decide as soon as the answer is in
+      } else if (customer.targetType === 'exit' && customer.evacuating) {
+        // Out of the building; evacuees don't count as finished trips
+        customer.status = 'exited'
+        this.evacuation.recordExit(customer, this.time)
+        this.customerRecords.finish(customer, this.time)
+        this.recordEvent('evacuated', customer, { exit: customer.currentTarget.index })
+      } else if (customer.targetType === 'exit' && customer.abandoned) {
+        // Walked out; the abandonment metrics have them, finished trips don't
+        customer.status = 'exited'
+        this.customerRecords.finish(customer, this.time)
+        this.recordEvent('exit', customer, {
+          shoppingTime: this.time - customer.spawnTime,
+          abandoned: customer.abandoned
+        })
       } else if (customer.targetType === 'exit') {
         customer.status = 'exited'
         const shoppingTime = this.time - customer.spawnTime
-        this.metrics.completedCustomers++
-        const totalTime = this.metrics.avgShoppingTime * (this.metrics.completedCustomers - 1) + shoppingTime
-        this.metrics.avgShoppingTime = totalTime / this.metrics.completedCustomers
+        // Running averages overall and for the customer's persona
+        for (const stats of [this.metrics, this.metrics.byPersona[customer.persona]]) {
+          stats.completedCustomers++
+          const totalTime = stats.avgShoppingTime * (stats.completedCustomers - 1) + shoppingTime
+          stats.avgShoppingTime = totalTime / stats.completedCustomers
+          stats.totalBasketValue += customer.basket.reduce((sum, purchase) => sum + purchase.price, 0)
+        }
+        this.customerRecords.finish(customer, this.time)
+        this.recordEvent('exit', customer, {
+          shoppingTime,
+          basketValue: Math.round(customer.basket.reduce((sum, purchase) => sum + purchase.price, 0) * 100) / 100
+        })
       }
     }
   }
 
-  updateCongestionMap() {
-    this.metrics.congestionData.clear()
-    const gridSize = 50
+  updateCheckoutQueues(deltaTime) {
+    const isAtCounter = (customer, slot) => customer.currentTarget === slot &&
+      Math.hypot(customer.targetX - customer.x, customer.targetY - customer.y) < TARGET_REACH * this.pixelsPerMetre + customer.radius
+
+    const finished = this.checkoutLanes.update(deltaTime, this.time, isAtCounter)
+    for (const customer of finished) {
+      customer.status = 'exiting'
+      this.recordEvent('served', customer, { wait: customer.queueWait })
+      this.customerRecords.served(customer)
+      const exitPos = this.getNearestExitPosition(customer)
+      if (exitPos) {
+        this.setCustomerTarget(customer, exitPos, 'exit', exitPos)
+      }
+    }
 
+    // Everyone still in line steps up to their current place
+    for (const lane of this.checkoutLanes.lanes) {
+      lane.queue.forEach((customer, position) => {
+        const slot = this.checkoutLanes.getSlot(lane, position)
+        if (customer.currentTarget !== slot) {
+          this.setCustomerTarget(customer, slot, 'queue', slot)
+        }
+      })
+    }
+  }
+
+  // Patience runs down while a customer is stuck in a crowd, hunting for list
+  // items without a section in mind, or waiting in line
+  updatePatience(deltaTime) {
     for (const customer of this.customers) {
-      const gridX = Math.floor(customer.x / gridSize)
-      const gridY = Math.floor(customer.y / gridSize)
-      const key = `${gridX},${gridY}`
-      this.metrics.congestionData.set(key, (this.metrics.congestionData.get(key) || 0) + 1)
-    }
-
-    // Find bottlenecks (cells with 3+ customers)
-    this.metrics.bottleneckLocations = []
-    for (const [key, count] of this.metrics.congestionData.entries()) {
-      if (count >= 3) {
-        const [x, y] = key.split(',').map(Number)
-        this.metrics.bottleneckLocations.push({
-          x: x * gridSize + gridSize / 2,
-          y: y * gridSize + gridSize / 2,
-          intensity: count
-        })
+      if (customer.lane !== null) {
+        const lane = this.checkoutLanes.lanes[customer.lane]
+        const waited = this.time - customer.queueJoinTime
+        if (lane.serving !== customer && waited > customer.patience.queue * RENEGE_FACTOR) {
+          this.abandonTrip(customer, 'renege')
+        }
+        continue
+      }
+      if (customer.status !== 'shopping' || customer.waitTime > 0) continue
+
+      // countCustomersNear includes the customer themselves
+      if (this.countCustomersNear(customer.x, customer.y, CROWD_RADIUS * this.pixelsPerMetre) - 1 >= CROWD_COUNT) {
+        customer.crowdedTime += deltaTime
+        if (customer.crowdedTime > customer.patience.crowd) {
+          this.abandonTrip(customer, 'crowd')
+          continue
+        }
+      }
+
+      const headingForItem = customer.targetType === 'product' && customer.currentTarget &&
+        this.neededItemsAt(customer, customer.currentTarget.label).length > 0
+      if (!headingForItem && this.remainingItems(customer).length > 0) {
+        customer.searchTime += deltaTime
+        if (customer.searchTime > customer.patience.search) {
+          this.giveUpSearch(customer)
+        } else if (customer.searchTime > customer.patience.search / 2 && !customer.askedStaff) {
+          this.askForDirections(customer)
+        }
       }
     }
   }
 
-  getMetrics() {
-    const congestionScores = Array.from(this.metrics.congestionData.values())
-    const avgCongestion = congestionScores.length > 0
-      ? congestionScores.reduce((a, b) => a + b, 0) / congestionScores.length
+  // Halfway out of patience, a customer still searching waves over a floor
+  // worker they can see
+  askForDirections(customer) {
+    if (!this.staff) return
+    const member = this.staff.findHelper(customer, (other) => this.checkLineOfSight(customer.x, customer.y, other.x, other.y))
+    if (!member || !this.setCustomerTarget(customer, member, 'staff', { x: member.x, y: member.y })) return
+    customer.askedStaff = true
+    this.staff.callOver(member, customer, this.time)
+  }
+
+  // Stop looking for whatever isn't on a section in sight
+  giveUpSearch(customer) {
+    customer.searchTime = 0
+    const inSight = new Set(this.getVisibleSections(customer).flatMap(section => section.items))
+    const items = this.remainingItems(customer).filter(item => !inSight.has(item))
+    if (items.length === 0) return
+
+    customer.givenUp.push(...items)
+    this.abandonment.recordFailedItems(items)
+    this.recordEvent('giveUp', customer, { items })
+  }
+
+  // Leave without buying: out of line if in one, basket back on the shelves
+  abandonTrip(customer, reason) {
+    if (customer.lane !== null) this.checkoutLanes.leave(customer)
+    this.abandonment.recordAbandonment(reason, customer.basket, this.remainingItems(customer))
+    this.exposure.returnBasket(customer)
+    if (this.stock) {
+      for (const purchase of customer.basket) this.stock.restore(purchase.section, 1, this.time)
+    }
+    customer.basket = []
+    customer.abandoned = reason
+    customer.status = 'exiting'
+    customer.targetLane = null
+    this.recordEvent('abandon', customer, { reason })
+
+    const exitPos = this.getNearestExitPosition(customer)
+    if (exitPos) {
+      this.setCustomerTarget(customer, exitPos, 'exit', exitPos)
+    }
+  }
+
+  // Sound the alarm: nobody else comes in, lines and shelves are left where
+  // they are, and every customer and member of staff heads for the nearest exit
+  // they can reach. Anyone with no way out stays put and is reported trapped.
+  startEvacuation() {
+    if (this.evacuation) return
+    this.evacuation = new EvacuationTracker({
+      alarmTime: this.time,
+      exits: this.getEvacuationExits(),
+      zones: [
+        ...this.layout.products.map(product => ({ name: product.label, rect: product })),
+        ...this.checkoutLanes.lanes.map(lane => ({ name: 'Checkouts', rect: lane.rect }))
+      ],
+      layout: this.layout,
+      peakOccupancy: this.metrics.peakOccupancy,
+      pixelsPerMetre: this.pixelsPerMetre
+    })
+
+    for (const lane of this.checkoutLanes.lanes) {
+      lane.open = false
+      lane.queue = []
+      lane.serving = null
+    }
+
+    for (const customer of this.customers) {
+      const route = this.routeToNearestExit(customer)
+      this.evacuation.addOccupant(customer, route)
+      customer.evacuating = true
+      customer.status = 'exiting'
+      customer.lane = null
+      customer.targetLane = null
+      customer.waitTime = 0
+      customer.path = null
+      customer.steerTarget = null
+      if (route) {
+        this.followRoute(customer, route)
+        customer.currentTarget = route.exit
+        customer.targetType = 'exit'
+      }
+    }
+
+    if (this.staff) {
+      this.staff.evacuate((member) => {
+        const route = this.routeToNearestExit(member)
+        if (route) this.followRoute(member, route)
+        this.evacuation.addOccupant(member, route, { staff: true })
+        return route
+      })
+    }
+  }
+
+  // Nearest exit by walking distance, with the path there; null when none of
+  // them can be reached
+  routeToNearestExit(agent) {
+    let best = null
+    for (const exit of this.evacuation.exits) {
+      const path = this.findPathFor(agent, { x: exit.x, y: exit.y })
+      if (!path || path.length === 0) continue
+      let distance = 0
+      let from = agent
+      for (const point of path) {
+        distance += Math.hypot(point.x - from.x, point.y - from.y)
+        from = point
+      }
+      if (!best || distance < best.distance) best = { index: exit.index, exit, path, distance }
+    }
+    return best
+  }
+
+  followRoute(agent, route) {
+    const end = route.path[route.path.length - 1]
+    agent.path = route.path
+    agent.pathIndex = 0
+    agent.goal = { x: route.exit.x, y: route.exit.y }
+    agent.targetX = end.x
+    agent.targetY = end.y
+  }
+
+  // congestionData is this instant (straight from the spatial index's buckets,
+  // for the live view); the heat maps integrate every tick so congestion and
+  // bottlenecks reflect the whole run
+  updateCongestionMap(deltaTime) {
+    this.metrics.congestionData.clear()
+    const customersByPersona = {}
+    for (const [key, stats] of Object.entries(this.metrics.byPersona)) {
+      stats.congestionData.clear()
+      customersByPersona[key] = []
+    }
+
+    for (const [key, bucket] of this.spatialIndex.cells) {
+      this.metrics.congestionData.set(key, bucket.length)
+      for (const customer of bucket) {
+        const map = this.metrics.byPersona[customer.persona].congestionData
+        map.set(key, (map.get(key) || 0) + 1)
+      }
+    }
+
+    this.metrics.heatMap.update(this.customers, deltaTime)
+    for (const customer of this.customers) {
+      customersByPersona[customer.persona].push(customer)
+    }
+    for (const [key, stats] of Object.entries(this.metrics.byPersona)) {
+      stats.heatMap.update(customersByPersona[key], deltaTime)
+    }
+  }
+
+  // Pass a persona key to get shopping time, congestion and bottlenecks for
+  // that persona only; store-wide figures (queues, arrivals) stay as they are
+  getMetrics({ persona = null } = {}) {
+    const stats = persona ? this.metrics.byPersona[persona] : this.metrics
+    const congestionData = stats.congestionData
+    // People per occupied heat map cell, averaged over the run
+    const avgCongestion = stats.heatMap.averageCrowding()
+    const bottleneckLocations = stats.heatMap.findBottlenecks()
+    const { byPersona, ...totals } = this.metrics
+    const customerSummary = summarizeCustomerRecords(this.getCustomerRecords({ persona }), this.time)
+
+    const checkout = this.checkoutLanes.getMetrics(this.time)
+    const sales = this.exposure.getMetrics()
+    const avgBasketValue = (entry) => entry.completedCustomers > 0
+      ? Math.round(entry.totalBasketValue / entry.completedCustomers * 100) / 100
       : 0
 
     return {
-      ...this.metrics,
+      ...totals,
+      totalCustomers: stats.totalCustomers,
+      completedCustomers: stats.completedCustomers,
+      congestionData,
+      congestionGridSize: this.congestionGridSize, // px
+      heatMap: stats.heatMap.toJSON(),
+      bottleneckLocations,
+      persona,
+      seed: this.seed,
       avgCongestion: Math.round(avgCongestion * 10) / 10,
-      currentCustomers: this.customers.length,
-      bottleneckCount: this.metrics.bottleneckLocations.length,
-      avgShoppingTime: Math.round(this.metrics.avgShoppingTime / 1000) // Convert to seconds
+      currentCustomers: persona
+        ? this.customers.filter(c => c.persona === persona).length
+        : this.customers.length,
+      arrivalRate: Math.round(this.arrivals.rateAt(this.time)), // customers per hour
+      clockTime: formatClockTime(this.arrivalConfig, this.time),
+      bottleneckCount: bottleneckLocations.length,
+      avgShoppingTime: Math.round(stats.avgShoppingTime / 1000), // Convert to seconds
+      personaBreakdown: Object.entries(byPersona).map(([key, entry]) => ({
+        persona: key,
+        totalCustomers: entry.totalCustomers,
+        completedCustomers: entry.completedCustomers,
+        avgShoppingTime: Math.round(entry.avgShoppingTime / 1000),
+        avgBasketValue: avgBasketValue(entry)
+      })),
+      avgQueueWait: Math.round(checkout.avgQueueWait * 10) / 10, // seconds
+      avgQueueLength: Math.round(checkout.avgQueueLength * 10) / 10, // time-averaged, all lanes
+      maxQueueLength: checkout.maxQueueLength,
+      laneUtilization: Math.round(checkout.laneUtilization * 100), // percent busy
+      checkoutLanes: checkout.lanes,
+      avgBasketValue: avgBasketValue(stats), // dollars per completed customer
+      totalRevenue: sales.totalRevenue, // dollars picked up so far, planned and impulse
+      impulseRevenue: sales.impulseRevenue,
+      impulsePurchases: sales.impulsePurchases,
+      sectionSales: sales.sections,
+      signs: this.signage.getMetrics(), // Readers and guided pickups per sign
+      ...this.abandonment.getMetrics(this.metrics.totalCustomers), // Store-wide, over arrivals
+      ...(this.stock ? this.stock.getMetrics(this.time) : {}), // Shelf levels, stockouts, restocks
+      ...(this.staff ? this.staff.getMetrics() : {}), // Who's working, questions answered, cart time
+      evacuation: this.evacuation ? this.evacuation.getReport(this.time) : null,
+      ...customerSummary // Percentiles, throughput, unfinished share, list completion
     }
   }
+
+  // The per-customer table (see customerRecords.js), optionally for one persona
+  getCustomerRecords({ persona = null } = {}) {
+    const rows = this.customerRecords.rows(this.customers, this.time)
+    return persona ? rows.filter(row => row.persona === persona) : rows
+  }
 }
@@ -0,0 +1,62 @@
+// Uniform-grid spatial hash for "who is near this point" queries
+
+export const CONGESTION_GRID_SIZE = 1.5 // m; the engine's buckets, which the live congestion map counts on
+
+export class SpatialHash {
+  constructor(cellSize = 50) {
+    this.cellSize = cellSize
+    this.cells = new Map() // "col,row" -> items in that cell
+  }
+
+  keyFor(x, y) {
+    return `${Math.floor(x / this.cellSize)},${Math.floor(y / this.cellSize)}`
+  }
+
+  // Re-bucket every item by its current x, y; call once per step
+  rebuild(items) {
+    this.cells.clear()
+    for (const item of items) {
+      const key = this.keyFor(item.x, item.y)
+      const bucket = this.cells.get(key)
+      if (bucket) {
+        bucket.push(item)
+      } else {
+        this.cells.set(key, [item])
+      }
+    }
+  }
+
+  // Calls callback for every item in the cells overlapping the circle. Items may
+  // lie a little outside the radius; callers that care check the distance.
+  forEachCandidate(x, y, radius, callback) {
+    const minCol = Math.floor((x - radius) / this.cellSize)
+    const maxCol = Math.floor((x + radius) / this.cellSize)
+    const minRow = Math.floor((y - radius) / this.cellSize)
+    const maxRow = Math.floor((y + radius) / this.cellSize)
+    for (let row = minRow; row <= maxRow; row++) {
+      for (let col = minCol; col <= maxCol; col++) {
+        const bucket = this.cells.get(`${col},${row}`)
+        if (!bucket) continue
+        for (const item of bucket) callback(item)
+      }
+    }
+  }
+
+  // Candidates near a point (see forEachCandidate)
+  near(x, y, radius) {
+    const found = []
+    this.forEachCandidate(x, y, radius, item => found.push(item))
+    return found
+  }
+
+  // Items within radius of a point
+  countWithin(x, y, radius) {
+    let count = 0
+    this.forEachCandidate(x, y, radius, (item) => {
+      const dx = item.x - x
+      const dy = item.y - y
+      if (dx * dx + dy * dy <= radius * radius) count++
+    })
+    return count
+  }
+}
@@ -0,0 +1,87 @@
+// Customer spatial memory: where the sections they've seen are, and which
+// customers know the store before they walk in
+
+const SIDE_THRESHOLD = 0.33 // Share of the half-depth or half-width off center that counts as a side
+const EXPLORE_PATCH = 3 // m; newcomers explore the store one square of this size at a time
+
+// Remember where a section is (its center) and when it was last seen
+export const rememberSection = (customer, section, time) => {
+  customer.memory[section.label] = {
+    x: section.x + section.width / 2,
+    y: section.y + section.height / 2,
+    seenAt: time
+  }
+}
+
+// A regular (a familiarity share of each persona) already knows where every
+// section is; anyone else starts with an empty map and has to explore
+export const recallStoreMap = (customer, sections, familiarity, random) => {
+  customer.regular = random() < familiarity
+  if (!customer.regular) return
+  for (const section of sections) rememberSection(customer, section, null)
+}
+
+// Spots to explore from (px), one per EXPLORE_PATCH square of the store with
+// floor to stand on. A newcomer still looking for something heads for the
+// nearest one they haven't seen yet.
+export const explorationSpots = (navGrid, pixelsPerMetre) => {
+  const size = EXPLORE_PATCH * pixelsPerMetre
+  const spots = []
+  for (let y = navGrid.minY + size / 2; y < navGrid.maxY; y += size) {
+    for (let x = navGrid.minX + size / 2; x < navGrid.maxX; x += size) {
+      const spot = navGrid.nearestWalkable(x, y)
+      if (spot && Math.abs(spot.x - x) <= size / 2 && Math.abs(spot.y - y) <= size / 2) spots.push(spot)
+    }
+  }
+  return spots
+}
+
+// Mark the spots the customer can see from where they stand (within vision
+// range, nothing in the way) as explored
+export const lookOverSpots = (customer, spots, sightlines) => {
+  spots.forEach((spot, index) => {
+    if (customer.explored.includes(index)) return
+    if (Math.hypot(spot.x - customer.x, spot.y - customer.y) > customer.visionRange) return
+    if (sightlines.isClear(customer.x, customer.y, spot.x, spot.y)) customer.explored.push(index)
+  })
+}
+
+// The store as seen from the entrance: the side of the store nearest the
+// entrance is the front, "back" points away from it and "right" is to the
+// right of someone walking in
+export const storeFrame = (bounds, entrance) => {
+  const center = { x: (bounds.minX + bounds.maxX) / 2, y: (bounds.minY + bounds.maxY) / 2 }
+  const sides = [
+    { distance: entrance.x - bounds.minX, back: { x: 1, y: 0 } },
+    { distance: bounds.maxX - entrance.x, back: { x: -1, y: 0 } },
+    { distance: entrance.y - bounds.minY, back: { x: 0, y: 1 } },
+    { distance: bounds.maxY - entrance.y, back: { x: 0, y: -1 } }
+  ]
+  const { back } = sides.reduce((nearest, side) => (side.distance < nearest.distance ? side : nearest))
+  const right = { x: -back.y, y: back.x } // Canvas y points down
+  const width = bounds.maxX - bounds.minX
+  const height = bounds.maxY - bounds.minY
+  return {
+    center,
+    back,
+    right,
+    halfDepth: (back.x !== 0 ? width : height) / 2,
+    halfWidth: (back.x !== 0 ? height : width) / 2
+  }
+}
+
+// Where a point is in the store in words: "toward the back on the left",
+// "near the front", "in the middle"
+export const describeLocation = (frame, point) => {
+  const dx = point.x - frame.center.x
+  const dy = point.y - frame.center.y
+  const depth = (dx * frame.back.x + dy * frame.back.y) / frame.halfDepth
+  const side = (dx * frame.right.x + dy * frame.right.y) / frame.halfWidth
+
+  const depthText = depth > SIDE_THRESHOLD ? 'toward the back' : depth < -SIDE_THRESHOLD ? 'near the front' : null
+  const sideText = side > SIDE_THRESHOLD ? 'the right' : side < -SIDE_THRESHOLD ? 'the left' : null
+  if (depthText && sideText) return `${depthText} on ${sideText}`
+  if (depthText) return depthText
+  if (sideText) return `on ${sideText}`
+  return 'in the middle'
+}
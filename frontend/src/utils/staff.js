@@ -0,0 +1,448 @@
+// Store staff: cashiers who open and close checkout lanes, restockers who refill
+// sections from a cart that takes up aisle space, and floor staff who walk the
+// store and give directions
+
+// Speeds in m/s, like personas
+export const STAFF_ROLES = {
+  cashier: { name: 'Cashier', color: '#d35400', speed: 1.4 },
+  restocker: { name: 'Restocker', color: '#8e44ad', speed: 1.05 },
+  floor: { name: 'Floor staff', color: '#16a085', speed: 1.2 }
+}
+
+// Who works a run. cashiers: 'all', 'half', a number of lanes (from the first)
+// or [{ lane, from, to }]; restockers and floor: a head count or [{ from, to }].
+// Shifts are store-clock hours; without them someone works the whole run.
+export const STAFFING_PRESETS = {
+  none: {
+    name: 'No staff (lanes always open, shelves never empty)',
+    disabled: true
+  },
+  standard: {
+    name: 'Standard (every lane, 1 restocker, 1 on the floor)',
+    cashiers: 'all',
+    restockers: 1,
+    floor: 1
+  },
+  lean: {
+    name: 'Lean (half the lanes, 1 restocker)',
+    cashiers: 'half',
+    restockers: 1,
+    floor: 0
+  },
+  full: {
+    name: 'Full (every lane, 2 restockers, 2 on the floor)',
+    cashiers: 'all',
+    restockers: 2,
+    floor: 2
+  }
+}
+
+// Runs have no staff unless a scenario or layout asks for some
+export const DEFAULT_STAFFING = 'none'
+
+const ARRIVE_DISTANCE = 0.45 // m, as for customers
+const RESTOCK_BASE_TIME = 5000 // ms to set up and break down the cart
+const RESTOCK_TIME_PER_UNIT = 400 // ms per unit put on the shelf
+const CART_RADIUS = 0.3 // m of aisle the parked cart blocks around its center
+const CART_OFFSET = 0.35 // m from the restocker into the aisle
+const CASHIER_OFFSET = 0.35 // m from the counter's back edge to where the cashier stands
+export const HELP_TIME = 5000 // ms to answer a question
+const HELP_TIMEOUT = 20000 // ms a floor worker waits for someone who waved them over
+const PATROL_PAUSE = [3000, 8000] // ms spent at each section on patrol
+
+// Accept a preset key or an inline definition (e.g. from layout.staffing)
+export const resolveStaffing = (config) => {
+  if (!config) return STAFFING_PRESETS[DEFAULT_STAFFING]
+  if (typeof config === 'string') {
+    return STAFFING_PRESETS[config] || STAFFING_PRESETS[DEFAULT_STAFFING]
+  }
+  if (config.preset && STAFFING_PRESETS[config.preset]) {
+    return { ...STAFFING_PRESETS[config.preset], ...config }
+  }
+  return config
+}
+
+const shifts = (entry) => {
+  if (Array.isArray(entry)) return entry
+  return Array.from({ length: entry || 0 }, () => ({}))
+}
+
+// One entry per person: role, shift and (for cashiers) lane
+export const staffRoster = (staffing, laneCount) => {
+  if (staffing.disabled) return []
+
+  let cashiers = staffing.cashiers
+  if (cashiers === 'all') cashiers = laneCount
+  if (cashiers === 'half') cashiers = Math.ceil(laneCount / 2)
+  const cashierShifts = Array.isArray(cashiers)
+    ? cashiers
+    : Array.from({ length: Math.min(cashiers || 0, laneCount) }, (_, lane) => ({ lane }))
+
+  return [
+    ...cashierShifts.filter(shift => shift.lane < laneCount).map(shift => ({ ...shift, role: 'cashier' })),
+    ...shifts(staffing.restockers).map(shift => ({ ...shift, role: 'restocker' })),
+    ...shifts(staffing.floor).map(shift => ({ ...shift, role: 'floor' }))
+  ]
+}
+
+export const isOnShift = (shift, hour) => (shift.from ?? -Infinity) <= hour && hour < (shift.to ?? Infinity)
+
+export class StaffTeam {
+  // Lanes start closed and open when their cashier reaches the counter. `home`
+  // is where staff come in and go off shift; onEvent(type, member, details)
+  // reports what they do. pixelsPerMetre is the layout's scale (see units.js).
+  constructor(staffing, { navGrid, checkoutLanes, stock, sections, home, random, startHour, pixelsPerMetre, onEvent }) {
+    this.navGrid = navGrid
+    this.pixelsPerMetre = pixelsPerMetre
+    this.checkoutLanes = checkoutLanes
+    this.stock = stock
+    this.sections = sections || []
+    this.home = navGrid.nearestWalkable(home.x, home.y) || home // Doors sit in the wall band
+    this.random = random
+    this.onEvent = onEvent || (() => {})
+    this.requests = [] // Section labels waiting for a restocker
+    this.questionsAnswered = 0
+    this.cartTime = 0 // ms of carts parked in aisles
+    this.evacuating = false
+
+    for (const lane of checkoutLanes.lanes) {
+      lane.open = false
+      lane.staffed = false
+    }
+
+    this.members = staffRoster(staffing, checkoutLanes.lanes.length).map((shift, index) => ({
+      id: `staff-${index + 1}`,
+      role: shift.role,
+      lane: shift.role === 'cashier' ? shift.lane : null,
+      from: shift.from,
+      to: shift.to,
+      x: this.home.x,
+      y: this.home.y,
+      vx: 0,
+      vy: 0,
+      speed: STAFF_ROLES[shift.role].speed * pixelsPerMetre,
+      steerTarget: null,
+      path: null,
+      pathIndex: 0,
+      goal: null,
+      targetX: this.home.x,
+      targetY: this.home.y,
+      onFloor: false,
+      offShift: false, // Shift is over; leaving once the current job is done
+      state: 'off',
+      timer: 0,
+      task: null, // Section a restocker is working on
+      cart: null, // Parked cart: { x, y, section, cells }
+      helping: null, // Customer walking over to a floor worker
+      helpSince: 0
+    }))
+
+    // Whoever starts the run on shift is already at work; cashiers at their counters
+    for (const member of this.members) {
+      if (isOnShift(member, startHour)) this.clockIn(member, member.role === 'cashier')
+    }
+  }
+
+  // Everyone in the store right now
+  onFloor() {
+    return this.members.filter(member => member.onFloor)
+  }
+
+  // Staff walking somewhere this tick; the engine moves them with the crowd
+  movers() {
+    return this.members.filter(member => member.onFloor && member.path)
+  }
+
+  carts() {
+    return this.members.filter(member => member.cart).map(member => ({
+      x: member.cart.x,
+      y: member.cart.y,
+      section: member.cart.section
+    }))
+  }
+
+  // Lift every parked cart off the nav grid (before the run starts over)
+  clearCarts() {
+    for (const member of this.members) {
+      if (member.cart) this.navGrid.unblockCells(member.cart.cells)
+      member.cart = null
+    }
+  }
+
+  cashierPost(lane) {
+    const { rect, direction } = lane
+    const reach = Math.abs(direction.x) * rect.width / 2 + Math.abs(direction.y) * rect.height / 2 +
+      CASHIER_OFFSET * this.pixelsPerMetre
+    const x = rect.x + rect.width / 2 - direction.x * reach
+    const y = rect.y + rect.height / 2 - direction.y * reach
+    return this.navGrid.isWalkable(x, y) ? { x, y } : this.navGrid.nearestWalkable(x, y) || { x, y }
+  }
+
+  walkTo(member, goal) {
+    const path = this.navGrid.findPath(member, goal)
+    if (!path || path.length === 0) return false
+    const end = path[path.length - 1]
+    member.path = path
+    member.pathIndex = 0
+    member.goal = goal
+    member.targetX = end.x
+    member.targetY = end.y
+    return true
+  }
+
+  stop(member) {
+    member.path = null
+    member.steerTarget = null
+    member.vx = 0
+    member.vy = 0
+  }
+
+  clockIn(member, atPost = false) {
+    member.onFloor = true
+    member.offShift = false
+    member.x = this.home.x
+    member.y = this.home.y
+    member.state = member.role === 'restocker' ? 'idle' : 'pause'
+    member.timer = 0
+
+    if (member.role === 'cashier') {
+      const post = this.cashierPost(this.checkoutLanes.lanes[member.lane])
+      if (atPost) {
+        member.x = post.x
+        member.y = post.y
+        this.openLane(member)
+      } else {
+        member.state = this.walkTo(member, post) ? 'toPost' : 'idle'
+      }
+    }
+  }
+
+  openLane(member) {
+    const lane = this.checkoutLanes.lanes[member.lane]
+    lane.open = true
+    lane.staffed = true
+    member.state = 'onDuty'
+    this.onEvent('laneOpen', member, { lane: lane.index })
+  }
+
+  leave(member) {
+    this.stop(member)
+    if (!this.walkTo(member, this.home)) {
+      member.onFloor = false
+      member.state = 'off'
+      return
+    }
+    member.state = 'leaving'
+  }
+
+  update(time, deltaTime, hour, customers) {
+    this.requests.push(...this.stock.takeRestockRequests())
+
+    for (const member of this.members) {
+      if (member.state === 'evacuating') {
+        this.updateEvacuating(member)
+        continue
+      }
+      const due = isOnShift(member, hour)
+      if (!member.onFloor) {
+        if (due && member.state === 'off' && !this.evacuating) this.clockIn(member)
+        continue
+      }
+      if (!due) member.offShift = true
+
+      if (member.path && Math.hypot(member.targetX - member.x, member.targetY - member.y) < ARRIVE_DISTANCE * this.pixelsPerMetre) {
+        this.stop(member)
+        this.arrive(member, customers)
+      }
+      if (member.state === 'leaving' || member.state === 'off') continue
+
+      if (member.role === 'cashier') this.updateCashier(member)
+      if (member.role === 'restocker') this.updateRestocker(member, time, deltaTime)
+      if (member.role === 'floor') this.updateFloor(member, time, deltaTime)
+    }
+
+    this.cartTime += this.members.filter(member => member.cart).length * deltaTime
+  }
+
+  arrive(member, customers) {
+    if (member.state === 'leaving') {
+      member.onFloor = false
+      member.state = 'off'
+    } else if (member.state === 'toPost') {
+      this.openLane(member)
+    } else if (member.state === 'toSection') {
+      this.parkCart(member, customers)
+      member.state = 'restocking'
+      member.timer = RESTOCK_BASE_TIME + RESTOCK_TIME_PER_UNIT * this.stock.missingUnits(member.task)
+    } else if (member.state === 'returning') {
+      member.state = 'idle'
+    } else if (member.state === 'patrol') {
+      member.state = 'pause'
+      member.timer = this.random.range(...PATROL_PAUSE)
+    }
+  }
+
+  // A closing lane takes no one new; the cashier leaves once its line is empty
+  updateCashier(member) {
+    const lane = this.checkoutLanes.lanes[member.lane]
+    if (!member.offShift) return
+    if (member.state === 'onDuty') {
+      lane.open = false
+      member.state = 'closing'
+      this.onEvent('laneClose', member, { lane: lane.index })
+    }
+    if (member.state !== 'closing' || lane.queue.length === 0) {
+      lane.staffed = false
+      this.leave(member)
+    }
+  }
+
+  updateRestocker(member, time, deltaTime) {
+    if (member.state === 'restocking') {
+      member.timer -= deltaTime
+      if (member.timer > 0) return
+      this.stock.refill(member.task, time)
+      this.onEvent('restock', member, { section: member.task })
+      this.navGrid.unblockCells(member.cart.cells)
+      member.cart = null
+      member.task = null
+      member.state = this.walkTo(member, this.home) ? 'returning' : 'idle'
+    }
+
+    if (member.offShift) {
+      if (member.state === 'toSection') {
+        this.stock.releaseRequest(member.task)
+        member.task = null
+      }
+      this.leave(member)
+      return
+    }
+
+    // Take the next request on the way back, or straight from the door
+    if ((member.state === 'idle' || member.state === 'returning') && this.requests.length > 0) {
+      const label = this.requests.shift()
+      const section = this.sections.find(product => product.label === label)
+      if (section && this.walkTo(member, section)) {
+        member.task = label
+        member.state = 'toSection'
+      } else {
+        this.stock.releaseRequest(label)
+      }
+    }
+  }
+
+  // Park the cart between the restocker and the aisle, taking up floor space
+  // until the section is refilled
+  parkCart(member, customers) {
+    const section = this.sections.find(product => product.label === member.task)
+    const px = Math.max(section.x, Math.min(member.x, section.x + section.width))
+    const py = Math.max(section.y, Math.min(member.y, section.y + section.height))
+    const distance = Math.hypot(member.x - px, member.y - py)
+    const offset = CART_OFFSET * this.pixelsPerMetre
+    const x = distance > 0 ? member.x + (member.x - px) / distance * offset : member.x
+    const y = distance > 0 ? member.y + (member.y - py) / distance * offset : member.y
+    const cells = this.navGrid.blockArea(x, y, CART_RADIUS * this.pixelsPerMetre, [...customers, ...this.onFloor()])
+    member.cart = { x, y, section: member.task, cells }
+  }
+
+  updateFloor(member, time, deltaTime) {
+    if (member.state === 'waiting') {
+      // The customer changed their mind or left
+      const customer = member.helping
+      if (customer.currentTarget !== member || customer.status !== 'shopping' || time - member.helpSince > HELP_TIMEOUT) {
+        member.helping = null
+        member.state = 'pause'
+        member.timer = 0
+      }
+      return
+    }
+    if (member.state === 'helping') {
+      member.timer -= deltaTime
+      if (member.timer > 0) return
+      member.state = 'pause'
+      member.timer = 0
+    }
+
+    if (member.offShift) {
+      this.leave(member)
+      return
+    }
+
+    if (member.state === 'pause') {
+      member.timer -= deltaTime
+      if (member.timer > 0 || this.sections.length === 0) return
+      if (this.walkTo(member, this.random.pick(this.sections))) {
+        member.state = 'patrol'
+      } else {
+        member.timer = this.random.range(...PATROL_PAUSE)
+      }
+    }
+  }
+
+  // Closest floor worker free to answer a question, among those the customer
+  // can see
+  findHelper(customer, canSee) {
+    let best = null
+    let bestDistance = Infinity
+    for (const member of this.members) {
+      if (member.role !== 'floor' || !member.onFloor || member.offShift) continue
+      if (member.state !== 'patrol' && member.state !== 'pause') continue
+      const distance = Math.hypot(member.x - customer.x, member.y - customer.y)
+      if (distance <= customer.visionRange && distance < bestDistance && canSee(member)) {
+        best = member
+        bestDistance = distance
+      }
+    }
+    return best
+  }
+
+  // The customer is walking over; stay put for them
+  callOver(member, customer, time) {
+    this.stop(member)
+    member.state = 'waiting'
+    member.helping = customer
+    member.helpSince = time
+  }
+
+  answer(member) {
+    member.helping = null
+    member.state = 'helping'
+    member.timer = HELP_TIME
+    this.questionsAnswered++
+  }
+
+  // Everyone on the floor drops what they're doing and heads out; routeOut(member)
+  // plans their way to an exit and returns it, or null if there's none they can
+  // reach. Parked carts stay where they are.
+  evacuate(routeOut) {
+    this.evacuating = true
+    this.requests = []
+    for (const member of this.onFloor()) {
+      this.stop(member)
+      member.helping = null
+      member.state = 'evacuating'
+      member.exit = routeOut(member)
+    }
+  }
+
+  updateEvacuating(member) {
+    if (!member.path || Math.hypot(member.targetX - member.x, member.targetY - member.y) >= ARRIVE_DISTANCE * this.pixelsPerMetre) return
+    this.stop(member)
+    member.onFloor = false
+    member.state = 'evacuated'
+    this.onEvent('evacuated', member, { exit: member.exit.index })
+  }
+
+  getMetrics() {
+    const onFloor = this.onFloor()
+    return {
+      staffOnFloor: Object.fromEntries(Object.keys(STAFF_ROLES).map(role => [
+        role,
+        onFloor.filter(member => member.role === role).length
+      ])),
+      questionsAnswered: this.questionsAnswered,
+      cartTime: Math.round(this.cartTime / 1000), // seconds of aisle blocked by carts
+      openLanes: this.checkoutLanes.lanes.filter(lane => lane.open).length
+    }
+  }
+}
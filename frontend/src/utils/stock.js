@@ -0,0 +1,109 @@
+// Shelf stock per section: units run down as shoppers pick items and come back
+// when a restocker refills the section
+
+export const DEFAULT_SECTION_STOCK = 30 // Units a section holds when full (layout products may set `stock`)
+export const RESTOCK_THRESHOLD = 0.3 // Ask for a restock at or below this share of capacity
+
+export class StockLevels {
+  constructor(sections, options = {}) {
+    this.threshold = options.restockThreshold ?? RESTOCK_THRESHOLD
+    this.sections = new Map((sections || []).map(section => {
+      const capacity = section.stock || options.capacity || DEFAULT_SECTION_STOCK
+      return [section.label, {
+        label: section.label,
+        capacity,
+        units: capacity,
+        requested: false, // A restock has been asked for and not done yet
+        restocks: 0,
+        stockouts: 0,
+        missed: 0, // Customers who came for an item and found the shelf empty
+        outSince: null, // Time the section ran out, while it's empty
+        outTime: 0 // ms spent empty before the current stockout
+      }]
+    }))
+  }
+
+  available(label) {
+    return this.sections.get(label)?.units ?? 0
+  }
+
+  // Take up to `count` units; returns how many there were
+  take(label, count, time) {
+    const entry = this.sections.get(label)
+    if (!entry) return 0
+    const taken = Math.min(count, entry.units)
+    entry.units -= taken
+    if (taken > 0 && entry.units === 0) {
+      entry.stockouts++
+      entry.outSince = time
+    }
+    return taken
+  }
+
+  recordMiss(label) {
+    const entry = this.sections.get(label)
+    if (entry) entry.missed++
+  }
+
+  // Units put back on the shelf, e.g. from a basket left behind
+  restore(label, count, time) {
+    const entry = this.sections.get(label)
+    if (!entry || count <= 0) return
+    if (entry.outSince !== null) {
+      entry.outTime += time - entry.outSince
+      entry.outSince = null
+    }
+    entry.units = Math.min(entry.capacity, entry.units + count)
+  }
+
+  // Sections at or below the threshold that nobody is restocking yet; marks
+  // them as requested
+  takeRestockRequests() {
+    const requests = []
+    for (const entry of this.sections.values()) {
+      if (!entry.requested && entry.units <= entry.capacity * this.threshold) {
+        entry.requested = true
+        requests.push(entry.label)
+      }
+    }
+    return requests
+  }
+
+  // Let someone else pick up a request a restocker dropped (e.g. end of shift)
+  releaseRequest(label) {
+    const entry = this.sections.get(label)
+    if (entry) entry.requested = false
+  }
+
+  missingUnits(label) {
+    const entry = this.sections.get(label)
+    return entry ? entry.capacity - entry.units : 0
+  }
+
+  refill(label, time) {
+    const entry = this.sections.get(label)
+    if (!entry) return
+    this.restore(label, entry.capacity, time)
+    entry.requested = false
+    entry.restocks++
+  }
+
+  getMetrics(time) {
+    const sections = Array.from(this.sections.values()).map(entry => ({
+      label: entry.label,
+      units: entry.units,
+      capacity: entry.capacity,
+      restocks: entry.restocks,
+      stockouts: entry.stockouts,
+      missed: entry.missed,
+      outOfStockTime: Math.round((entry.outTime + (entry.outSince !== null ? time - entry.outSince : 0)) / 1000) // seconds
+    }))
+    return {
+      stockLevels: sections,
+      stockouts: sections.reduce((sum, entry) => sum + entry.stockouts, 0),
+      restocks: sections.reduce((sum, entry) => sum + entry.restocks, 0),
+      emptyShelfVisits: sections.reduce((sum, entry) => sum + entry.missed, 0),
+      sectionsOutOfStock: sections.filter(entry => entry.units === 0).length
+    }
+  }
+}
@@ -0,0 +1,164 @@
+// Trajectory traces: compact per-tick recordings of a run, saved and replayed as JSON files
+
+export const TRACE_FORMAT = 'store-optimizer-trace'
+export const TRACE_VERSION = 1
+
+const STATUSES = ['shopping', 'checkout', 'exiting']
+const FIELDS_PER_CUSTOMER = 5 // id, x, y, status, lane
+const STAFF_ROLE_CODES = ['cashier', 'restocker', 'floor']
+
+// Short labels for the replay's event list
+export const TRACE_EVENT_LABELS = {
+  arrive: 'Arrived',
+  decide: 'Decided',
+  pickup: 'Picked up',
+  browse: 'Browsed',
+  impulse: 'Impulse buy',
+  queue: 'Joined line',
+  served: 'Paid',
+  giveUp: 'Gave up on',
+  abandon: 'Walked out',
+  stockout: 'Found empty shelf',
+  askStaff: 'Asked for directions',
+  readSign: 'Read sign',
+  restock: 'Restocked',
+  laneOpen: 'Opened lane',
+  laneClose: 'Closed lane',
+  evacuated: 'Evacuated',
+  exit: 'Left'
+}
+
+export class TraceRecorder {
+  // layout and run settings are stored with the trace so it can be replayed
+  // (and re-simulated) without the original session
+  constructor({ layout, seed, settings = {}, frameTime }) {
+    this.layout = JSON.parse(JSON.stringify(layout))
+    this.seed = seed
+    this.settings = settings
+    this.frameTime = frameTime
+    this.customers = {} // id -> what doesn't change: persona, footprint, group, list, arrival time
+    this.frames = []
+    this.events = []
+  }
+
+  addCustomer(customer) {
+    this.customers[customer.id] = {
+      persona: customer.persona,
+      footprint: customer.footprint,
+      groupId: customer.groupId,
+      shoppingList: [...customer.shoppingList],
+      spawnTime: customer.spawnTime
+    }
+  }
+
+  // One frame per tick: positions to 0.1 px, status and lane as small integers,
+  // flattened into a single array. Staff (x, y, role) and parked carts (x, y)
+  // go in their own arrays when there are any.
+  recordFrame(time, customers, staff = [], carts = []) {
+    const data = new Array(customers.length * FIELDS_PER_CUSTOMER)
+    customers.forEach((customer, index) => {
+      const offset = index * FIELDS_PER_CUSTOMER
+      data[offset] = customer.id
+      data[offset + 1] = Math.round(customer.x * 10)
+      data[offset + 2] = Math.round(customer.y * 10)
+      data[offset + 3] = Math.max(0, STATUSES.indexOf(customer.status))
+      data[offset + 4] = customer.lane ?? -1
+    })
+    const frame = { t: time, d: data }
+    if (staff.length > 0) {
+      frame.s = staff.flatMap(member => [
+        Math.round(member.x * 10),
+        Math.round(member.y * 10),
+        STAFF_ROLE_CODES.indexOf(member.role)
+      ])
+    }
+    if (carts.length > 0) {
+      frame.c = carts.flatMap(cart => [Math.round(cart.x * 10), Math.round(cart.y * 10)])
+    }
+    this.frames.push(frame)
+  }
+
+  recordEvent(time, type, customerId, details = {}) {
+    this.events.push({ t: time, type, customer: customerId, ...details })
+  }
+
+  // Plain JSON; `metrics` is the run's final summary
+  toJSON(metrics = null) {
+    return {
+      format: TRACE_FORMAT,
+      version: TRACE_VERSION,
+      seed: this.seed,
+      settings: this.settings,
+      frameTime: this.frameTime,
+      layout: this.layout,
+      customers: this.customers,
+      frames: this.frames,
+      events: this.events,
+      metrics
+    }
+  }
+}
+
+// Check a loaded file before replaying it
+export const parseTrace = (text) => {
+  const trace = typeof text === 'string' ? JSON.parse(text) : text
+  if (trace?.format !== TRACE_FORMAT) {
+    throw new Error('Not a store optimizer trace file')
+  }
+  if (trace.version > TRACE_VERSION) {
+    throw new Error(`Trace version ${trace.version} is newer than this app supports (${TRACE_VERSION})`)
+  }
+  return trace
+}
+
+export const traceDuration = (trace) => {
+  return trace.frames.length > 0 ? trace.frames[trace.frames.length - 1].t : 0
+}
+
+// Index of the last frame at or before `time` (binary search)
+export const frameIndexAt = (trace, time) => {
+  let low = 0
+  let high = trace.frames.length - 1
+  if (high < 0 || time < trace.frames[0].t) return 0
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2)
+    if (trace.frames[mid].t <= time) {
+      low = mid
+    } else {
+      high = mid - 1
+    }
+  }
+  return low
+}
+
+// Expand a frame back into customer objects the views can draw
+export const decodeFrame = (trace, index) => {
+  const frame = trace.frames[index]
+  if (!frame) return { time: 0, customers: [], staff: [], carts: [] }
+
+  const customers = []
+  for (let offset = 0; offset < frame.d.length; offset += FIELDS_PER_CUSTOMER) {
+    const id = frame.d[offset]
+    const lane = frame.d[offset + 4]
+    customers.push({
+      ...trace.customers[id],
+      id,
+      x: frame.d[offset + 1] / 10,
+      y: frame.d[offset + 2] / 10,
+      status: STATUSES[frame.d[offset + 3]],
+      lane: lane >= 0 ? lane : null
+    })
+  }
+  const staff = []
+  const staffData = frame.s || []
+  for (let offset = 0; offset < staffData.length; offset += 3) {
+    staff.push({ x: staffData[offset] / 10, y: staffData[offset + 1] / 10, role: STAFF_ROLE_CODES[staffData[offset + 2]] })
+  }
+  const carts = []
+  const cartData = frame.c || []
+  for (let offset = 0; offset < cartData.length; offset += 2) {
+    carts.push({ x: cartData[offset] / 10, y: cartData[offset + 1] / 10 })
+  }
+
+  return { time: frame.t, customers, staff, carts }
+}
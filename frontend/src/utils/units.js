@@ -0,0 +1,37 @@
+// Real-world units: a layout's scale (how many px make a metre or a foot, set in
+// the editor by measuring a reference line) and conversions to and from it.
+// Layouts are drawn and simulated in px; sizes, speeds and ranges are defined in
+// metres and metrics are reported in the layout's unit.
+
+export const LENGTH_UNITS = {
+  m: { name: 'metres', area: 'm²', metres: 1 },
+  ft: { name: 'feet', area: 'sq ft', metres: 0.3048 }
+}
+
+// Layouts drawn before they could be calibrated: 10 px to the foot
+export const DEFAULT_SCALE = { pixelsPerUnit: 10, unit: 'ft' }
+
+// layout.scale: { pixelsPerUnit, unit } where unit is a LENGTH_UNITS key
+export const resolveScale = (layout) => {
+  const scale = layout?.scale
+  if (scale && scale.pixelsPerUnit > 0 && LENGTH_UNITS[scale.unit]) return scale
+  return DEFAULT_SCALE
+}
+
+// Scale from a reference line `pixels` long that measures `length` units
+export const calibrateScale = (pixels, length, unit) => ({ pixelsPerUnit: pixels / length, unit })
+
+export const pixelsPerMetre = (scale) => scale.pixelsPerUnit / LENGTH_UNITS[scale.unit].metres
+
+export const metresToPixels = (metres, scale) => metres * pixelsPerMetre(scale)
+
+// Lengths and areas in the layout's own unit
+export const pixelsToUnits = (pixels, scale) => pixels / scale.pixelsPerUnit
+export const unitsToPixels = (length, scale) => length * scale.pixelsPerUnit
+export const metresToUnits = (metres, scale) => metres / LENGTH_UNITS[scale.unit].metres
+export const squareMetresToUnits = (area, scale) => area / (LENGTH_UNITS[scale.unit].metres ** 2)
+
+export const formatLength = (pixels, scale, digits = 1) => `${pixelsToUnits(pixels, scale).toFixed(digits)} ${scale.unit}`
+
+// Distance between two points, e.g. the ends of a wall
+export const lengthOf = (start, end) => Math.hypot(end.x - start.x, end.y - start.y)
@@ -0,0 +1,113 @@
+// Customer vision: a view cone around the way they're facing, cut off by walls
+// and tall fixtures
+
+export const DEFAULT_FIELD_OF_VIEW = 120 // degrees, for personas that don't set one
+const MIN_TURN_SHARE = 0.1 // Of their own walking speed; slower than this and the heading stays where it was
+const GRAZE = 0.5 // px a sightline can run along a fixture's face without being blocked
+const WALL_MARGIN = 5 // px; walls this close to either end don't block (a doorway, a wall-mounted sign)
+
+// Closest point of a rectangle to (px, py); (px, py) itself when inside
+export const nearestPointOnRect = (px, py, rect) => ({
+  x: Math.min(Math.max(px, rect.x), rect.x + rect.width),
+  y: Math.min(Math.max(py, rect.y), rect.y + rect.height)
+})
+
+// Whether a point (dx, dy) away is inside a fieldOfView-degree cone centered on
+// heading (radians). A null heading means looking all around.
+export const inViewCone = (heading, fieldOfView, dx, dy) => {
+  if (heading === null || heading === undefined || fieldOfView >= 360 || (dx === 0 && dy === 0)) return true
+  let off = Math.abs(Math.atan2(dy, dx) - heading) % (2 * Math.PI)
+  if (off > Math.PI) off = 2 * Math.PI - off
+  return off <= (fieldOfView / 2) * (Math.PI / 180)
+}
+
+// Face the way the agent is walking
+export const updateHeading = (agent) => {
+  if (Math.hypot(agent.vx, agent.vy) >= agent.speed * MIN_TURN_SHARE) {
+    agent.heading = Math.atan2(agent.vy, agent.vx)
+  }
+}
+
+// Whether segment 1-2 crosses segment 3-4 further than margin px from either end
+const segmentsCross = (x1, y1, x2, y2, x3, y3, x4, y4, margin = 0) => {
+  const denom = (x1 - x2) * (y3 - y4) - (y1 - y2) * (x3 - x4)
+  if (Math.abs(denom) < 0.001) return false
+
+  const t = ((x1 - x3) * (y3 - y4) - (y1 - y3) * (x3 - x4)) / denom
+  const u = -((x1 - x2) * (y1 - y3) - (y1 - y2) * (x1 - x3)) / denom
+
+  const length = Math.hypot(x2 - x1, y2 - y1)
+  return t * length > margin && t * length < length - margin && u >= 0 && u <= 1
+}
+
+// Whether a segment passes through a rectangle's interior (Liang-Barsky clip
+// against the rectangle shrunk by GRAZE, so running along a face doesn't count)
+const segmentCrossesRect = (x1, y1, x2, y2, rect) => {
+  const dx = x2 - x1
+  const dy = y2 - y1
+  const checks = [
+    [-dx, x1 - (rect.x + GRAZE)],
+    [dx, rect.x + rect.width - GRAZE - x1],
+    [-dy, y1 - (rect.y + GRAZE)],
+    [dy, rect.y + rect.height - GRAZE - y1]
+  ]
+  let enter = 0
+  let leave = 1
+  for (const [p, q] of checks) {
+    if (p === 0) {
+      if (q < 0) return false
+    } else {
+      const t = q / p
+      if (p < 0) enter = Math.max(enter, t)
+      else leave = Math.min(leave, t)
+    }
+  }
+  return enter < leave
+}
+
+// Sightlines through a layout. Walls always block them; product sections only
+// when marked tall (shelving above eye level), never counter-height fixtures.
+export class Sightlines {
+  constructor(layout) {
+    this.walls = layout.walls || []
+    this.tallFixtures = (layout.products || []).filter(product => product.tall)
+  }
+
+  // Nothing between the two points (seen from the first)
+  isClear(x1, y1, x2, y2) {
+    for (const wall of this.walls) {
+      if (segmentsCross(x1, y1, x2, y2, wall.start.x, wall.start.y, wall.end.x, wall.end.y, WALL_MARGIN)) return false
+    }
+    for (const fixture of this.tallFixtures) {
+      if (segmentCrossesRect(x1, y1, x2, y2, fixture)) return false
+    }
+    return true
+  }
+
+  // Distance (px) to the nearest part of a section the viewer can see within
+  // range and their view cone, or null when none of it is in sight. Looks at
+  // the nearest point of the section first, then its corners, so a shelf end
+  // sticking out past whatever hides the rest still counts. A tall section
+  // hides its own far corners.
+  sectionDistance(viewer, rect, range, fieldOfView) {
+    const nearest = nearestPointOnRect(viewer.x, viewer.y, rect)
+    const points = [
+      nearest,
+      { x: rect.x, y: rect.y },
+      { x: rect.x + rect.width, y: rect.y },
+      { x: rect.x, y: rect.y + rect.height },
+      { x: rect.x + rect.width, y: rect.y + rect.height }
+    ]
+
+    let best = null
+    for (const point of points) {
+      const dx = point.x - viewer.x
+      const dy = point.y - viewer.y
+      const distance = Math.hypot(dx, dy)
+      if (distance > range || (best !== null && distance >= best)) continue
+      if (!inViewCone(viewer.heading, fieldOfView, dx, dy)) continue
+      if (this.isClear(viewer.x, viewer.y, point.x, point.y)) best = distance
+    }
+    return best
+  }
+}
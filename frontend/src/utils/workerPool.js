@@ -0,0 +1,80 @@
+// Fixed-size pool of Web Workers that run one task at a time each
+
+// Workers must answer every { id, task } message with { id, result } or
+// { id, error }. Tasks beyond the pool size wait in a FIFO queue.
+export class WorkerPool {
+  constructor(createWorker, size) {
+    this.size = Math.max(1, size)
+    this.workers = []
+    this.idle = []
+    this.queue = []
+    this.pending = new Map() // Task id -> { resolve, reject }
+    this.nextTaskId = 1
+
+    for (let i = 0; i < this.size; i++) {
+      const worker = createWorker()
+      worker.onmessage = (event) => this.handleMessage(worker, event.data)
+      worker.onerror = (event) => this.handleError(worker, event)
+      this.workers.push(worker)
+      this.idle.push(worker)
+    }
+  }
+
+  // Resolves with the worker's result for this task
+  run(task) {
+    return new Promise((resolve, reject) => {
+      const id = this.nextTaskId++
+      this.pending.set(id, { resolve, reject, worker: null })
+      this.queue.push({ id, task })
+      this.dispatch()
+    })
+  }
+
+  dispatch() {
+    while (this.idle.length > 0 && this.queue.length > 0) {
+      const worker = this.idle.shift()
+      const { id, task } = this.queue.shift()
+      this.pending.get(id).worker = worker
+      worker.postMessage({ id, task })
+    }
+  }
+
+  handleMessage(worker, { id, result, error }) {
+    const entry = this.pending.get(id)
+    if (!entry) return
+    this.pending.delete(id)
+    this.idle.push(worker)
+
+    if (error) {
+      entry.reject(new Error(error))
+    } else {
+      entry.resolve(result)
+    }
+    this.dispatch()
+  }
+
+  // An uncaught error in a worker fails whatever task it was running
+  handleError(worker, event) {
+    for (const [id, entry] of this.pending) {
+      if (entry.worker === worker) {
+        this.pending.delete(id)
+        this.idle.push(worker)
+        entry.reject(new Error(event.message || 'Worker failed'))
+      }
+    }
+    this.dispatch()
+  }
+
+  terminate() {
+    for (const worker of this.workers) {
+      worker.terminate()
+    }
+    for (const entry of this.pending.values()) {
+      entry.reject(new Error('Worker pool terminated'))
+    }
+    this.pending.clear()
+    this.queue = []
+    this.workers = []
+    this.idle = []
+  }
+}
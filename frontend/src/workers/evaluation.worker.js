@@ -0,0 +1,17 @@
+// Evaluation worker: simulates one candidate layout per task for the optimizer's pool
+//
+// In:  { id, task: { layout, scenario, seed, apiKey, heatMapCellSize, record } }
+// Out: { id, result: metrics } or { id, error }
+
+import { simulateLayout } from '../utils/geneticOptimizer.js'
+
+self.onmessage = async (event) => {
+  const { id, task } = event.data
+  try {
+    const { layout, ...options } = task
+    const result = await simulateLayout(layout, options)
+    self.postMessage({ id, result })
+  } catch (error) {
+    self.postMessage({ id, error: error.message })
+  }
+}
@@ -0,0 +1,86 @@
+// Optimizer worker: runs the genetic algorithm off the main thread and farms
+// candidate simulations out to a pool of evaluation workers
+//
+// In:  { type: 'start', layout, apiKey, options: { seed, scenario, heatMapCellSize, objective, workers, maxGenerations } }
+//      { type: 'pause' } | { type: 'resume' } | { type: 'stop' }
+// Out: { type: 'progress', progress }
+//      { type: 'result', result }  (optimizer results plus both layouts' metrics, traces and customer tables)
+//      { type: 'stopped' }         (stopped before any layout was evaluated)
+//      { type: 'error', message }
+
+import { GeneticOptimizer } from '../utils/geneticOptimizer.js'
+import { WorkerPool } from '../utils/workerPool.js'
+
+let optimizer = null
+let pool = null
+
+const createEvaluationWorker = () => new Worker(
+  new URL('./evaluation.worker.js', import.meta.url),
+  { type: 'module' }
+)
+
+const start = async ({ layout, apiKey, options = {} }) => {
+  pool = new WorkerPool(createEvaluationWorker, options.workers || 2)
+  const evaluate = (candidate, seed, { record = false } = {}) => pool.run({
+    layout: candidate,
+    seed,
+    apiKey,
+    scenario: options.scenario,
+    heatMapCellSize: options.heatMapCellSize,
+    record
+  })
+
+  optimizer = new GeneticOptimizer(layout, apiKey, (progress) => {
+    self.postMessage({ type: 'progress', progress })
+  }, { ...options, evaluate })
+
+  try {
+    const results = await optimizer.optimize(options.maxGenerations)
+    if (!results.optimizedLayout) {
+      // Stopped before the first generation finished
+      self.postMessage({ type: 'stopped' })
+      return
+    }
+
+    // Re-simulate both layouts with the evaluation seed for the comparison,
+    // recording traces so either run can be replayed later
+    const [original, optimized] = await Promise.all([
+      optimizer.simulateLayout(layout, undefined, { record: true }),
+      optimizer.simulateLayout(results.optimizedLayout, undefined, { record: true })
+    ])
+    const { trace: originalTrace, customerRecords: originalCustomers, ...originalMetrics } = original
+    const { trace: optimizedTrace, customerRecords: optimizedCustomers, ...optimizedMetrics } = optimized
+
+    self.postMessage({
+      type: 'result',
+      result: {
+        ...results,
+        originalMetrics,
+        optimizedMetrics,
+        originalTrace,
+        optimizedTrace,
+        originalCustomers,
+        optimizedCustomers
+      }
+    })
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message })
+  } finally {
+    pool.terminate()
+    pool = null
+    optimizer = null
+  }
+}
+
+self.onmessage = (event) => {
+  const message = event.data
+  if (message.type === 'start') {
+    if (!optimizer) start(message)
+  } else if (message.type === 'pause') {
+    optimizer?.pause()
+  } else if (message.type === 'resume') {
+    optimizer?.resume()
+  } else if (message.type === 'stop') {
+    optimizer?.stop()
+  }
+}
@@ -0,0 +1,128 @@
+// Simulation worker: owns the SimulationEngine and streams snapshots to the view
+//
+// In:  { type: 'start', layout, apiKey, options }  (options as for SimulationEngine; a scenario ends the run)
+//      { type: 'pause' } | { type: 'resume' } | { type: 'stop' }
+//      { type: 'speed', speed }       Simulated ms per wall-clock ms
+//      { type: 'filter', persona }    Narrow metrics and heat map to one persona (null for all)
+//      { type: 'trace' }              Ask for the recorded trace (start with options.record)
+//      { type: 'records' }            Ask for the per-customer table (honors the filter)
+//      { type: 'evacuate' }           Sound the evacuation alarm now
+// Out: { type: 'snapshot', snapshot }
+//      { type: 'trace', trace }       null when the run isn't being recorded
+//      { type: 'records', records }   Rows as in customerRecords.js
+//      { type: 'finished' }           The scenario's duration is up; the last snapshot comes first
+//      { type: 'error', message }
+
+import { SimulationEngine } from '../utils/simulationEngine.js'
+
+const FRAME_INTERVAL = 33 // ms between snapshots (~30 per second)
+const MAX_CATCH_UP = 250 // ms of wall-clock time simulated at most per frame
+
+let engine = null
+let running = false
+let timer = null
+let loop = 0 // Bumped by every startLoop, so frames of an earlier loop stop themselves
+let lastFrame = 0
+let speed = 1
+let filter = { persona: null }
+
+// Customers and staff go out as plain positions and state; paths, baskets and
+// exposure stay in the worker
+const toMessage = (snapshot) => ({
+  ...snapshot,
+  customers: snapshot.customers.map(customer => ({
+    id: customer.id,
+    groupId: customer.groupId,
+    persona: customer.persona,
+    footprint: customer.footprint,
+    x: customer.x,
+    y: customer.y,
+    status: customer.status,
+    lane: customer.lane,
+    evacuating: customer.evacuating
+  })),
+  staff: snapshot.staff.map(member => ({
+    id: member.id,
+    role: member.role,
+    x: member.x,
+    y: member.y,
+    state: member.state
+  }))
+})
+
+const postSnapshot = () => {
+  if (engine) {
+    self.postMessage({ type: 'snapshot', snapshot: toMessage(engine.getSnapshot(filter)) })
+  }
+}
+
+const runFrame = async (generation) => {
+  const current = engine
+  if (!current || !running || generation !== loop) return
+
+  const now = performance.now()
+  const elapsed = Math.min(now - lastFrame, MAX_CATCH_UP)
+  lastFrame = now
+
+  try {
+    await current.step(elapsed * speed)
+  } catch (error) {
+    if (generation !== loop) return
+    running = false
+    self.postMessage({ type: 'error', message: error.message })
+    return
+  }
+  // Stopped, paused or paused and resumed while stepping
+  if (engine !== current || !running || generation !== loop) return
+
+  postSnapshot()
+  if (current.isFinished()) {
+    stopLoop()
+    self.postMessage({ type: 'finished' })
+    return
+  }
+  timer = setTimeout(runFrame, FRAME_INTERVAL, generation)
+}
+
+const startLoop = () => {
+  running = true
+  loop++
+  lastFrame = performance.now()
+  timer = setTimeout(runFrame, FRAME_INTERVAL, loop)
+}
+
+const stopLoop = () => {
+  running = false
+  clearTimeout(timer)
+  timer = null
+}
+
+self.onmessage = (event) => {
+  const message = event.data
+  if (message.type === 'start') {
+    stopLoop()
+    engine = new SimulationEngine(message.layout, null, message.apiKey, message.options)
+    startLoop()
+  } else if (message.type === 'pause') {
+    stopLoop()
+  } else if (message.type === 'resume') {
+    if (engine && !running) startLoop()
+  } else if (message.type === 'stop') {
+    stopLoop()
+    engine = null
+  } else if (message.type === 'speed') {
+    speed = message.speed
+  } else if (message.type === 'filter') {
+    filter = { persona: message.persona || null }
+    postSnapshot() // Show the new filter right away, even while paused
+  } else if (message.type === 'trace') {
+    self.postMessage({ type: 'trace', trace: engine ? engine.getTrace() : null })
+  } else if (message.type === 'records') {
+    self.postMessage({ type: 'records', records: engine ? engine.getCustomerRecords(filter) : [] })
+  } else if (message.type === 'evacuate') {
+    if (engine) {
+      engine.startEvacuation()
+      postSnapshot()
+    }
+  }
+}
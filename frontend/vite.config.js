@@ -3,6 +3,10 @@ import react from '@vitejs/plugin-react'
 
 export default defineConfig({
   plugins: [react()],
+  // ES module workers, so they can import the engine and spawn their own workers
+  worker: {
+    format: 'es'
+  },
   server: {
     port: 5055,
     strictPort: true,